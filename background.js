@@ -0,0 +1,2449 @@
+/**
+ * Odoo Quick Login - Background Service Worker
+ * 
+ * The service worker is the only part of the extension that touches
+ * stored credentials. It:
+ * 1. Owns all access to browser.storage (saved users and the vault)
+ * 2. Keeps track of the Odoo instance detected in each tab
+ * 3. Decrypts a saved user's password and hands it to the content
+ *    script of the tab that should log in
+ * 4. Registers the content scripts on the sites the user has added
+ * 5. Lists user templates on the instances they apply to, after the
+ *    instance's own users
+ * 6. Follows each quick login to the page it lands on, flags saved users
+ *    whose logins keep failing, fills in two-factor codes and hands out
+ *    the user's post-login target and language (see landing.js)
+ * 7. Saves users read from the logged-in database's user list, with
+ *    passwords typed in or derived from a password rule
+ * 8. Logs in as database users without their password on instances
+ *    tagged as development, when impersonation is turned on
+ * 9. Syncs the encrypted vault through browser.storage.sync and lists
+ *    the read-only users of a team file (see sync.js)
+ * 10. Opens saved users in tabs of their own, next to each other, and
+ *    shows which user each tab is logged in as (see sessions.js)
+ * 
+ * The popup and the content script talk to it with browser.runtime
+ * messages of the form {type: '<handler name>', ...}; see messageHandlers.
+ */
+
+// Chrome runs this file as a service worker. Firefox runs it as an event
+// page, which loads the same scripts from the manifest's `background.scripts`.
+if (typeof importScripts === 'function') {
+  importScripts('browser_api.js', 'vault.js', 'backup.js', 'sites.js', 'environments.js', 'totp.js', 'templates.js', 'sync.js', 'landing.js', 'sessions.js');
+}
+
+// Only extension pages and this worker may read the unlocked vault key.
+// Firefox never exposes session storage to content scripts and has no such setting.
+if (browser.storage.session.setAccessLevel) {
+  browser.storage.session.setAccessLevel({accessLevel: 'TRUSTED_CONTEXTS'});
+}
+
+/**
+ * Retrieves saved users for a specific Odoo instance
+ * 
+ * @param {string} instanceKey - The unique identifier for the Odoo instance
+ * @param {Function} cb - Callback function that receives the array of users
+ */
+function getUsersForInstance(instanceKey, cb) {
+  browser.storage.local.get({usersByInstance: {}}).then((data) => {
+    cb((data.usersByInstance && data.usersByInstance[instanceKey]) || []);
+  });
+}
+
+/**
+ * Saves users for a specific Odoo instance
+ * 
+ * @param {string} instanceKey - The unique identifier for the Odoo instance
+ * @param {Array} users - Array of user objects with username and encrypted secret
+ * @param {Function} cb - Callback function called after saving
+ */
+function saveUsersForInstance(instanceKey, users, cb) {
+  browser.storage.local.get({usersByInstance: {}}).then((data) => {
+    data.usersByInstance[instanceKey] = users;
+    browser.storage.local.set({usersByInstance: data.usersByInstance}).then(cb);
+  });
+}
+
+/**
+ * Retrieves the users listed for an instance
+ * 
+ * These are the instance's own saved users and the team file's users of
+ * the instance, merged as the teamConflict setting says (see
+ * mergeTeamUsers), followed by the user templates that apply to it (see
+ * templates.js), minus templates overridden by a listed user with the
+ * same login. Positions below the number of own users are therefore the
+ * same as in getUsersForInstance, although a team user may take an own
+ * user's place.
+ * 
+ * @param {string} instanceKey - The unique identifier for the Odoo instance
+ * @param {Function} cb - Callback function that receives the array of users;
+ *   templates keep their `templateId` and team users their `teamId`
+ */
+function getEffectiveUsers(instanceKey, cb) {
+  browser.storage.local.get({usersByInstance: {}, userTemplates: [], teamUsers: []}).then((data) => getSettings(settings => {
+    const own = data.usersByInstance[instanceKey] || [];
+    const team = data.teamUsers.filter(member => member.instance === instanceKey);
+    const listed = mergeTeamUsers(own, team, settings.teamConflict);
+    const templates = data.userTemplates.filter(template =>
+      templateAppliesTo(template, instanceKey) && !listed.some(user => user.username === template.username));
+    cb(listed.concat(templates));
+  }));
+}
+
+/**
+ * Saves users listed for an instance back to where they came from
+ * 
+ * Team users only keep what this browser tracks about them (favorite,
+ * usage and failed logins); an own user a team user took the place of is
+ * kept as stored.
+ * 
+ * @param {string} instanceKey - The unique identifier for the Odoo instance
+ * @param {Array} users - Users as returned by getEffectiveUsers, possibly changed
+ * @param {Function} cb - Callback function called once saved
+ */
+function saveEffectiveUsers(instanceKey, users, cb) {
+  browser.storage.local.get({usersByInstance: {}, userTemplates: [], teamUsers: []}).then((data) => {
+    const own = data.usersByInstance[instanceKey] || [];
+    data.usersByInstance[instanceKey] = users.slice(0, own.length).map((user, idx) => (user.teamId ? own[idx] : user))
+      .concat(users.slice(own.length).filter(user => !user.templateId && !user.teamId));
+    data.userTemplates = data.userTemplates.map(template =>
+      users.find(user => user.templateId === template.templateId) || template);
+    data.teamUsers = data.teamUsers.map(member =>
+      users.find(user => user.teamId === member.teamId) || member);
+    browser.storage.local.set({
+      usersByInstance: data.usersByInstance,
+      userTemplates: data.userTemplates,
+      teamUsers: data.teamUsers
+    }).then(cb);
+  });
+}
+
+const DEFAULT_SETTINGS = {
+  // 'form' fills and submits the login form, 'rpc' calls /web/session/authenticate
+  loginMode: 'form',
+  // URL rules classifying instances, [{pattern, environment}], first match wins
+  environmentRules: [],
+  // Login safeguards keyed by environment, see environments.js
+  environmentPolicies: DEFAULT_ENVIRONMENT_POLICIES,
+  // Order of saved users in the popup and the login page, one of USER_SORT_MODES
+  userSort: 'manual',
+  // Where the login page dropdown goes, one of DROPDOWN_PLACEMENTS
+  dropdownPlacement: 'top',
+  // Whether users can be impersonated on development instances, see impersonateUser
+  impersonation: false,
+  // Whether the encrypted vault is synced through browser.storage.sync, see runVaultSync
+  syncVault: false,
+  // Which of a team user and an own user with the same login is listed, one of TEAM_CONFLICT_MODES
+  teamConflict: 'personal'
+};
+
+/**
+ * Retrieves the extension settings merged over their defaults
+ * 
+ * @param {Function} cb - Callback function that receives the settings object
+ */
+function getSettings(cb) {
+  browser.storage.local.get({settings: {}}).then((data) => {
+    cb(Object.assign({}, DEFAULT_SETTINGS, data.settings));
+  });
+}
+
+/**
+ * Saves changes to the extension settings
+ * 
+ * @param {Object} changes - Settings to overwrite
+ * @param {Function} cb - Callback function that receives the updated settings
+ */
+function saveSettings(changes, cb) {
+  browser.storage.local.get({settings: {}}).then((data) => {
+    const settings = Object.assign({}, data.settings, changes);
+    browser.storage.local.set({settings}).then(() => cb(Object.assign({}, DEFAULT_SETTINGS, settings)));
+  });
+}
+
+const CONTENT_SCRIPT_ID = 'odoo-quick-login';
+const CONTENT_SCRIPT_FILES = ['browser_api.js', 'odoo_rpc.js', 'landing.js', 'detect_odoo.js', 'palette.js', 'login_widget.js', 'ui_shared.js', 'content.js'];
+
+// Registration runs one at a time; overlapping unregister/register calls would fail
+let contentScriptSync = Promise.resolve();
+
+/**
+ * Retrieves the sites the user has added, as normalized site strings
+ * 
+ * @param {Function} cb - Callback function that receives the array of sites
+ */
+function getSites(cb) {
+  browser.storage.local.get({sites: []}).then((data) => cb(data.sites));
+}
+
+/**
+ * Reports which match patterns the extension holds host permissions for
+ * 
+ * @param {Array<string>} patterns - Match patterns such as '*://erp.example.com/*'
+ * @returns {Promise<Array<boolean>>} One flag per pattern, in the same order
+ */
+function checkHostPermissions(patterns) {
+  return Promise.all(patterns.map(pattern => browser.permissions.contains({origins: [pattern]})));
+}
+
+/**
+ * Registers the content scripts on every added site the extension may access
+ * 
+ * Sites whose permission was revoked from the browser's extension
+ * settings are left out until it is granted again.
+ * 
+ * @param {Function} [cb] - Callback function that receives the registered match patterns
+ */
+function syncContentScripts(cb) {
+  getSites(sites => {
+    const patterns = sites.map(site => parseSitePattern(site)).filter(Boolean).map(parsed => parsed.matchPattern);
+    contentScriptSync = contentScriptSync.then(() => checkHostPermissions(patterns)).then(granted => {
+      const matches = patterns.filter((pattern, idx) => granted[idx]);
+      return browser.scripting.getRegisteredContentScripts({ids: [CONTENT_SCRIPT_ID]})
+        .then(registered => registered.length && browser.scripting.unregisterContentScripts({ids: [CONTENT_SCRIPT_ID]}))
+        .then(() => matches.length && browser.scripting.registerContentScripts([{
+          id: CONTENT_SCRIPT_ID,
+          matches,
+          js: CONTENT_SCRIPT_FILES,
+          runAt: 'document_idle'
+        }]))
+        .then(() => matches);
+    }).catch(error => {
+      console.error('Error registering content scripts:', error);
+      return [];
+    });
+    contentScriptSync.then(matches => cb && cb(matches));
+  });
+}
+
+/**
+ * Adds a site the extension was granted access to and registers the content scripts on it
+ * 
+ * @param {Object} parsed - {site, matchPattern} from parseSitePattern
+ * @param {Function} cb - Callback receiving {ok, site} or {ok: false, error, message}
+ */
+function saveSite(parsed, cb) {
+  browser.permissions.contains({origins: [parsed.matchPattern]}).then(granted => {
+    if (!granted) {
+      cb({ok: false, error: 'rejected', message: 'Access to this site was not granted.'});
+      return;
+    }
+    getSites(sites => {
+      if (!sites.includes(parsed.site)) sites.push(parsed.site);
+      browser.storage.local.set({sites}).then(() => syncContentScripts(() => cb({ok: true, site: parsed.site})));
+    });
+  });
+}
+
+/**
+ * Lists the origins of saved instances the extension cannot access yet
+ * 
+ * Users saved before sites had to be added keep working once their
+ * origin is added, so the options page offers these as suggestions.
+ * 
+ * @param {Function} cb - Callback function that receives an array of origins
+ */
+function getMissingInstanceOrigins(cb) {
+  browser.storage.local.get({usersByInstance: {}}).then((data) => {
+    const origins = [];
+    Object.keys(data.usersByInstance).forEach(instanceKey => {
+      const origin = instanceKey.slice(0, instanceKey.lastIndexOf('|'));
+      if (/^https?:\/\//.test(origin) && !origins.includes(origin)) origins.push(origin);
+    });
+    checkHostPermissions(origins.map(origin => origin + '/*'))
+      .then(granted => cb(origins.filter((origin, idx) => !granted[idx])), () => cb([]));
+  });
+}
+
+/**
+ * Resolves the environment of an instance with its login safeguards
+ * 
+ * @param {string} instanceKey - The instance to classify
+ * @param {Function} cb - Callback receiving {id, label, color, autoSubmit, confirm}, or null if unclassified
+ */
+function getInstanceEnvironment(instanceKey, cb) {
+  browser.storage.local.get({instanceEnvironments: {}}).then((data) => getSettings(settings => {
+    const id = classifyInstance(instanceKey, data.instanceEnvironments[instanceKey], settings.environmentRules);
+    cb(id ? Object.assign({id}, ENVIRONMENTS[id], DEFAULT_ENVIRONMENT_POLICIES[id], settings.environmentPolicies[id]) : null);
+  }));
+}
+
+/**
+ * Appends users to a list, skipping logins the list already has
+ * 
+ * @param {Array} target - The users to keep
+ * @param {Array} incoming - The users to add
+ * @returns {Array} The merged list
+ */
+function mergeUsers(target, incoming) {
+  const logins = new Set(target.map(user => user.username));
+  return target.concat(incoming.filter(user => !logins.has(user.username)));
+}
+
+/**
+ * Moves users saved under legacy instance keys to the current key
+ * 
+ * Earlier versions keyed instances by `db:<name>`, `meta:<generator>` or
+ * `origin:<origin>`. The content script reports the ones that can only
+ * belong to the page it detected (see detectOdooInstance), and their
+ * users are merged into the composite key the first time the instance
+ * is seen. The others are moved by hand from the popup.
+ * 
+ * @param {string} instanceKey - The key users should be stored under
+ * @param {Array} legacyKeys - Keys that may still hold users of this instance
+ * @param {Function} cb - Callback function called after migrating
+ */
+function migrateLegacyInstances(instanceKey, legacyKeys, cb) {
+  browser.storage.local.get({usersByInstance: {}}).then((data) => {
+    const usersByInstance = data.usersByInstance;
+    const found = (legacyKeys || []).filter(key => key !== instanceKey && usersByInstance[key]);
+    if (found.length === 0) {
+      cb();
+      return;
+    }
+    found.forEach(key => {
+      usersByInstance[instanceKey] = mergeUsers(usersByInstance[instanceKey] || [], usersByInstance[key]);
+      delete usersByInstance[key];
+    });
+    browser.storage.local.set({usersByInstance}).then(cb);
+  });
+}
+
+/**
+ * Fills in the database of a page that does not show it
+ * 
+ * The login page of a server with a single database and list_db turned
+ * off does not reveal the database, while its backend does. The database
+ * last seen in the backend is remembered per origin, so the login page
+ * resolves to the same key and both list the same users. Users saved
+ * under the key without a database move to the full key once the
+ * database is known.
+ * 
+ * @param {string} instanceKey - A composite key, `<origin>|` when the page did not reveal the database
+ * @param {Function} cb - Callback receiving the key to use and the keys whose users move to it
+ */
+function resolveOriginDatabase(instanceKey, cb) {
+  const separator = instanceKey.lastIndexOf('|');
+  if (separator === -1) {
+    cb(instanceKey, []);
+    return;
+  }
+  const origin = instanceKey.slice(0, separator);
+  const db = instanceKey.slice(separator + 1);
+  browser.storage.local.get({databaseByOrigin: {}}).then((data) => {
+    const known = data.databaseByOrigin[origin];
+    if (!db) {
+      cb(known ? origin + '|' + known : instanceKey, known ? [instanceKey] : []);
+      return;
+    }
+    if (known === db) {
+      cb(instanceKey, [origin + '|']);
+      return;
+    }
+    data.databaseByOrigin[origin] = db;
+    browser.storage.local.set({databaseByOrigin: data.databaseByOrigin}).then(() => cb(instanceKey, [origin + '|']));
+  });
+}
+
+/**
+ * Moves saved users from one instance to another
+ * 
+ * Users whose login already exists in the target are dropped from the
+ * source without replacing the target's entry.
+ * 
+ * @param {string} fromKey - The instance to take users from
+ * @param {string} toKey - The instance to move users to
+ * @param {Array<number>|null} indexes - Positions of the users to move, or null for all
+ * @param {Function} cb - Callback function called after moving
+ */
+function moveUsers(fromKey, toKey, indexes, cb) {
+  browser.storage.local.get({usersByInstance: {}}).then((data) => {
+    const usersByInstance = data.usersByInstance;
+    const source = usersByInstance[fromKey] || [];
+    const moving = source.filter((user, idx) => !indexes || indexes.includes(idx));
+    const remaining = source.filter((user, idx) => indexes && !indexes.includes(idx));
+    usersByInstance[toKey] = mergeUsers(usersByInstance[toKey] || [], moving);
+    if (remaining.length) {
+      usersByInstance[fromKey] = remaining;
+    } else {
+      delete usersByInstance[fromKey];
+    }
+    browser.storage.local.set({usersByInstance}).then(cb);
+  });
+}
+
+// Optional per-user details, stored only when set
+const USER_METADATA_FIELDS = ['label', 'tags', 'color', 'note', 'landing', 'lang'];
+
+/**
+ * Strips secrets from saved users before they leave the service worker
+ * 
+ * @param {Array} users - Array of stored user objects
+ * @returns {Array} Array of {username, label, tags, color, note, landing, lang, hasTotp, loginFailures,
+ *   failing, favorite, lastUsedAt, useCount, templateId, templateScope, team} objects in the same order
+ */
+function toPublicUsers(users) {
+  return users.map(user => ({
+    username: user.username,
+    label: user.label || '',
+    tags: user.tags || [],
+    color: user.color || '',
+    note: user.note || '',
+    landing: user.landing || '',
+    lang: user.lang || '',
+    hasTotp: !!user.totp,
+    loginFailures: user.loginFailures || 0,
+    failing: (user.loginFailures || 0) >= FAILING_LOGIN_THRESHOLD,
+    favorite: !!user.favorite,
+    lastUsedAt: user.lastUsedAt || null,
+    useCount: user.useCount || 0,
+    templateId: user.templateId || null,
+    templateScope: user.templateId ? describeTemplateScope(user) : '',
+    team: !!user.teamId
+  }));
+}
+
+// 'manual' keeps the saved order; favorites come first in every mode
+const USER_SORT_MODES = ['manual', 'recent', 'frequent', 'alpha'];
+// Above the login form, below it, or behind a floating button (see login_widget.js)
+const DROPDOWN_PLACEMENTS = ['top', 'below', 'floating'];
+// Successful quick logins kept per instance for the history view
+const LOGIN_HISTORY_LIMIT = 20;
+
+/**
+ * Works out the order saved users are listed in
+ * 
+ * @param {Array} users - Stored or public users of one instance
+ * @param {string} mode - One of USER_SORT_MODES
+ * @returns {Array<number>} The users' positions in display order
+ */
+function orderUsers(users, mode) {
+  const name = user => (user.label || user.username).toLowerCase();
+  const compare = {
+    recent: (a, b) => (users[b].lastUsedAt || 0) - (users[a].lastUsedAt || 0),
+    frequent: (a, b) => (users[b].useCount || 0) - (users[a].useCount || 0),
+    alpha: (a, b) => name(users[a]).localeCompare(name(users[b]))
+  }[mode];
+  return users.map((user, idx) => idx).sort((a, b) =>
+    (users[b].favorite ? 1 : 0) - (users[a].favorite ? 1 : 0) || (compare ? compare(a, b) : 0) || a - b);
+}
+
+/**
+ * Sets or clears the optional details of a stored user
+ * 
+ * Empty values are removed rather than stored, keeping user objects
+ * small and exports free of blank fields. Colors must be `#rrggbb`, the
+ * format of a color input, since they end up in page styles. Post-login
+ * targets and languages that landing.js cannot use are dropped too.
+ * 
+ * @param {Object} user - The stored user object to update
+ * @param {Object} changes - Any of {label, tags, color, note, landing, lang}
+ */
+function applyUserMetadata(user, changes) {
+  USER_METADATA_FIELDS.forEach(field => {
+    if (changes[field] === undefined) return;
+    const value = field === 'tags'
+      ? (changes.tags || []).map(tag => String(tag).trim()).filter(Boolean)
+      : String(changes[field] || '').trim();
+    const invalid = {
+      color: () => !/^#[0-9a-f]{6}$/i.test(value),
+      landing: () => value && !parseLandingTarget(value),
+      lang: () => value && !isLandingLang(value)
+    }[field];
+    if (invalid && invalid()) {
+      delete user[field];
+    } else if (value.length) {
+      user[field] = value;
+    } else {
+      delete user[field];
+    }
+  });
+}
+
+/**
+ * Applies edits to one saved user
+ * 
+ * A new password or two-factor secret is encrypted before it is stored,
+ * so changing one requires the vault to be unlocked; other edits do not.
+ * Edits to a user that comes from a template change the template, and so
+ * every instance it applies to.
+ * 
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {number} index - Position of the user in the instance's list
+ * @param {Object} changes - Any of {username, password, label, tags, color, note, landing, lang, totp,
+ *   favorite}; `totp` is a base32 secret or `otpauth://` URI to set, or null to remove it
+ * @param {boolean} own - True when `index` counts the instance's own users only, as the
+ *   options page lists them, rather than the users listed with templates and team users
+ * @param {Function} cb - Callback receiving {ok} or {ok: false, error, message}
+ */
+function updateUser(instanceKey, index, changes, own, cb) {
+  const totpConfig = changes.totp ? parseTotpInput(changes.totp) : null;
+  if (changes.totp && !totpConfig) {
+    cb({ok: false, error: 'invalid', message: 'Not a valid two-factor secret or otpauth:// URI.'});
+    return;
+  }
+  if (changes.landing && !parseLandingTarget(changes.landing)) {
+    cb({ok: false, error: 'invalid', message: 'Open after login takes a path such as /odoo/inventory, a record ' +
+      'such as sale.order,42, or the XML id of a menu or action.'});
+    return;
+  }
+  if (changes.lang && !isLandingLang(String(changes.lang).trim())) {
+    cb({ok: false, error: 'invalid', message: 'Not a language code such as fr_FR.'});
+    return;
+  }
+  const withSecrets = next => {
+    if (!changes.password && !totpConfig) {
+      next({});
+      return;
+    }
+    getVaultKey(key => {
+      if (!key) {
+        cb({ok: false, error: 'locked'});
+        return;
+      }
+      Promise.all([
+        changes.password ? encryptSecret(key, changes.password) : null,
+        totpConfig ? encryptSecret(key, JSON.stringify(totpConfig)) : null
+      ]).then(([secret, totp]) => next({secret, totp}));
+    });
+  };
+  withSecrets(encrypted => {
+    (own ? getUsersForInstance : getEffectiveUsers)(instanceKey, users => {
+      const user = users[index];
+      if (!user) {
+        cb({ok: false, error: 'unknown-user'});
+        return;
+      }
+      if (user.teamId && Object.keys(changes).some(field => field !== 'favorite')) {
+        cb({ok: false, error: 'read-only', message: 'Team users come from the team file and cannot be edited.'});
+        return;
+      }
+      if (changes.username) user.username = changes.username;
+      if (encrypted.secret) {
+        user.secret = encrypted.secret;
+        delete user.loginFailures; // Failures of the old password say nothing about the new one
+      }
+      if (encrypted.totp) {
+        user.totp = encrypted.totp;
+      } else if (changes.totp === null) {
+        delete user.totp;
+      }
+      if (changes.favorite === true) {
+        user.favorite = true;
+      } else if (changes.favorite === false) {
+        delete user.favorite;
+      }
+      applyUserMetadata(user, changes);
+      (own ? saveUsersForInstance : saveEffectiveUsers)(instanceKey, users, () => {
+        cb({ok: true});
+      });
+    });
+  });
+}
+
+/**
+ * Remembers which Odoo instance was detected in a tab
+ * 
+ * @param {number} tabId - The tab the instance was detected in
+ * @param {string|null} instanceKey - The detected instance key
+ * @param {Function} [cb] - Callback called once it is stored
+ */
+function rememberTabInstance(tabId, instanceKey, cb) {
+  browser.storage.session.get({instanceByTab: {}}).then((data) => {
+    if (instanceKey) {
+      data.instanceByTab[tabId] = instanceKey;
+    } else {
+      delete data.instanceByTab[tabId];
+    }
+    return browser.storage.session.set({instanceByTab: data.instanceByTab});
+  }).then(() => {
+    if (cb) cb();
+  });
+}
+
+/**
+ * Asks the content script of a tab for the Odoo instance it is showing
+ * 
+ * @param {number} tabId - The tab to query
+ * @param {Function} cb - Callback receiving the instance key, or null if the tab is not an Odoo page
+ */
+function detectInstanceForTab(tabId, cb) {
+  browser.tabs.sendMessage(tabId, {type: 'detectInstance'})
+    // No content script in the tab (e.g. chrome:// pages) means no Odoo instance
+    .then(response => (response && response.instanceKey) || null, () => null)
+    .then(instanceKey => {
+      rememberTabInstance(tabId, instanceKey, () => cb(instanceKey));
+    });
+}
+
+/**
+ * Decrypts one of the saved users of an instance
+ * 
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {number} index - Position of the user in the instance's list, templates included
+ * @param {Function} cb - Callback receiving {ok, username, password, hasTotp} or {ok: false, error}
+ */
+function decryptUser(instanceKey, index, cb) {
+  getEffectiveUsers(instanceKey, users => {
+    const user = users[index];
+    if (!user || !user.secret) {
+      cb({ok: false, error: 'unknown-user'});
+      return;
+    }
+    getVaultKey(key => {
+      if (!key) {
+        cb({ok: false, error: 'locked'});
+        return;
+      }
+      decryptSecret(key, user.secret).then(password => {
+        cb({ok: true, username: user.username, password, hasTotp: !!user.totp});
+      }, (error) => {
+        console.error('Unable to decrypt saved user:', error);
+        cb({ok: false, error: 'decrypt-failed'});
+      });
+    });
+  });
+}
+
+/**
+ * Sends decrypted credentials to the content script of a tab
+ * 
+ * @param {number} tabId - The tab that should log in
+ * @param {Object} message - A `fillLogin`, `rpcLogin`, `switchLogin` or `impersonateLogin` message
+ * @param {Function} cb - Callback receiving {ok, error, message}
+ */
+function sendLoginToTab(tabId, message, cb) {
+  browser.tabs.sendMessage(tabId, message).then(response => {
+    if (!response) {
+      cb({ok: false, error: 'no-login-page'});
+      return;
+    }
+    cb(response.ok ? {ok: true} : Object.assign({error: 'no-login-page'}, response));
+  }, () => cb({ok: false, error: 'no-login-page'}));
+}
+
+// How long after a quick login the page it lands on may report its outcome
+const LOGIN_PENDING_MS = 2 * 60 * 1000;
+// Consecutive rejected logins after which a saved user is flagged as failing
+const FAILING_LOGIN_THRESHOLD = 2;
+
+/**
+ * Reads the quick login a tab is waiting on
+ * 
+ * @param {number} tabId - The tab that started the login
+ * @param {Function} cb - Callback receiving {instanceKey, username, submit, landing, totpSent, expiresAt} or null
+ */
+function getPendingLogin(tabId, cb) {
+  browser.storage.session.get({pendingLoginByTab: {}}).then((data) => {
+    const pending = data.pendingLoginByTab[tabId];
+    cb(pending && pending.expiresAt >= Date.now() ? pending : null);
+  });
+}
+
+/**
+ * Remembers or forgets the quick login a tab is waiting on
+ * 
+ * @param {number} tabId - The tab that started the login
+ * @param {Object|null} pending - The pending login, or null to forget it
+ * @param {Function} [cb] - Callback function called once saved
+ */
+function setPendingLogin(tabId, pending, cb) {
+  browser.storage.session.get({pendingLoginByTab: {}}).then((data) => {
+    if (pending) {
+      data.pendingLoginByTab[tabId] = pending;
+    } else {
+      delete data.pendingLoginByTab[tabId];
+    }
+    browser.storage.session.set({pendingLoginByTab: data.pendingLoginByTab}).then(cb);
+  });
+}
+
+/**
+ * Records where a quick login landed on the saved user
+ * 
+ * A rejected login adds to the user's consecutive failures; an accepted
+ * password clears them. A completed login also updates the user's usage
+ * (last used, number of logins) and the instance's login history.
+ * 
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {string} username - The user's login
+ * @param {string} outcome - 'rejected', 'success', 'totp' (password accepted) or another outcome
+ * @param {Function} cb - Callback receiving the user's consecutive failures
+ */
+function recordLoginOutcome(instanceKey, username, outcome, cb) {
+  getEffectiveUsers(instanceKey, users => {
+    const user = users.find(candidate => candidate.username === username);
+    if (!user || !['rejected', 'success', 'totp'].includes(outcome)) {
+      cb(user ? user.loginFailures || 0 : 0);
+      return;
+    }
+    if (outcome === 'rejected') {
+      user.loginFailures = (user.loginFailures || 0) + 1;
+    } else {
+      delete user.loginFailures;
+    }
+    if (outcome !== 'success') {
+      saveEffectiveUsers(instanceKey, users, () => cb(user.loginFailures || 0));
+      return;
+    }
+    const now = Date.now();
+    user.lastUsedAt = now;
+    user.useCount = (user.useCount || 0) + 1;
+    saveEffectiveUsers(instanceKey, users, () => {
+      browser.storage.local.get({loginHistory: {}}).then((data) => {
+        const history = [{username, at: now}].concat(data.loginHistory[instanceKey] || []);
+        data.loginHistory[instanceKey] = history.slice(0, LOGIN_HISTORY_LIMIT);
+        browser.storage.local.set({loginHistory: data.loginHistory}).then(() => cb(0));
+      });
+    });
+  });
+}
+
+/**
+ * Keeps the outcome of a tab's last quick login and tells open extension pages
+ * 
+ * @param {number} tabId - The tab that logged in
+ * @param {Object} result - {outcome, username, label, message, loginFailures}
+ */
+function announceLoginOutcome(tabId, result) {
+  const outcome = Object.assign({at: Date.now()}, result);
+  browser.storage.session.get({loginOutcomeByTab: {}}).then((data) => {
+    data.loginOutcomeByTab[tabId] = outcome;
+    browser.storage.session.set({loginOutcomeByTab: data.loginOutcomeByTab});
+  });
+  browser.runtime.sendMessage({type: 'loginOutcome', tabId, outcome}).catch(() => {
+    // No popup is open to hear it
+  });
+}
+
+/**
+ * Generates the current two-factor code of a saved user
+ * 
+ * @param {Object} user - The stored user, with its encrypted `totp`
+ * @param {Function} cb - Callback receiving {ok, code} or {ok: false, error}
+ */
+function generateUserTotp(user, cb) {
+  getVaultKey(key => {
+    if (!key) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    decryptSecret(key, user.totp)
+      .then(json => generateTotp(JSON.parse(json)))
+      .then(code => cb({ok: true, code}), (error) => {
+        console.error('Unable to generate two-factor code:', error);
+        cb({ok: false, error: 'decrypt-failed'});
+      });
+  });
+}
+
+/**
+ * Handles the report of the page a tab landed on after a quick login
+ * 
+ * Outcomes detected by the content script:
+ * - success: the login went through to the backend or the redirect target;
+ *   a login from the login page also gets the user's post-login `landing`
+ * - rejected: the login form came back with an error
+ * - totp: Odoo asks for a two-factor code; users with a saved secret get
+ *   the code in the response, once, and the login stays pending
+ * - database: Odoo asks which database to use
+ * - unknown: still on the login form, e.g. a fill-only login not yet submitted
+ * 
+ * @param {number} tabId - The tab reporting
+ * @param {string} outcome - One of the outcomes above
+ * @param {string} [message] - The error shown by Odoo, if any
+ * @param {string|null} jar - The cookie jar of the tab, see sessionJarKey; a
+ *   successful login is shown on the tabs sharing it
+ * @param {Function} cb - Callback receiving {ok, outcome, username, label, message,
+ *   loginFailures, failing, code, submit, totpError, landing}, or {ok: false} when no quick login is pending
+ */
+function handleLoginLanding(tabId, outcome, message, jar, cb) {
+  if (outcome === 'unknown') {
+    cb({ok: false});
+    return;
+  }
+  getPendingLogin(tabId, pending => {
+    if (!pending) {
+      cb({ok: false});
+      return;
+    }
+    getEffectiveUsers(pending.instanceKey, users => {
+      const user = users.find(candidate => candidate.username === pending.username);
+      if (!user) {
+        setPendingLogin(tabId, null);
+        cb({ok: false});
+        return;
+      }
+      const result = {ok: true, outcome, username: user.username, label: user.label || '', message: message || ''};
+      if (outcome === 'success' && pending.landing && (user.landing || user.lang)) {
+        result.landing = {target: user.landing || '', lang: user.lang || ''};
+      }
+      const finish = () => recordLoginOutcome(pending.instanceKey, user.username, result.outcome, loginFailures => {
+        result.loginFailures = loginFailures;
+        result.failing = loginFailures >= FAILING_LOGIN_THRESHOLD;
+        announceLoginOutcome(tabId, {
+          outcome: result.outcome,
+          username: result.username,
+          label: result.label,
+          message: result.message,
+          loginFailures
+        });
+        cb(result);
+      });
+      if (outcome === 'totp' && pending.totpSent) {
+        // Back on the two-factor page after submitting a code
+        setPendingLogin(tabId, null);
+        result.outcome = 'totp-rejected';
+        finish();
+      } else if (outcome === 'totp' && user.totp) {
+        setPendingLogin(tabId, Object.assign({}, pending, {totpSent: true}));
+        generateUserTotp(user, code => {
+          if (code.ok) {
+            result.code = code.code;
+            result.submit = pending.submit;
+          } else {
+            result.totpError = code.error;
+          }
+          finish();
+        });
+      } else if (outcome === 'success' && jar) {
+        setPendingLogin(tabId, null);
+        setJarSession(jar, {instanceKey: pending.instanceKey, username: user.username, label: user.label || '',
+          color: user.color || ''}, finish);
+      } else {
+        setPendingLogin(tabId, null);
+        finish();
+      }
+    });
+  });
+}
+
+/**
+ * Sends a login to a tab and follows it up to the page it lands on
+ * 
+ * The login is remembered for the tab so that the next page can report
+ * whether it succeeded; a login rejected over JSON-RPC is recorded
+ * right away.
+ * 
+ * The message carries a password, so it is only sent to a tab that
+ * reported the user's instance; a tab that navigated elsewhere since,
+ * or a page claiming another instance, gets nothing.
+ * 
+ * @param {number} tabId - The tab that should log in
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {Object} message - A `fillLogin`, `rpcLogin`, `switchLogin` or `impersonateLogin` message
+ * @param {Function} cb - Callback receiving {ok, error, message, loginFailures, failing}
+ */
+function sendTrackedLogin(tabId, instanceKey, message, cb) {
+  browser.storage.session.get({instanceByTab: {}}).then((data) => {
+    if (data.instanceByTab[tabId] !== instanceKey) {
+      cb({ok: false, error: 'other-instance'});
+      return;
+    }
+    const pending = {
+      instanceKey,
+      username: message.username,
+      submit: message.submit !== false,
+      // Switching users goes back to the page the tab was on
+      landing: message.type === 'fillLogin' || message.type === 'rpcLogin',
+      expiresAt: Date.now() + LOGIN_PENDING_MS
+    };
+    setPendingLogin(tabId, pending, () => sendLoginToTab(tabId, message, result => {
+      if (result.ok) {
+        cb(result);
+        return;
+      }
+      setPendingLogin(tabId, null);
+      if (result.error !== 'rejected') {
+        cb(result);
+        return;
+      }
+      recordLoginOutcome(instanceKey, message.username, 'rejected', loginFailures => {
+        getEffectiveUsers(instanceKey, users => {
+          const user = users.find(candidate => candidate.username === message.username);
+          announceLoginOutcome(tabId, {
+            outcome: 'rejected',
+            username: message.username,
+            label: (user && user.label) || '',
+            message: result.message || '',
+            loginFailures
+          });
+        });
+        cb(Object.assign({}, result, {loginFailures, failing: loginFailures >= FAILING_LOGIN_THRESHOLD}));
+      });
+    }));
+  });
+}
+
+/**
+ * Logs a tab in as one of the saved users of an instance
+ * 
+ * The password is decrypted here and sent only to the content script
+ * of the target tab, which either fills and submits the login form or
+ * authenticates through JSON-RPC, depending on the `loginMode` setting.
+ * 
+ * The instance's environment can override this: a fill-only environment
+ * always fills the form without submitting it, and a confirming one has
+ * the content script ask before logging in.
+ * 
+ * @param {number} tabId - The tab showing the Odoo login page
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {number} index - Position of the user in the instance's list
+ * @param {Function} cb - Callback receiving {ok, error, message}
+ */
+function loginAs(tabId, instanceKey, index, cb) {
+  decryptUser(instanceKey, index, credentials => {
+    if (!credentials.ok) {
+      cb(credentials);
+      return;
+    }
+    getSettings(settings => getInstanceEnvironment(instanceKey, environment => {
+      const submit = !environment || environment.autoSubmit;
+      const type = settings.loginMode === 'rpc' && submit ? 'rpcLogin' : 'fillLogin';
+      sendTrackedLogin(tabId, instanceKey, {
+        type,
+        username: credentials.username,
+        password: credentials.password,
+        totp: credentials.hasTotp,
+        submit,
+        confirmEnvironment: environment && environment.confirm ? environment.label : null
+      }, cb);
+    }));
+  });
+}
+
+/**
+ * Switches a logged-in backend tab over to another saved user
+ * 
+ * The content script logs the current session out and authenticates
+ * through JSON-RPC, since there is no login form to fill in the backend.
+ * For the same reason, fill-only environments ask for confirmation here.
+ * 
+ * @param {number} tabId - The tab showing the Odoo backend
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {number} index - Position of the user in the instance's list
+ * @param {Function} cb - Callback receiving {ok, error, message}
+ */
+function switchUser(tabId, instanceKey, index, cb) {
+  decryptUser(instanceKey, index, credentials => {
+    if (!credentials.ok) {
+      cb(credentials);
+      return;
+    }
+    getInstanceEnvironment(instanceKey, environment => {
+      const careful = environment && (environment.confirm || !environment.autoSubmit);
+      sendTrackedLogin(tabId, instanceKey, {
+        type: 'switchLogin',
+        username: credentials.username,
+        password: credentials.password,
+        totp: credentials.hasTotp,
+        confirmEnvironment: careful ? environment.label : null
+      }, cb);
+    });
+  });
+}
+
+/**
+ * Decrypts saved users into import/export entries
+ * 
+ * @param {string|null} instanceKey - Only export this instance, or null for all
+ * @param {Function} cb - Callback receiving {ok, entries} or {ok: false, error}
+ */
+function decryptEntries(instanceKey, cb) {
+  getVaultKey(key => {
+    if (!key) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    browser.storage.local.get({usersByInstance: {}}).then((data) => {
+      const pending = [];
+      Object.keys(data.usersByInstance).forEach(instance => {
+        if (instanceKey && instance !== instanceKey) return;
+        data.usersByInstance[instance].forEach(user => {
+          pending.push(Promise.all([
+            decryptSecret(key, user.secret),
+            user.totp ? decryptSecret(key, user.totp) : null
+          ]).then(([password, totp]) => ({
+            instance,
+            label: user.label || '',
+            login: user.username,
+            password,
+            tags: user.tags || [],
+            color: user.color || '',
+            note: user.note || '',
+            totp: totp ? buildOtpauthUri(JSON.parse(totp), user.username) : '',
+            landing: user.landing || '',
+            lang: user.lang || ''
+          })));
+        });
+      });
+      Promise.all(pending).then(entries => cb({ok: true, entries}), (error) => {
+        console.error('Unable to decrypt saved users:', error);
+        cb({ok: false, error: 'decrypt-failed'});
+      });
+    });
+  });
+}
+
+/**
+ * Reads the entries of an import file, decrypting it if needed
+ * 
+ * @param {string} text - The file contents
+ * @param {string} passphrase - The file's passphrase, if it is encrypted
+ * @returns {Promise<Array>} The entries in the file
+ */
+function readImportFile(text, passphrase) {
+  if (!isEncryptedBackup(text)) return Promise.resolve().then(() => parseEntries(text));
+  if (!passphrase) return Promise.reject(new Error('This file is encrypted. Enter its passphrase.'));
+  return decryptBackup(text, passphrase).then(parseEntries);
+}
+
+/**
+ * Plans an import against the currently saved users
+ * 
+ * @param {Object} message - Message with the file `text`, `passphrase` and import `mode`
+ * @param {Function} cb - Callback receiving {ok, plan} or {ok: false, error, message}
+ */
+function prepareImport(message, cb) {
+  if (!IMPORT_MODES.includes(message.mode)) {
+    cb({ok: false, error: 'invalid', message: 'Unknown import mode.'});
+    return;
+  }
+  readImportFile(message.text, message.passphrase).then(entries => {
+    decryptEntries(null, existing => {
+      if (!existing.ok) {
+        cb(existing);
+        return;
+      }
+      const existingByInstance = {};
+      existing.entries.forEach(entry => {
+        (existingByInstance[entry.instance] = existingByInstance[entry.instance] || []).push(entry);
+      });
+      cb({ok: true, plan: planImport(existingByInstance, entries, message.mode)});
+    });
+  }, (error) => cb({ok: false, error: 'invalid', message: error.message}));
+}
+
+/**
+ * Encrypts an import/export entry into a stored user
+ * 
+ * @param {CryptoKey} key - The vault key
+ * @param {Object} entry - Entry with login, password and optional details and `totp` URI
+ * @returns {Promise<Object>} The user, as saved under its instance
+ */
+function encryptEntry(key, entry) {
+  const totpConfig = entry.totp ? parseTotpInput(entry.totp) : null;
+  return Promise.all([
+    encryptSecret(key, entry.password),
+    totpConfig ? encryptSecret(key, JSON.stringify(totpConfig)) : null
+  ]).then(([secret, totp]) => {
+    const user = {username: entry.login, secret};
+    if (totp) user.totp = totp;
+    applyUserMetadata(user, entry);
+    return user;
+  });
+}
+
+/**
+ * Writes a planned import to storage
+ * 
+ * @param {Object} plan - Result of planImport
+ * @param {Function} cb - Callback receiving {ok} or {ok: false, error, message}
+ */
+function applyImport(plan, cb) {
+  getVaultKey(key => {
+    if (!key) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    const toStoredUser = entry => encryptEntry(key, entry);
+    const instances = Object.keys(plan);
+    Promise.all(instances.map(instance => Promise.all([
+      Promise.all(plan[instance].added.map(toStoredUser)),
+      Promise.all(plan[instance].updated.map(toStoredUser))
+    ]))).then(results => browser.storage.local.get({usersByInstance: {}}).then((data) => {
+      instances.forEach((instance, idx) => {
+        const added = results[idx][0];
+        const updated = results[idx][1];
+        const removed = plan[instance].removed.map(entry => entry.login);
+        const users = (data.usersByInstance[instance] || [])
+          .filter(user => !removed.includes(user.username))
+          .map(user => {
+            const imported = updated.find(other => other.username === user.username);
+            if (!imported) return user;
+            // The file replaces what it holds; favorites, usage and failed logins are kept
+            const merged = Object.assign({}, user);
+            ['secret', 'totp'].concat(USER_METADATA_FIELDS).forEach(field => delete merged[field]);
+            return Object.assign(merged, imported);
+          });
+        data.usersByInstance[instance] = users.concat(added);
+      });
+      return browser.storage.local.set({usersByInstance: data.usersByInstance});
+    })).then(() => {
+      cb({ok: true});
+    }).catch(error => {
+      cb({ok: false, error: 'invalid', message: error.message});
+    });
+  });
+}
+
+/**
+ * Reduces an import plan to logins so no password leaves the worker
+ * 
+ * @param {Object} plan - Result of planImport
+ * @returns {Object} The same structure with login strings instead of entries
+ */
+function summarizeImportPlan(plan) {
+  const summary = {};
+  Object.keys(plan).forEach(instance => {
+    summary[instance] = {};
+    Object.keys(plan[instance]).forEach(change => {
+      summary[instance][change] = plan[instance][change].map(entry => entry.login);
+    });
+  });
+  return summary;
+}
+
+// How the passwords of users imported from the database are filled in
+const DATABASE_PASSWORD_RULES = ['manual', 'login', 'fixed'];
+
+/**
+ * Lists the users of the database open in a tab
+ * 
+ * @param {number} tabId - The tab showing the Odoo backend
+ * @param {string} instanceKey - The instance open in the tab
+ * @param {Function} cb - Callback receiving {ok, users, impersonation} with users
+ *   as {login, name, share, saved} and whether they can be impersonated,
+ *   or {ok: false, error, message}
+ */
+function listDatabaseUsers(tabId, instanceKey, cb) {
+  browser.tabs.sendMessage(tabId, {type: 'listDatabaseUsers'}).then(response => {
+    if (!response || !response.ok) {
+      cb(response || {ok: false, error: 'no-login-page'});
+      return;
+    }
+    getEffectiveUsers(instanceKey, users => checkImpersonation(instanceKey, impersonation => {
+      cb({ok: true, impersonation: impersonation.ok, users: response.users.map(user => Object.assign(user, {
+        saved: users.some(savedUser => savedUser.username === user.login)
+      }))});
+    }));
+  }, () => cb({ok: false, error: 'no-login-page'}));
+}
+
+/**
+ * Saves users read from the database as users of the instance
+ * 
+ * Logins that are already saved, as instance users or templates, are
+ * skipped. The Odoo name of a user becomes its display name.
+ * 
+ * @param {string} instanceKey - The instance to save the users for
+ * @param {Array} entries - The chosen users, {login, name, password}; the
+ *   password is only read with the 'manual' rule
+ * @param {string} rule - One of DATABASE_PASSWORD_RULES: 'manual', 'login'
+ *   (the password is the login, like Odoo's demo users) or 'fixed'
+ * @param {string} password - The password of every user with the 'fixed' rule
+ * @param {Function} cb - Callback receiving {ok, added} or {ok: false, error, message}
+ */
+function importDatabaseUsers(instanceKey, entries, rule, password, cb) {
+  if (!DATABASE_PASSWORD_RULES.includes(rule)) {
+    cb({ok: false, error: 'invalid', message: 'Unknown password rule.'});
+    return;
+  }
+  const passwordOf = entry => (rule === 'login' ? entry.login : rule === 'fixed' ? password : entry.password);
+  const missing = entries.find(entry => !entry.login || !passwordOf(entry));
+  if (missing) {
+    cb({ok: false, error: 'invalid', message: rule === 'fixed'
+      ? 'Enter the password of the imported users.'
+      : 'Enter a password for ' + (missing.login || 'every user') + '.'});
+    return;
+  }
+  getVaultKey(key => {
+    if (!key) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    getEffectiveUsers(instanceKey, savedUsers => {
+      const added = entries.filter((entry, idx) =>
+        !savedUsers.some(user => user.username === entry.login) &&
+        entries.findIndex(other => other.login === entry.login) === idx);
+      Promise.all(added.map(entry => encryptSecret(key, passwordOf(entry)))).then(secrets => {
+        getUsersForInstance(instanceKey, users => {
+          added.forEach((entry, idx) => {
+            const user = {username: entry.login, secret: secrets[idx]};
+            applyUserMetadata(user, {label: entry.name !== entry.login ? entry.name : ''});
+            users.push(user);
+          });
+          saveUsersForInstance(instanceKey, users, () => cb({ok: true, added: added.length}));
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Checks whether users may be impersonated on an instance
+ * 
+ * Impersonation overwrites passwords in the database, so it needs the
+ * setting turned on, a configured password and an instance tagged as
+ * development by hand. URL rules are not enough: a broad rule could
+ * match a production server.
+ * 
+ * @param {string} instanceKey - The instance to check
+ * @param {Function} cb - Callback receiving {ok, secret} with the encrypted
+ *   impersonation password, or {ok: false, error, message}
+ */
+function checkImpersonation(instanceKey, cb) {
+  getSettings(settings => {
+    browser.storage.local.get({instanceEnvironments: {}, impersonationSecret: null}).then((data) => {
+      if (!settings.impersonation || !data.impersonationSecret) {
+        cb({ok: false, error: 'impersonation-off', message: 'Turn on impersonation on the options page first.'});
+      } else if (data.instanceEnvironments[instanceKey] !== 'dev' || !instanceKey.includes('|')) {
+        cb({ok: false, error: 'not-dev', message: 'Impersonation only runs on instances tagged as Development.'});
+      } else {
+        cb({ok: true, secret: data.impersonationSecret});
+      }
+    });
+  });
+}
+
+/**
+ * Logs a backend tab in as a database user whose password is unknown
+ * 
+ * The content script checks that the tab is still logged in to the
+ * instance's database, sets the user's password to the impersonation
+ * password with the current (administrator) session, then switches to
+ * the user like switchUser. Saved users are refused, since their saved
+ * password would stop working.
+ * 
+ * @param {number} tabId - The tab showing the Odoo backend
+ * @param {string} instanceKey - The instance open in the tab
+ * @param {string} login - The login of the database user
+ * @param {Function} cb - Callback receiving {ok, error, message}
+ */
+function impersonateUser(tabId, instanceKey, login, cb) {
+  checkImpersonation(instanceKey, allowed => {
+    if (!allowed.ok) {
+      cb(allowed);
+      return;
+    }
+    getEffectiveUsers(instanceKey, users => {
+      if (users.some(user => user.username === login)) {
+        cb({ok: false, error: 'invalid', message: login + ' is saved; log in as the saved user instead.'});
+        return;
+      }
+      getVaultKey(key => {
+        if (!key) {
+          cb({ok: false, error: 'locked'});
+          return;
+        }
+        decryptSecret(key, allowed.secret).then(password => {
+          sendTrackedLogin(tabId, instanceKey, {
+            type: 'impersonateLogin',
+            username: login,
+            password,
+            db: instanceKey.slice(instanceKey.lastIndexOf('|') + 1)
+          }, cb);
+        }, (error) => {
+          console.error('Unable to decrypt the impersonation password:', error);
+          cb({ok: false, error: 'decrypt-failed'});
+        });
+      });
+    });
+  });
+}
+
+// Team files given by URL are fetched again on unlock once this old
+const TEAM_FILE_REFRESH_MS = 60 * 60 * 1000;
+// Fields of a team user that this browser tracks and keeps across reloads
+const TEAM_LOCAL_FIELDS = ['favorite', 'lastUsedAt', 'useCount', 'loginFailures'];
+
+/**
+ * Replaces the stored team users with the users of a team file
+ * 
+ * The file is an export of this extension (see backup.js), encrypted with
+ * its own passphrase or not. Its users are stored encrypted with the
+ * vault key like personal ones, so they are listed while the vault is
+ * locked and their passwords decrypted only to log in. A file that cannot
+ * be read leaves the previous team users in place.
+ * 
+ * @param {string} text - The file contents
+ * @param {Object} source - {url} or {fileName} the file was read from, and its
+ *   `passphrase`; the stored passphrase is used again when none is given
+ * @param {Function} cb - Callback receiving {ok, count} or {ok: false, error, message}
+ */
+function loadTeamFile(text, source, cb) {
+  getVaultKey(key => {
+    if (!key) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    browser.storage.local.get({teamSource: null, teamUsers: []}).then((data) => {
+      const stored = data.teamSource && data.teamSource.passphrase;
+      const passphrase = source.passphrase
+        ? Promise.resolve(source.passphrase)
+        : stored ? decryptSecret(key, stored) : Promise.resolve('');
+      const teamSource = {
+        url: source.url || '',
+        fileName: source.fileName || '',
+        passphrase: null,
+        loadedAt: Date.now(),
+        count: 0,
+        error: ''
+      };
+      passphrase.then(plaintext => Promise.all([
+        readImportFile(text, plaintext).then(entries => Promise.all(entries.map(entry => encryptEntry(key, entry).then(user => {
+          user.teamId = entry.instance + '\n' + entry.login;
+          user.instance = entry.instance;
+          const previous = data.teamUsers.find(member => member.teamId === user.teamId);
+          if (previous) TEAM_LOCAL_FIELDS.filter(field => field in previous).forEach(field => { user[field] = previous[field]; });
+          return user;
+        })))),
+        plaintext ? encryptSecret(key, plaintext) : null
+      ])).then(([teamUsers, secret]) => {
+        teamSource.passphrase = secret;
+        teamSource.count = teamUsers.length;
+        browser.storage.local.set({teamSource, teamUsers}).then(() => cb({ok: true, count: teamUsers.length}));
+      }, (error) => {
+        teamSource.error = error.message;
+        teamSource.passphrase = stored || null;
+        teamSource.count = data.teamUsers.length;
+        teamSource.loadedAt = data.teamSource ? data.teamSource.loadedAt : null;
+        browser.storage.local.set({teamSource}).then(() => cb({ok: false, error: 'invalid', message: error.message}));
+      });
+    });
+  });
+}
+
+/**
+ * Fetches a team file from its URL and loads it
+ * 
+ * @param {string} url - http(s) URL of the file; the options page asks for access to its origin
+ * @param {string} [passphrase] - The file's passphrase, if it is encrypted
+ * @param {Function} cb - Callback receiving the result of loadTeamFile
+ */
+function fetchTeamFile(url, passphrase, cb) {
+  fetch(url, {cache: 'no-store', credentials: 'omit'}).then(response => {
+    if (!response.ok) throw new Error('The team file could not be downloaded (HTTP ' + response.status + ').');
+    return response.text();
+  }).then(text => loadTeamFile(text, {url, passphrase}, cb), (error) => {
+    const message = error.message.startsWith('The team file') ? error.message : 'The team file could not be downloaded.';
+    // The users of the last download stay listed
+    browser.storage.local.get({teamSource: null}).then((data) => {
+      const teamSource = Object.assign({loadedAt: null, count: 0, passphrase: null}, data.teamSource, {url, fileName: '', error: message});
+      browser.storage.local.set({teamSource}).then(() => cb({ok: false, error: 'invalid', message}));
+    });
+  });
+}
+
+/**
+ * Fetches the team file again when it comes from a URL and is getting old
+ * 
+ * @param {Function} [cb] - Callback function called once done
+ */
+function refreshTeamFile(cb) {
+  const done = cb || (() => {});
+  browser.storage.local.get({teamSource: null}).then((data) => {
+    const source = data.teamSource;
+    if (!source || !source.url || Date.now() - source.loadedAt < TEAM_FILE_REFRESH_MS) {
+      done();
+      return;
+    }
+    fetchTeamFile(source.url, null, done);
+  });
+}
+
+/**
+ * Hashes the synced part of storage, to tell whether it changed
+ * 
+ * @param {Object} data - {usersByInstance, userTemplates}
+ * @returns {Promise<string>} Base64 SHA-256 of the data's JSON
+ */
+function digestSyncData(data) {
+  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(data)))
+    .then(hash => bytesToBase64(new Uint8Array(hash)));
+}
+
+/**
+ * Reads the vault another device or this one synced
+ * 
+ * @param {Function} cb - Callback receiving null when nothing is synced, otherwise
+ *   {header, text}; `text` is null while chunks are missing
+ */
+function readSyncedVault(cb) {
+  browser.storage.sync.get({[SYNC_KEY]: null}).then((data) => {
+    const header = data[SYNC_KEY];
+    if (!header) {
+      cb(null);
+      return;
+    }
+    browser.storage.sync.get(syncChunkKeys(header.chunks)).then(items => cb({header, text: joinSyncChunks(header, items)}));
+  });
+}
+
+/**
+ * Encrypts saved users and templates with the vault key and syncs them
+ * 
+ * Chunks left over from a larger earlier version are removed first, so
+ * the old and new versions never need room in the quota at once.
+ * 
+ * @param {CryptoKey} key - The vault key
+ * @param {Object} vault - The stored vault, whose salt and check value are synced along
+ * @param {Object} data - {usersByInstance, userTemplates}
+ * @param {Function} cb - Callback receiving {ok, header, size} or {ok: false, error, message}
+ */
+function writeSyncedVault(key, vault, data, cb) {
+  encryptSecret(key, JSON.stringify(data)).then(blob => {
+    const header = {
+      version: 1,
+      // Tells versions apart; two devices can write within the same millisecond
+      revision: crypto.randomUUID(),
+      updatedAt: Date.now(),
+      vault: {salt: vault.salt, iterations: vault.iterations, check: vault.check}
+    };
+    const items = buildSyncItems(header, JSON.stringify(blob));
+    const size = measureSyncItems(items);
+    if (size > SYNC_QUOTA_BYTES) {
+      cb({ok: false, error: 'too-large', message: 'The saved users take ' + Math.ceil(size / 1024) +
+        ' KB encrypted, more than the ' + SYNC_QUOTA_BYTES / 1024 + ' KB browser sync holds.'});
+      return;
+    }
+    browser.storage.sync.get({[SYNC_KEY]: null}).then((previous) => {
+      const stale = previous[SYNC_KEY] ? syncChunkKeys(previous[SYNC_KEY].chunks).slice(items[SYNC_KEY].chunks) : [];
+      return browser.storage.sync.remove(stale).then(() => browser.storage.sync.set(items));
+    }).then(() => cb({ok: true, header: items[SYNC_KEY], size}), (error) => {
+      cb({ok: false, error: 'sync-failed', message: error.message});
+    });
+  });
+}
+
+/**
+ * Brings the saved users of this device and the synced vault in step
+ * 
+ * Compares both with the state they were in after the last sync: when
+ * only one side changed, the other takes its version, removals included;
+ * when both changed, they are merged (see mergeSyncedData). Users and
+ * templates travel encrypted with the vault key as a whole, so the vault
+ * must be unlocked; runs again on unlock otherwise.
+ * 
+ * A device without a vault takes the synced one, to be unlocked with the
+ * passphrase set on the other device. A device whose own vault has
+ * another passphrase stops with the status 'other-vault' until the user
+ * picks one of the two, see joinSyncedVault and replaceSyncedVault.
+ * 
+ * @param {Function} [cb] - Callback receiving the new syncState
+ */
+function runVaultSync(cb) {
+  const done = (changes) => browser.storage.local.get({syncState: {}}).then((data) => {
+    const syncState = Object.assign({}, data.syncState, {message: ''}, changes);
+    browser.storage.local.set({syncState}).then(() => (cb || (() => {}))(syncState));
+  });
+  const defaults = {vault: null, usersByInstance: {}, userTemplates: [], syncState: {}};
+  getSettings(settings => {
+    if (!settings.syncVault) {
+      done({status: 'off'});
+      return;
+    }
+    Promise.all([browser.storage.local.get(defaults), new Promise(readSyncedVault)]).then(([local, remote]) => {
+      if (!local.vault && remote) {
+        const vault = Object.assign({}, remote.header.vault, {autoLockMinutes: VAULT_DEFAULT_AUTO_LOCK_MINUTES});
+        browser.storage.local.set({vault}).then(() => done({status: 'locked'}));
+        return;
+      }
+      if (!local.vault) {
+        done({status: 'no-vault'});
+        return;
+      }
+      if (remote && remote.header.vault.salt !== local.vault.salt) {
+        done({status: 'other-vault'});
+        return;
+      }
+      getVaultKey(key => {
+        if (!key) {
+          done({status: 'locked'});
+          return;
+        }
+        const data = {usersByInstance: local.usersByInstance, userTemplates: local.userTemplates};
+        const push = (pushed) => writeSyncedVault(key, local.vault, pushed, result => {
+          if (!result.ok) {
+            done({status: result.error, message: result.message});
+            return;
+          }
+          digestSyncData(pushed).then(digest => done({
+            status: 'ok', revision: result.header.revision, digest, syncedAt: Date.now(), size: result.size
+          }));
+        });
+        digestSyncData(data).then(digest => {
+          const localChanged = digest !== local.syncState.digest;
+          if (!remote || (remote.header.revision === local.syncState.revision && localChanged)) {
+            push(data);
+            return;
+          }
+          if (remote.header.revision === local.syncState.revision) {
+            done({status: 'ok', syncedAt: Date.now()});
+            return;
+          }
+          if (!remote.text) {
+            done({status: 'incomplete'}); // The rest of the chunks trigger another run
+            return;
+          }
+          Promise.resolve().then(() => decryptSecret(key, JSON.parse(remote.text))).then(JSON.parse).then(remoteData => {
+            const merged = localChanged ? mergeSyncedData(data, remoteData) : remoteData;
+            return browser.storage.local.set(merged).then(() => {
+              if (localChanged) {
+                push(merged);
+                return;
+              }
+              digestSyncData(merged).then(mergedDigest => done({
+                status: 'ok', revision: remote.header.revision, digest: mergedDigest, syncedAt: Date.now()
+              }));
+            });
+          }).catch(() => done({status: 'sync-failed', message: 'The synced data could not be read.'}));
+        });
+      });
+    }).catch(error => done({status: 'sync-failed', message: error.message}));
+  });
+}
+
+// Sync runs one at a time and a moment after the last of a burst of changes
+let vaultSyncRun = Promise.resolve();
+let vaultSyncTimer = null;
+const VAULT_SYNC_DELAY_MS = 2000;
+
+/**
+ * Runs runVaultSync once storage has been quiet for a moment
+ * 
+ * browser.storage.sync also limits how often it is written to, so a
+ * burst of changes such as an import is synced once.
+ */
+function scheduleVaultSync() {
+  clearTimeout(vaultSyncTimer);
+  vaultSyncTimer = setTimeout(() => {
+    vaultSyncRun = vaultSyncRun.then(() => new Promise(runVaultSync));
+  }, VAULT_SYNC_DELAY_MS);
+}
+
+/**
+ * Re-encrypts everything stored with one vault key with another
+ * 
+ * @param {CryptoKey} fromKey - The key the secrets are encrypted with
+ * @param {CryptoKey} toKey - The key to encrypt them with
+ * @returns {Promise<void>} Resolves once storage holds the re-encrypted secrets
+ */
+function reencryptStoredSecrets(fromKey, toKey) {
+  const defaults = {usersByInstance: {}, userTemplates: [], teamUsers: [], impersonationSecret: null, teamSource: null};
+  return browser.storage.local.get(defaults).then((data) => {
+    const reencrypt = (holder, field) => (holder && holder[field]
+      ? decryptSecret(fromKey, holder[field]).then(plaintext => encryptSecret(toKey, plaintext)).then(blob => { holder[field] = blob; })
+      : null);
+    const users = Object.keys(data.usersByInstance).reduce((all, instanceKey) => all.concat(data.usersByInstance[instanceKey]),
+      data.userTemplates.concat(data.teamUsers));
+    return Promise.all(users.map(user => Promise.all([reencrypt(user, 'secret'), reencrypt(user, 'totp')])).concat([
+      reencrypt(data, 'impersonationSecret'),
+      reencrypt(data.teamSource, 'passphrase')
+    ])).then(() => browser.storage.local.set(data));
+  });
+}
+
+/**
+ * Switches this device to the synced vault, keeping its saved users
+ * 
+ * The device's secrets are re-encrypted with the synced vault's key,
+ * then its users are merged with the synced ones on the next sync.
+ * 
+ * @param {string} passphrase - Master passphrase of the synced vault
+ * @param {Function} cb - Callback receiving {ok} or {ok: false, error}
+ */
+function joinSyncedVault(passphrase, cb) {
+  getVaultKey(localKey => {
+    if (!localKey) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    readSyncedVault(remote => {
+      if (!remote) {
+        cb({ok: false, error: 'not-synced'});
+        return;
+      }
+      const synced = remote.header.vault;
+      deriveVaultKey(passphrase, base64ToBytes(synced.salt), synced.iterations)
+        .then(key => decryptSecret(key, synced.check).then(value => {
+          if (value !== VAULT_CHECK_VALUE) throw new Error('wrong passphrase');
+          return key;
+        }))
+        .then(key => reencryptStoredSecrets(localKey, key).then(() => browser.storage.local.get({vault: null}).then((data) => {
+          const vault = Object.assign({}, synced, {autoLockMinutes: data.vault.autoLockMinutes});
+          // Forget the last sync, so this device's users are merged in rather than overwritten
+          return browser.storage.local.set({vault, syncState: {}}).then(() => new Promise(resolve => {
+            storeSessionKey(key, vault.autoLockMinutes, resolve);
+          }));
+        })))
+        .then(() => runVaultSync(() => cb({ok: true})), () => cb({ok: false, error: 'wrong-passphrase'}));
+    });
+  });
+}
+
+/**
+ * Overwrites the synced vault with this device's
+ * 
+ * Other devices then stop with the status 'other-vault' until they
+ * join this vault.
+ * 
+ * @param {Function} cb - Callback receiving the new syncState, or {ok: false, error}
+ */
+function replaceSyncedVault(cb) {
+  getVaultKey(key => {
+    if (!key) {
+      cb({ok: false, error: 'locked'});
+      return;
+    }
+    browser.storage.local.get({vault: null, usersByInstance: {}, userTemplates: []}).then((local) => {
+      const data = {usersByInstance: local.usersByInstance, userTemplates: local.userTemplates};
+      writeSyncedVault(key, local.vault, data, result => {
+        if (!result.ok) {
+          cb(result);
+          return;
+        }
+        digestSyncData(data).then(digest => {
+          const syncState = {status: 'ok', revision: result.header.revision, digest, syncedAt: Date.now(), size: result.size};
+          browser.storage.local.set({syncState}).then(() => cb(syncState));
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Retrieves the host aliases of Odoo servers
+ * 
+ * @param {Function} cb - Callback receiving the server origins keyed by alias origin
+ */
+function getHostAliases(cb) {
+  browser.storage.local.get({hostAliases: {}}).then((data) => cb(data.hostAliases));
+}
+
+/**
+ * Shows on the toolbar button which saved user a tab is logged in as
+ * 
+ * Firefox clears a tab's badge when the tab loads another page, so this
+ * runs again each time a page reports its instance.
+ * 
+ * @param {number} tabId - The tab
+ * @param {Object|null} session - {instanceKey, username, label, color}, or null
+ *   when the tab is not logged in as a saved user
+ * @param {boolean} [notifyPage] - Also have the content script put the user's name in the page title
+ */
+function showTabSession(tabId, session, notifyPage) {
+  const name = session ? session.label || session.username : '';
+  const extensionName = browser.runtime.getManifest().name;
+  Promise.all([
+    browser.action.setBadgeText({tabId, text: sessionBadgeText(name)}),
+    browser.action.setBadgeBackgroundColor({tabId, color: (session && session.color) || '#875A7B'}),
+    browser.action.setTitle({tabId, title: session ? extensionName + ' - logged in as ' + name : extensionName})
+  ]).catch(() => {
+    // The tab was closed in the meantime
+  });
+  if (notifyPage) {
+    browser.tabs.sendMessage(tabId, {type: 'showSession', session}).catch(() => {
+      // The tab left the Odoo site
+    });
+  }
+}
+
+/**
+ * Records which saved user a cookie jar is logged in as and shows it on the jar's tabs
+ * 
+ * @param {string} jar - The cookie jar, see sessionJarKey
+ * @param {Object|null} session - {instanceKey, username, label, color}, or null once logged out
+ * @param {Function} [cb] - Callback function called once saved
+ */
+function setJarSession(jar, session, cb) {
+  browser.storage.session.get({sessionByJar: {}, jarByTab: {}}).then((data) => {
+    if (session) {
+      data.sessionByJar[jar] = session;
+    } else {
+      delete data.sessionByJar[jar];
+    }
+    browser.storage.session.set({sessionByJar: data.sessionByJar}).then(() => {
+      Object.keys(data.jarByTab).filter(tabId => data.jarByTab[tabId] === jar)
+        .forEach(tabId => showTabSession(Number(tabId), session, true));
+      if (cb) cb();
+    });
+  });
+}
+
+/**
+ * Records the cookie jar of a tab showing an Odoo page and shows the jar's session on it
+ * 
+ * A login page means the jar is logged out, whoever it was logged in as.
+ * 
+ * @param {number} tabId - The tab
+ * @param {string|null} jar - The tab's cookie jar, see sessionJarKey
+ * @param {boolean} loggedOut - Whether the tab shows the login page
+ * @param {Function} cb - Callback receiving the jar's session, or null
+ */
+function trackTabSession(tabId, jar, loggedOut, cb) {
+  if (!jar) {
+    cb(null);
+    return;
+  }
+  browser.storage.session.get({sessionByJar: {}, jarByTab: {}}).then((data) => {
+    data.jarByTab[tabId] = jar;
+    browser.storage.session.set({jarByTab: data.jarByTab}).then(() => {
+      if (loggedOut && data.sessionByJar[jar]) {
+        setJarSession(jar, null, () => cb(null));
+        return;
+      }
+      const session = loggedOut ? null : data.sessionByJar[jar] || null;
+      showTabSession(tabId, session);
+      cb(session);
+    });
+  });
+}
+
+/**
+ * Opens a tab, in a private window if asked to
+ * 
+ * An open private window gets the tab; otherwise a new one is opened.
+ * 
+ * @param {string} url - The page to open
+ * @param {boolean} incognito - Whether the tab must be in a private window
+ * @returns {Promise<number>} The id of the new tab
+ */
+function openSessionTab(url, incognito) {
+  if (!incognito) return browser.tabs.create({url}).then(tab => tab.id);
+  return browser.windows.getAll({windowTypes: ['normal']}).then(windows => {
+    const privateWindow = windows.find(candidate => candidate.incognito);
+    if (privateWindow) return browser.tabs.create({windowId: privateWindow.id, url}).then(tab => tab.id);
+    return browser.windows.create({incognito: true, url}).then(created => created.tabs[0].id);
+  });
+}
+
+/**
+ * Opens a saved user in a tab of its own, next to the tabs logged in as others
+ * 
+ * The tab opens on the cookie jar pickSessionJar finds for the user:
+ * the server or one of its host aliases, in a normal or a private
+ * window. Unless the jar is logged in as the user already, its session
+ * is logged out first and the tab logs in once it shows the login page,
+ * see loginOpenedTab.
+ * 
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {number} index - Position of the user in the instance's list
+ * @param {Function} cb - Callback receiving {ok, tabId} or {ok: false, error, message}
+ */
+function openAsUser(instanceKey, index, cb) {
+  const separator = instanceKey.lastIndexOf('|');
+  getEffectiveUsers(instanceKey, users => {
+    const user = users[index];
+    // Legacy keys do not tell which server to open
+    if (!user || separator === -1) {
+      cb({ok: false, error: 'unknown-user'});
+      return;
+    }
+    getVaultKey(key => {
+      if (!key) {
+        cb({ok: false, error: 'locked'});
+        return;
+      }
+      const origin = instanceKey.slice(0, separator);
+      const db = instanceKey.slice(separator + 1);
+      Promise.all([
+        browser.storage.session.get({sessionByJar: {}, jarByTab: {}, openAsByTab: {}}),
+        browser.extension.isAllowedIncognitoAccess()
+      ]).then(([state, incognitoAllowed]) => getHostAliases(aliases => {
+        const target = pickSessionJar(origin, {instanceKey, username: user.username}, aliases, state, incognitoAllowed);
+        if (!target) {
+          cb({ok: false, error: 'no-isolation', message: 'Every address of this server is in use by another user. ' +
+            (incognitoAllowed ? 'Add a host alias for it on the options page.'
+              : 'Add a host alias for it on the options page, or allow the extension in private windows.')});
+          return;
+        }
+        const login = '/web/login' + (db ? '?db=' + encodeURIComponent(db) : '');
+        // Odoo's logout route goes on to its `redirect` parameter
+        const url = target.origin + (target.loggedIn ? '/web' : '/web/session/logout?redirect=' + encodeURIComponent(login));
+        openSessionTab(url, target.incognito).then(tabId => {
+          // The jar is taken from now on, before the tab reports its first page
+          state.jarByTab[tabId] = target.jar;
+          // Kept when reusing the user's jar too, in case its session has expired since
+          state.openAsByTab[tabId] = {instanceKey, username: user.username, expiresAt: Date.now() + LOGIN_PENDING_MS};
+          browser.storage.session.set({jarByTab: state.jarByTab, openAsByTab: state.openAsByTab})
+            .then(() => cb({ok: true, tabId, incognito: target.incognito}));
+        }, (error) => {
+          console.error('Unable to open a tab:', error);
+          cb({ok: false, error: 'internal'});
+        });
+      }));
+    });
+  });
+}
+
+/**
+ * Logs a tab opened by openAsUser in once it shows the login page
+ * 
+ * Only the first login page counts: logging out of the tab later on
+ * leaves it logged out.
+ * 
+ * @param {number} tabId - The tab showing the login page
+ */
+function loginOpenedTab(tabId) {
+  browser.storage.session.get({openAsByTab: {}}).then((data) => {
+    const pending = data.openAsByTab[tabId];
+    if (!pending) return;
+    delete data.openAsByTab[tabId];
+    browser.storage.session.set({openAsByTab: data.openAsByTab}).then(() => {
+      if (pending.expiresAt < Date.now()) return;
+      getEffectiveUsers(pending.instanceKey, users => {
+        const index = users.findIndex(user => user.username === pending.username);
+        if (index === -1) return;
+        loginAs(tabId, pending.instanceKey, index, result => {
+          // Like after a keyboard shortcut, the palette tells why and offers the other users
+          if (!result.ok) browser.tabs.sendMessage(tabId, {type: 'openPalette', error: result}).catch(() => {});
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Runs a keyboard command from the manifest's `commands` on a tab
+ * 
+ * - `open-palette` opens the quick login palette in the page
+ * - `login-user-<n>` logs in as the nth saved user of the tab's instance;
+ *   when that fails, the palette opens with the reason so the user can
+ *   pick someone else without reaching for the mouse
+ * 
+ * @param {string} command - The command name
+ * @param {number} tabId - The tab the command was given in
+ */
+function runCommand(command, tabId) {
+  const openPalette = error => browser.tabs.sendMessage(tabId, {type: 'openPalette', error}).catch(() => {
+    // Pages without the content script (e.g. sites not added) ignore shortcuts
+  });
+  if (command === 'open-palette') {
+    openPalette(null);
+    return;
+  }
+  const match = /^login-user-(\d+)$/.exec(command);
+  if (!match) return;
+  detectInstanceForTab(tabId, instanceKey => {
+    if (!instanceKey) return;
+    // The shortcuts follow the order users are listed in
+    getEffectiveUsers(instanceKey, users => getSettings(settings => {
+      const index = orderUsers(users, settings.userSort)[Number(match[1]) - 1];
+      if (index === undefined) {
+        openPalette({ok: false, error: 'unknown-user'});
+        return;
+      }
+      loginAs(tabId, instanceKey, index, result => {
+        if (!result.ok) openPalette(result);
+      });
+    }));
+  });
+}
+
+/**
+ * Message handlers, keyed by message type
+ * 
+ * Each handler receives the message, its sender and a respond callback.
+ * Content scripts may only send the types in CONTENT_SCRIPT_MESSAGES.
+ */
+const messageHandlers = {
+  getVaultState(message, sender, respond) {
+    getVaultState(respond);
+  },
+
+  createVault(message, sender, respond) {
+    createVault(message.passphrase, () => respond({ok: true}));
+  },
+
+  unlockVault(message, sender, respond) {
+    unlockVault(message.passphrase, ok => {
+      if (ok) {
+        refreshTeamFile();
+        scheduleVaultSync();
+      }
+      respond({ok});
+    });
+  },
+
+  lockVault(message, sender, respond) {
+    lockVault(() => respond({ok: true}));
+  },
+
+  setAutoLock(message, sender, respond) {
+    setAutoLockMinutes(message.minutes, () => respond({ok: true}));
+  },
+
+  getSettings(message, sender, respond) {
+    getSettings(respond);
+  },
+
+  setUserSort(message, sender, respond) {
+    saveSettings(USER_SORT_MODES.includes(message.sort) ? {userSort: message.sort} : {}, respond);
+  },
+
+  saveSettings(message, sender, respond) {
+    const changes = Object.assign({}, message.settings);
+    if ('userSort' in changes && !USER_SORT_MODES.includes(changes.userSort)) delete changes.userSort;
+    if ('dropdownPlacement' in changes && !DROPDOWN_PLACEMENTS.includes(changes.dropdownPlacement)) {
+      delete changes.dropdownPlacement;
+    }
+    if ('teamConflict' in changes && !TEAM_CONFLICT_MODES.includes(changes.teamConflict)) delete changes.teamConflict;
+    delete changes.impersonation; // Needs its password, see saveImpersonation
+    delete changes.syncVault; // See setVaultSync
+    saveSettings(changes, respond);
+  },
+
+  getImpersonation(message, sender, respond) {
+    getSettings(settings => browser.storage.local.get({impersonationSecret: null}).then((data) => {
+      respond({enabled: settings.impersonation, hasPassword: !!data.impersonationSecret});
+    }));
+  },
+
+  saveImpersonation(message, sender, respond) {
+    // The password is stored encrypted with the vault key, like saved passwords
+    browser.storage.local.get({impersonationSecret: null}).then((data) => {
+      if (message.enabled && !message.password && !data.impersonationSecret) {
+        respond({ok: false, error: 'invalid', message: 'Enter the password to give impersonated users.'});
+        return;
+      }
+      getVaultKey(key => {
+        if (!key && message.password) {
+          respond({ok: false, error: 'locked'});
+          return;
+        }
+        (message.password ? encryptSecret(key, message.password) : Promise.resolve(data.impersonationSecret)).then(secret => {
+          return browser.storage.local.set({impersonationSecret: secret}).then(() => {
+            saveSettings({impersonation: !!message.enabled}, settings => {
+              respond({ok: true, enabled: settings.impersonation, hasPassword: !!secret});
+            });
+          });
+        }).catch(error => {
+          respond({ok: false, error: 'invalid', message: error.message});
+        });
+      });
+    });
+  },
+
+  getSyncStatus(message, sender, respond) {
+    getSettings(settings => browser.storage.local.get({syncState: {}, teamSource: null}).then((data) => {
+      const team = data.teamSource;
+      respond({
+        enabled: settings.syncVault,
+        state: data.syncState,
+        teamConflict: settings.teamConflict,
+        // The team file's passphrase never leaves the background
+        team: team && {url: team.url, fileName: team.fileName, hasPassphrase: !!team.passphrase,
+          loadedAt: team.loadedAt, count: team.count, error: team.error}
+      });
+    }));
+  },
+
+  setVaultSync(message, sender, respond) {
+    saveSettings({syncVault: !!message.enabled}, () => {
+      if (!message.enabled) {
+        browser.storage.local.set({syncState: {}}).then(() => respond({status: 'off'}));
+        return;
+      }
+      vaultSyncRun = vaultSyncRun.then(() => new Promise(runVaultSync)).then(respond);
+    });
+  },
+
+  syncNow(message, sender, respond) {
+    vaultSyncRun = vaultSyncRun.then(() => new Promise(runVaultSync)).then(respond);
+  },
+
+  joinSyncedVault(message, sender, respond) {
+    joinSyncedVault(message.passphrase, respond);
+  },
+
+  replaceSyncedVault(message, sender, respond) {
+    replaceSyncedVault(respond);
+  },
+
+  loadTeamFile(message, sender, respond) {
+    if (message.url) {
+      fetchTeamFile(message.url, message.passphrase, respond);
+      return;
+    }
+    loadTeamFile(message.text, {fileName: message.fileName, passphrase: message.passphrase}, respond);
+  },
+
+  removeTeamSource(message, sender, respond) {
+    browser.storage.local.remove(['teamSource', 'teamUsers']).then(() => respond({ok: true}));
+  },
+
+  getLoginHistory(message, sender, respond) {
+    getEffectiveUsers(message.instanceKey, users => browser.storage.local.get({loginHistory: {}}).then((data) => {
+      respond({history: (data.loginHistory[message.instanceKey] || []).map(entry => {
+        const user = users.find(candidate => candidate.username === entry.username);
+        return {username: entry.username, label: (user && user.label) || '', at: entry.at, saved: !!user};
+      })});
+    }));
+  },
+
+  listSites(message, sender, respond) {
+    getSites(sites => {
+      const patterns = sites.map(site => parseSitePattern(site).matchPattern);
+      checkHostPermissions(patterns).then(granted => getMissingInstanceOrigins(suggestions => respond({
+        sites: sites.map((site, idx) => ({site, granted: granted[idx]})),
+        suggestions
+      })));
+    });
+  },
+
+  addSite(message, sender, respond) {
+    // The options page requests the host permission before sending this
+    const parsed = parseSitePattern(message.site);
+    if (!parsed) {
+      respond({ok: false, error: 'invalid', message: 'Not a valid site.'});
+      return;
+    }
+    saveSite(parsed, respond);
+  },
+
+  removeSite(message, sender, respond) {
+    getSites(sites => {
+      const parsed = parseSitePattern(message.site);
+      browser.storage.local.set({sites: sites.filter(site => site !== message.site)}).then(() => {
+        syncContentScripts(() => {
+          if (!parsed) {
+            respond({ok: true});
+            return;
+          }
+          browser.permissions.remove({origins: [parsed.matchPattern]}).catch(() => false).then(() => respond({ok: true}));
+        });
+      });
+    });
+  },
+
+  getActiveInstance(message, sender, respond) {
+    browser.tabs.query({active: true, currentWindow: true}).then((tabs) => {
+      if (!tabs[0]) {
+        respond({tabId: null, instanceKey: null});
+        return;
+      }
+      const tabId = tabs[0].id;
+      detectInstanceForTab(tabId, instanceKey => {
+        browser.storage.session.get({loginOutcomeByTab: {}}).then((data) => {
+          const outcome = data.loginOutcomeByTab[tabId];
+          const recent = outcome && Date.now() - outcome.at < LOGIN_PENDING_MS;
+          respond({tabId, instanceKey, loginOutcome: recent ? outcome : null});
+        });
+      });
+    });
+  },
+
+  instanceDetected(message, sender, respond) {
+    getHostAliases(aliases => {
+      const serverKey = resolveHostAlias(message.instanceKey, aliases);
+      let reportedKeys = message.legacyKeys || [];
+      if (sender.tab) {
+        // The key decides which passwords the tab is sent (see sendTrackedLogin), so a
+        // page may only report an instance on its own origin and that origin's legacy key
+        const pageOrigin = new URL(sender.url).origin;
+        if (serverKey.slice(0, serverKey.lastIndexOf('|') + 1) !== resolveHostAlias(pageOrigin + '|', aliases)) {
+          respond({ok: false, error: 'forbidden'});
+          return;
+        }
+        reportedKeys = reportedKeys.filter(key => key === 'origin:' + pageOrigin);
+      }
+      // Users saved while the alias was a server of its own join the server's
+      const aliasKeys = serverKey === message.instanceKey ? [] : [message.instanceKey];
+      resolveOriginDatabase(serverKey, (instanceKey, keysWithoutDb) => {
+        const legacyKeys = reportedKeys.concat(aliasKeys, keysWithoutDb);
+        if (!sender.tab) {
+          migrateLegacyInstances(instanceKey, legacyKeys, () => respond({ok: true, instanceKey, session: null}));
+          return;
+        }
+        const tabId = sender.tab.id;
+        rememberTabInstance(tabId, instanceKey, () => migrateLegacyInstances(instanceKey, legacyKeys, () => {
+          trackTabSession(tabId, sessionJarKey(message.origin, sender.tab.incognito), !!message.loggedOut, session => {
+            respond({ok: true, instanceKey, session});
+            if (message.loggedOut) loginOpenedTab(tabId);
+          });
+        }));
+      });
+    });
+  },
+
+  listHostAliases(message, sender, respond) {
+    getHostAliases(aliases => respond({aliases: Object.keys(aliases).map(alias => ({alias, origin: aliases[alias]}))}));
+  },
+
+  addHostAlias(message, sender, respond) {
+    // The options page requests the host permission of the alias before sending this
+    const alias = parseAliasOrigin(message.alias);
+    const origin = parseAliasOrigin(message.origin);
+    const invalid = text => respond({ok: false, error: 'invalid', message: text});
+    if (!alias || !origin) {
+      invalid('Enter both addresses, starting with http:// or https://.');
+      return;
+    }
+    if (new URL(alias).hostname === new URL(origin).hostname) {
+      invalid('The alias needs a host name of its own: browsers share cookies between the ports of a host.');
+      return;
+    }
+    getHostAliases(aliases => {
+      if (Object.keys(aliases).some(key => aliases[key] === alias)) {
+        invalid(alias + ' already is the server of other aliases.');
+        return;
+      }
+      // An alias of an alias belongs to the same server
+      const server = aliases[origin] || origin;
+      saveSite(parseSitePattern(alias), result => {
+        if (!result.ok) {
+          respond(result);
+          return;
+        }
+        aliases[alias] = server;
+        browser.storage.local.set({hostAliases: aliases}).then(() => respond({ok: true, alias, origin: server}));
+      });
+    });
+  },
+
+  removeHostAlias(message, sender, respond) {
+    // The alias stays in the sites, where it can be removed on its own
+    getHostAliases(aliases => {
+      delete aliases[message.alias];
+      browser.storage.local.set({hostAliases: aliases}).then(() => respond({ok: true}));
+    });
+  },
+
+  listInstances(message, sender, respond) {
+    const defaults = {usersByInstance: {}, instanceNames: {}, instanceEnvironments: {}};
+    browser.storage.local.get(defaults).then((data) => getSettings(settings => {
+      respond({
+        instances: Object.keys(data.usersByInstance).map(instanceKey => ({
+          instanceKey,
+          name: data.instanceNames[instanceKey] || '',
+          // Tagged by hand ('' when left to the rules), and the outcome
+          environmentTag: data.instanceEnvironments[instanceKey] || '',
+          environment: classifyInstance(instanceKey, data.instanceEnvironments[instanceKey], settings.environmentRules),
+          users: toPublicUsers(data.usersByInstance[instanceKey])
+        }))
+      });
+    }));
+  },
+
+  renameInstance(message, sender, respond) {
+    browser.storage.local.get({instanceNames: {}}).then((data) => {
+      const name = (message.name || '').trim();
+      if (name) {
+        data.instanceNames[message.instanceKey] = name;
+      } else {
+        delete data.instanceNames[message.instanceKey];
+      }
+      browser.storage.local.set({instanceNames: data.instanceNames}).then(() => respond({ok: true}));
+    });
+  },
+
+  removeInstance(message, sender, respond) {
+    browser.storage.local.get({usersByInstance: {}, instanceNames: {}, instanceEnvironments: {}, loginHistory: {}}).then((data) => {
+      delete data.usersByInstance[message.instanceKey];
+      delete data.instanceNames[message.instanceKey];
+      delete data.instanceEnvironments[message.instanceKey];
+      delete data.loginHistory[message.instanceKey];
+      browser.storage.local.set(data).then(() => {
+        respond({ok: true});
+      });
+    });
+  },
+
+  setInstanceEnvironment(message, sender, respond) {
+    browser.storage.local.get({instanceEnvironments: {}}).then((data) => {
+      if (ENVIRONMENTS[message.environment]) {
+        data.instanceEnvironments[message.instanceKey] = message.environment;
+      } else {
+        delete data.instanceEnvironments[message.instanceKey];
+      }
+      browser.storage.local.set({instanceEnvironments: data.instanceEnvironments}).then(() => respond({ok: true}));
+    });
+  },
+
+  updateUser(message, sender, respond) {
+    updateUser(message.instanceKey, message.index, message.changes || {}, !!message.own, respond);
+  },
+
+  reorderUsers(message, sender, respond) {
+    getUsersForInstance(message.instanceKey, users => {
+      // `order` lists the current positions in their new order
+      if (message.order.length !== users.length) {
+        respond({ok: false, error: 'stale'});
+        return;
+      }
+      saveUsersForInstance(message.instanceKey, message.order.map(idx => users[idx]), () => {
+        respond({ok: true});
+      });
+    });
+  },
+
+  removeUsers(message, sender, respond) {
+    browser.storage.local.get({usersByInstance: {}}).then((data) => {
+      // `selections` is a list of {instanceKey, indexes}
+      message.selections.forEach(selection => {
+        const users = data.usersByInstance[selection.instanceKey];
+        if (!users) return;
+        data.usersByInstance[selection.instanceKey] = users.filter((user, idx) => !selection.indexes.includes(idx));
+      });
+      browser.storage.local.set({usersByInstance: data.usersByInstance}).then(() => {
+        respond({ok: true});
+      });
+    });
+  },
+
+  moveUsers(message, sender, respond) {
+    moveUsers(message.fromKey, message.toKey, message.indexes || null, () => {
+      respond({ok: true});
+    });
+  },
+
+  exportUsers(message, sender, respond) {
+    decryptEntries(message.instanceKey || null, result => {
+      if (!result.ok) {
+        respond(result);
+        return;
+      }
+      const format = message.format === 'csv' ? 'csv' : 'json';
+      const content = serializeEntries(result.entries, format);
+      const date = new Date().toISOString().slice(0, 10);
+      if (!message.passphrase) {
+        respond({ok: true, content, filename: 'odoo-quick-login-' + date + '.' + format});
+        return;
+      }
+      encryptBackup(content, message.passphrase).then(encrypted => {
+        respond({ok: true, content: encrypted, filename: 'odoo-quick-login-' + date + '.' + format + '.encrypted.json'});
+      });
+    });
+  },
+
+  previewImport(message, sender, respond) {
+    prepareImport(message, result => {
+      respond(result.ok ? {ok: true, plan: summarizeImportPlan(result.plan)} : result);
+    });
+  },
+
+  applyImport(message, sender, respond) {
+    prepareImport(message, result => {
+      if (!result.ok) {
+        respond(result);
+        return;
+      }
+      applyImport(result.plan, respond);
+    });
+  },
+
+  listDatabaseUsers(message, sender, respond) {
+    listDatabaseUsers(sender.tab ? sender.tab.id : message.tabId, message.instanceKey, respond);
+  },
+
+  importDatabaseUsers(message, sender, respond) {
+    importDatabaseUsers(message.instanceKey, message.users || [], message.rule, message.password, respond);
+  },
+
+  getUsers(message, sender, respond) {
+    getEffectiveUsers(message.instanceKey, users => getInstanceEnvironment(message.instanceKey, environment => {
+      getSettings(settings => respond({
+        users: toPublicUsers(users),
+        environment,
+        // Positions of the users in the order they should be listed
+        order: orderUsers(users, settings.userSort),
+        sort: settings.userSort,
+        placement: settings.dropdownPlacement
+      }));
+    }));
+  },
+
+  addUser(message, sender, respond) {
+    getVaultKey(key => {
+      if (!key) {
+        respond({ok: false, error: 'locked'});
+        return;
+      }
+      encryptSecret(key, message.password).then(secret => {
+        getUsersForInstance(message.instanceKey, users => {
+          const user = {username: message.username, secret};
+          applyUserMetadata(user, message);
+          users.push(user);
+          saveUsersForInstance(message.instanceKey, users, () => {
+            respond({ok: true});
+          });
+        });
+      });
+    });
+  },
+
+  removeUser(message, sender, respond) {
+    getUsersForInstance(message.instanceKey, users => {
+      users.splice(message.index, 1);
+      saveUsersForInstance(message.instanceKey, users, () => {
+        respond({ok: true});
+      });
+    });
+  },
+
+  listTemplates(message, sender, respond) {
+    browser.storage.local.get({userTemplates: []}).then((data) => {
+      respond({templates: toPublicUsers(data.userTemplates).map((user, idx) => Object.assign(user, {
+        scope: data.userTemplates[idx].scope,
+        pattern: data.userTemplates[idx].pattern
+      }))});
+    });
+  },
+
+  saveTemplate(message, sender, respond) {
+    // Adds a template when `templateId` is missing, otherwise edits it
+    const scope = parseTemplateScope(message.scope, message.pattern);
+    if (!scope) {
+      respond({ok: false, error: 'invalid', message: message.scope === 'db'
+        ? 'Enter a valid regular expression for the database name.'
+        : 'Enter a server address such as https://erp.example.com.'});
+      return;
+    }
+    if (!message.username || (!message.templateId && !message.password)) {
+      respond({ok: false, error: 'invalid', message: 'Enter a login and a password.'});
+      return;
+    }
+    getVaultKey(key => {
+      if (!key && message.password) {
+        respond({ok: false, error: 'locked'});
+        return;
+      }
+      (message.password ? encryptSecret(key, message.password) : Promise.resolve(null)).then(secret => {
+        browser.storage.local.get({userTemplates: []}).then((data) => {
+          let template = data.userTemplates.find(candidate => candidate.templateId === message.templateId);
+          if (!template) {
+            template = {templateId: crypto.randomUUID()};
+            data.userTemplates.push(template);
+          }
+          Object.assign(template, scope, {username: message.username});
+          if (secret) {
+            template.secret = secret;
+            delete template.loginFailures;
+          }
+          applyUserMetadata(template, message);
+          browser.storage.local.set({userTemplates: data.userTemplates}).then(() => respond({ok: true}));
+        });
+      });
+    });
+  },
+
+  removeTemplate(message, sender, respond) {
+    browser.storage.local.get({userTemplates: []}).then((data) => {
+      const userTemplates = data.userTemplates.filter(template => template.templateId !== message.templateId);
+      browser.storage.local.set({userTemplates}).then(() => respond({ok: true}));
+    });
+  },
+
+  overrideTemplate(message, sender, respond) {
+    // Copies a template into the instance's own users, where it can be
+    // edited without affecting the other instances
+    browser.storage.local.get({userTemplates: []}).then((data) => {
+      const template = data.userTemplates.find(candidate => candidate.templateId === message.templateId);
+      if (!template) {
+        respond({ok: false, error: 'unknown-user'});
+        return;
+      }
+      const user = Object.assign({}, template);
+      ['templateId', 'scope', 'pattern', 'favorite', 'lastUsedAt', 'useCount', 'loginFailures'].forEach(field => {
+        delete user[field];
+      });
+      getUsersForInstance(message.instanceKey, users => {
+        users.push(user);
+        // Own users are listed first, so the copy is found at the same position in getUsers
+        saveUsersForInstance(message.instanceKey, users, () => respond({ok: true, index: users.length - 1}));
+      });
+    });
+  },
+
+  login(message, sender, respond) {
+    const tabId = sender.tab ? sender.tab.id : message.tabId;
+    loginAs(tabId, message.instanceKey, message.index, respond);
+  },
+
+  loginLanded(message, sender, respond) {
+    const jar = sessionJarKey(message.origin, sender.tab.incognito);
+    handleLoginLanding(sender.tab.id, message.outcome, message.message, jar, respond);
+  },
+
+  openAs(message, sender, respond) {
+    openAsUser(message.instanceKey, message.index, respond);
+  },
+
+  switchUser(message, sender, respond) {
+    switchUser(sender.tab.id, message.instanceKey, message.index, respond);
+  },
+
+  impersonateUser(message, sender, respond) {
+    impersonateUser(message.tabId, message.instanceKey, message.login, respond);
+  }
+};
+
+// What content scripts may ask for; they run in pages the extension does not control
+const CONTENT_SCRIPT_MESSAGES = ['getUsers', 'login', 'loginLanded', 'instanceDetected', 'switchUser', 'listDatabaseUsers',
+  'setUserSort'];
+
+/**
+ * Tells whether a message comes from a page of the extension itself
+ * 
+ * The popup has no tab while the options page, opened in a tab, has
+ * one, so the sender's URL is what tells them from content scripts.
+ * 
+ * @param {Object} sender - The runtime.MessageSender
+ * @returns {boolean} True for the popup and the options page
+ */
+function isExtensionPage(sender) {
+  return !!sender.url && sender.url.startsWith(browser.runtime.getURL(''));
+}
+
+browser.runtime.onMessage.addListener((message, sender) => {
+  const handler = messageHandlers[message && message.type];
+  if (!handler) return undefined; // Not for the background, e.g. a loginOutcome broadcast
+  if (!isExtensionPage(sender) && !(sender.tab && CONTENT_SCRIPT_MESSAGES.includes(message.type))) {
+    console.warn('Refused message ' + message.type + ' from ' + (sender.url || 'an unknown sender'));
+    return Promise.resolve({ok: false, error: 'forbidden'});
+  }
+  return new Promise(resolve => {
+    try {
+      handler(message, sender, resolve);
+    } catch (error) {
+      console.error('Error handling message ' + message.type + ':', error);
+      resolve({ok: false, error: 'internal'});
+    }
+  });
+});
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  rememberTabInstance(tabId, null);
+  setPendingLogin(tabId, null);
+  // The sessions of closed tabs' jars are kept: other tabs or the next "Open as" may use them
+  browser.storage.session.get({loginOutcomeByTab: {}, jarByTab: {}, openAsByTab: {}}).then((data) => {
+    delete data.loginOutcomeByTab[tabId];
+    delete data.jarByTab[tabId];
+    delete data.openAsByTab[tabId];
+    browser.storage.session.set(data);
+  });
+});
+
+browser.commands.onCommand.addListener((command, tab) => {
+  if (tab && tab.id !== undefined) {
+    runCommand(command, tab.id);
+    return;
+  }
+  browser.tabs.query({active: true, currentWindow: true}).then((tabs) => {
+    if (tabs[0]) runCommand(command, tabs[0].id);
+  });
+});
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' ? SYNC_KEY in changes : 'usersByInstance' in changes || 'userTemplates' in changes) {
+    getSettings(settings => {
+      if (settings.syncVault) scheduleVaultSync();
+    });
+  }
+});
+
+// Registered content scripts follow the added sites and the permissions granted for them
+browser.runtime.onInstalled.addListener(() => syncContentScripts());
+browser.permissions.onAdded.addListener(() => syncContentScripts());
+browser.permissions.onRemoved.addListener(() => syncContentScripts());
@@ -0,0 +1,250 @@
+/**
+ * Odoo Quick Login - Import/Export Formats
+ * 
+ * Loaded by the background service worker. Converts between saved users
+ * and the files they are exported to, and works out what an import would
+ * change before anything is written.
+ * 
+ * Entries have the shape {instance, label, login, password, tags, color, note, totp,
+ * landing, lang}, where `totp` is the user's two-factor secret as an `otpauth://` URI
+ * and `landing` and `lang` where the user is taken after logging in (see landing.js).
+ * 
+ * - JSON: {format: 'odoo-quick-login', version, exportedAt, entries}
+ * - CSV: a header row `instance,label,login,password,tags,color,note,totp,landing,lang`, tags
+ *   separated by `;`. Only instance, login and password columns are required.
+ * 
+ * Either file can be wrapped in an encrypted envelope keyed by its own
+ * passphrase, independent of the vault's master passphrase.
+ */
+
+const BACKUP_FORMAT = 'odoo-quick-login';
+const BACKUP_ENCRYPTED_FORMAT = 'odoo-quick-login-encrypted';
+const BACKUP_CSV_COLUMNS = ['instance', 'label', 'login', 'password', 'tags', 'color', 'note', 'totp', 'landing', 'lang'];
+const IMPORT_MODES = ['merge', 'replace', 'skip'];
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * 
+ * @param {string} value - The field value
+ * @returns {string} The field as it should appear in the file
+ */
+function csvEscape(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting)
+ * 
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows, without empty lines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Normalizes an entry read from a file
+ * 
+ * @param {Object} raw - Entry with instance, login, password and optional details
+ * @returns {Object|null} The entry, or null if it lacks an instance, login or password
+ */
+function normalizeEntry(raw) {
+  const tags = Array.isArray(raw.tags) ? raw.tags : String(raw.tags || '').split(';');
+  const entry = {
+    instance: String(raw.instance || '').trim(),
+    label: String(raw.label || '').trim(),
+    login: String(raw.login || '').trim(),
+    password: String(raw.password || ''),
+    tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+    color: String(raw.color || '').trim(),
+    note: String(raw.note || '').trim(),
+    totp: String(raw.totp || '').trim(),
+    landing: String(raw.landing || '').trim(),
+    lang: String(raw.lang || '').trim()
+  };
+  return entry.instance && entry.login && entry.password ? entry : null;
+}
+
+/**
+ * Serializes entries in one of the export formats
+ * 
+ * @param {Array} entries - Entries to export
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string} The file contents
+ */
+function serializeEntries(entries, format) {
+  if (format === 'csv') {
+    const lines = [BACKUP_CSV_COLUMNS.join(',')].concat(entries.map(entry => [
+      entry.instance, entry.label, entry.login, entry.password, (entry.tags || []).join(';'),
+      entry.color, entry.note, entry.totp, entry.landing, entry.lang
+    ].map(csvEscape).join(',')));
+    return lines.join('\r\n') + '\r\n';
+  }
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+}
+
+/**
+ * Parses the contents of an unencrypted export file
+ * 
+ * @param {string} text - JSON or CSV file contents
+ * @returns {Array} The valid entries in the file
+ * @throws {Error} If the file is not in a recognized format
+ */
+function parseEntries(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (data.format !== BACKUP_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('This JSON file is not an Odoo Quick Login export.');
+    }
+    return data.entries.map(normalizeEntry).filter(Boolean);
+  }
+  const rows = parseCsv(trimmed);
+  const header = (rows.shift() || []).map(column => column.trim().toLowerCase());
+  if (!header.includes('instance') || !header.includes('login') || !header.includes('password')) {
+    throw new Error('The CSV file needs instance, login and password columns.');
+  }
+  return rows.map(row => {
+    const raw = {};
+    header.forEach((column, idx) => { raw[column] = row[idx]; });
+    return normalizeEntry(raw);
+  }).filter(Boolean);
+}
+
+/**
+ * Reports whether file contents are an encrypted export
+ * 
+ * @param {string} text - The file contents
+ * @returns {boolean} True if the file needs a passphrase
+ */
+function isEncryptedBackup(text) {
+  try {
+    return JSON.parse(text.trim()).format === BACKUP_ENCRYPTED_FORMAT;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wraps export file contents in an envelope encrypted with a passphrase
+ * 
+ * @param {string} text - The file contents
+ * @param {string} passphrase - The passphrase protecting the file
+ * @returns {Promise<string>} The encrypted file contents
+ */
+function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS)
+    .then(key => encryptSecret(key, text))
+    .then(blob => JSON.stringify({
+      format: BACKUP_ENCRYPTED_FORMAT,
+      version: 1,
+      salt: bytesToBase64(salt),
+      iterations: VAULT_PBKDF2_ITERATIONS,
+      iv: blob.iv,
+      data: blob.data
+    }, null, 2));
+}
+
+/**
+ * Opens an encrypted export file
+ * 
+ * @param {string} text - The encrypted file contents
+ * @param {string} passphrase - The passphrase the file was exported with
+ * @returns {Promise<string>} The decrypted file contents
+ */
+function decryptBackup(text, passphrase) {
+  const envelope = JSON.parse(text.trim());
+  return deriveVaultKey(passphrase, base64ToBytes(envelope.salt), envelope.iterations)
+    .then(key => decryptSecret(key, envelope))
+    .catch(() => {
+      throw new Error('Wrong passphrase for this file.');
+    });
+}
+
+/**
+ * Works out what importing entries would change
+ * 
+ * Modes:
+ * - merge: add new logins and update existing ones that differ
+ * - replace: make each instance in the file hold exactly the file's users
+ * - skip: add new logins and leave existing ones untouched
+ * 
+ * Instances that do not appear in the file are never changed.
+ * 
+ * @param {Object} existingByInstance - Current entries keyed by instance
+ * @param {Array} entries - Entries read from the file
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Object} Changes keyed by instance: {added, updated, unchanged, skipped, removed}
+ */
+function planImport(existingByInstance, entries, mode) {
+  const plan = {};
+  entries.forEach(entry => {
+    if (!plan[entry.instance]) {
+      plan[entry.instance] = {added: [], updated: [], unchanged: [], skipped: [], removed: []};
+    }
+    const changes = plan[entry.instance];
+    const seen = changes.added.concat(changes.updated, changes.unchanged, changes.skipped);
+    if (seen.some(other => other.login === entry.login)) return; // First occurrence in the file wins
+
+    const current = (existingByInstance[entry.instance] || []).find(other => other.login === entry.login);
+    if (!current) {
+      changes.added.push(entry);
+    } else if (mode === 'skip') {
+      changes.skipped.push(entry);
+    } else if (current.password === entry.password && current.label === entry.label &&
+        current.tags.join(';') === entry.tags.join(';') &&
+        current.color === entry.color && current.note === entry.note && current.totp === entry.totp &&
+        current.landing === entry.landing && current.lang === entry.lang) {
+      changes.unchanged.push(entry);
+    } else {
+      changes.updated.push(entry);
+    }
+  });
+  if (mode === 'replace') {
+    Object.keys(plan).forEach(instance => {
+      const kept = plan[instance].updated.concat(plan[instance].unchanged).map(entry => entry.login);
+      plan[instance].removed = (existingByInstance[instance] || [])
+        .filter(entry => !kept.includes(entry.login));
+    });
+  }
+  return plan;
+}
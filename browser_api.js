@@ -0,0 +1,76 @@
+/**
+ * Odoo Quick Login - Browser API
+ * 
+ * Loaded before every other script of the extension: by the background,
+ * the content scripts, the popup and the options page. The code is
+ * written once against the promise-based `browser.*` namespace of
+ * WebExtensions.
+ * 
+ * Firefox provides `browser` itself. Chrome only provides `chrome`, whose
+ * Manifest V3 methods already return promises when they are called
+ * without a callback; what it lacks is a runtime.onMessage listener that
+ * answers with a promise. On Chrome this file defines `browser` as
+ * `chrome` with that one difference papered over.
+ */
+
+/**
+ * Wraps chrome.runtime.onMessage so listeners can answer with a promise
+ * 
+ * A listener that returns a promise keeps the channel open and answers
+ * with what the promise resolves to; any other return value means the
+ * listener does not answer, like in Firefox.
+ * 
+ * @param {Object} event - chrome.runtime.onMessage
+ * @returns {Object} An event with addListener, removeListener and hasListener
+ */
+function createPromiseMessageEvent(event) {
+  const wrappers = new Map();
+  return {
+    addListener(listener) {
+      const wrapper = (message, sender, sendResponse) => {
+        const result = listener(message, sender);
+        if (!result || typeof result.then !== 'function') return false;
+        result.then(sendResponse, (error) => {
+          console.error('Message listener failed:', error);
+          sendResponse();
+        });
+        return true; // The response is sent asynchronously
+      };
+      wrappers.set(listener, wrapper);
+      event.addListener(wrapper);
+    },
+    removeListener(listener) {
+      event.removeListener(wrappers.get(listener));
+      wrappers.delete(listener);
+    },
+    hasListener(listener) {
+      return wrappers.has(listener);
+    }
+  };
+}
+
+/**
+ * Builds the `browser` namespace on top of Chrome's `chrome`
+ * 
+ * @param {Object} chromeApi - The `chrome` namespace
+ * @returns {Object} The same APIs, with a promise-aware runtime.onMessage
+ */
+function createChromeBrowserApi(chromeApi) {
+  const onMessage = createPromiseMessageEvent(chromeApi.runtime.onMessage);
+  const runtime = new Proxy(chromeApi.runtime, {
+    get(target, property) {
+      if (property === 'onMessage') return onMessage;
+      const value = target[property];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+  return new Proxy(chromeApi, {
+    get(target, property) {
+      return property === 'runtime' ? runtime : target[property];
+    }
+  });
+}
+
+if (typeof globalThis.browser === 'undefined' && typeof chrome !== 'undefined' && chrome.runtime) {
+  globalThis.browser = createChromeBrowserApi(chrome);
+}
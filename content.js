@@ -2,11 +2,30 @@
 /**
  * Odoo Quick Login - Content Script
  * 
- * This script is injected into all web pages and does the following:
+ * This script is registered by the background service worker on the sites
+ * the user has added (see sites.js) and does the following:
  * 1. Detects Odoo login pages
  * 2. Retrieves saved user credentials for the specific Odoo instance
- * 3. Creates and injects a Material UI styled dropdown menu
+ * 3. Injects the saved users dropdown (login_widget.js) into login pages
  * 4. Handles user selection to auto-fill and submit login forms
+ * 5. Adds a switch-user menu to the navbar of logged-in backend pages
+ * 6. Opens the quick login palette (palette.js) on a keyboard shortcut
+ * 7. Reports where a quick login landed, shows it in a toast and fills in
+ *    the two-factor code on the TOTP page that follows a login
+ * 8. Lists the users of the logged-in database when the popup imports them,
+ *    and impersonates one of them on development instances
+ * 9. Puts the saved user the tab is logged in as in front of the page title
+ * 
+ * Saved users are requested from the background service worker, which
+ * owns storage. The dropdown only knows usernames and their display
+ * details (label, role tags, color, note); on selection the
+ * background decrypts the password and sends it back in a `fillLogin`
+ * message, the single code path that fills and submits the form, or in
+ * an `rpcLogin` message when logging in through JSON-RPC is enabled.
+ * 
+ * The dropdown and the switch-user menu are built once. A MutationObserver
+ * inserts them again when Odoo re-renders the page, and storage change
+ * events patch their entries in place when saved users change.
  * 
  * The script includes error handling to gracefully handle Chrome extension
  * context invalidation and other potential runtime errors.
@@ -15,8 +34,8 @@
 // Check if extension context is valid before initializing
 let extensionContextValid = true;
 try {
-  // Test if we can access the chrome API
-  if (!chrome || !chrome.storage) {
+  // Test if we can access the extension API
+  if (!browser || !browser.runtime || !browser.runtime.id) {
     extensionContextValid = false;
   }
 } catch (error) {
@@ -24,44 +43,414 @@ try {
   console.error('Extension context invalid:', error);
 }
 
+let pageInstanceDetection = null;
+// The saved user this tab is logged in as, in front of the page title; see showTabSessionTitle
+let tabSessionPrefix = '';
+
 /**
- * Generates a unique key to identify different Odoo instances
+ * Detects the Odoo instance of this page once and reports it to the background
  * 
- * The function attempts multiple methods to identify an Odoo instance:
- * 1. Database name from input field (most specific)
- * 2. Generator meta tag content (contains Odoo version)
- * 3. Page origin as fallback (least specific)
+ * The background migrates users saved under legacy keys for this page
+ * before the key is handed out, so the first lookup already sees them.
+ * On a host alias of a server it answers with the server's key, and it
+ * tells which saved user the page's session belongs to.
  * 
- * @returns {string} A unique identifier for the current Odoo instance
+ * @param {Function} cb - Callback receiving the instance key
  */
-function detectOdooInstanceKey() {
-  const dbInput = document.querySelector('input[name="db"]');
-  if (dbInput && dbInput.value) return 'db:' + dbInput.value;
-  const meta = document.querySelector('meta[name="generator"]');
-  if (meta && meta.content) return 'meta:' + meta.content;
-  return 'origin:' + window.location.origin;
+function getPageInstanceKey(cb) {
+  if (!pageInstanceDetection) {
+    pageInstanceDetection = detectOdooInstance().then(detected => new Promise(resolve => {
+      const message = {
+        type: 'instanceDetected',
+        instanceKey: detected.instanceKey,
+        legacyKeys: detected.legacyKeys,
+        origin: window.location.origin,
+        // The login form means this page's session is logged out
+        loggedOut: window.location.pathname.startsWith('/web/login') && !!document.querySelector('input[name="login"]')
+      };
+      browser.runtime.sendMessage(message).then(response => {
+        if (!response) return detected.instanceKey;
+        showTabSessionTitle(response.session || null);
+        return response.instanceKey || detected.instanceKey;
+      }, (error) => {
+        console.error('Extension runtime error:', error);
+        return detected.instanceKey;
+      }).then(resolve);
+    }));
+  }
+  pageInstanceDetection.then(cb, error => console.error('Error detecting Odoo instance:', error));
 }
 
 /**
  * Retrieves saved users for a specific Odoo instance
  * 
  * @param {string} instanceKey - The unique identifier for the Odoo instance
- * @param {Function} cb - Callback function that receives the array of users
+ * @param {Function} cb - Callback function that receives the array of users, the
+ *   instance's environment ({id, label, color, autoSubmit, confirm} or null), the
+ *   users' positions in display order, the sort mode and the dropdown placement
  */
 function getUsersForInstance(instanceKey, cb) {
   try {
-    chrome.storage.local.get({usersByInstance: {}}, (data) => {
-      if (chrome.runtime.lastError) {
-        console.error('Chrome runtime error:', chrome.runtime.lastError);
-        cb([]);
+    browser.runtime.sendMessage({type: 'getUsers', instanceKey}).then(response => {
+      if (!response) {
+        cb([], null, [], 'manual', 'top');
         return;
       }
-      cb((data.usersByInstance && data.usersByInstance[instanceKey]) || []);
+      const users = response.users || [];
+      cb(users, response.environment || null, response.order || users.map((user, idx) => idx), response.sort || 'manual',
+        response.placement || 'top');
+    }, (error) => {
+      console.error('Extension runtime error:', error);
+      cb([], null, [], 'manual', 'top');
+    });
+  } catch (error) {
+    console.error('Error contacting background:', error);
+    cb([], null, [], 'manual', 'top');
+  }
+}
+
+/**
+ * Asks the background to log this tab in as one of the saved users
+ * 
+ * @param {string} instanceKey - The unique identifier for the Odoo instance
+ * @param {number} index - Position of the user in the instance's list
+ * @param {Function} cb - Callback receiving {ok, error}
+ */
+function requestLogin(instanceKey, index, cb) {
+  try {
+    browser.runtime.sendMessage({type: 'login', instanceKey, index}).then(response => {
+      cb(response || {ok: false, error: 'internal'});
+    }, (error) => {
+      console.error('Extension runtime error:', error);
+      cb({ok: false, error: 'internal'});
     });
   } catch (error) {
-    console.error('Error accessing chrome storage:', error);
-    cb([]);
+    console.error('Error contacting background:', error);
+    cb({ok: false, error: 'internal'});
+  }
+}
+
+/**
+ * Fills the login form and submits it
+ * 
+ * Triggered by the background's `fillLogin` message for logins started
+ * from either the popup or the dropdown.
+ * 
+ * @param {string} username - The login to fill in
+ * @param {string} password - The decrypted password to fill in
+ * @param {boolean} [submit=true] - False to only fill the form, for fill-only environments
+ * @returns {boolean} False if the page has no login form to fill
+ */
+function fillAndSubmit(username, password, submit) {
+  const u = document.querySelector('input[name="login"]');
+  const p = document.querySelector('input[name="password"]');
+  if (!u || !p) return false;
+  u.value = username;
+  p.value = password;
+  if (submit === false) {
+    // Leave pressing the login button to the user
+    u.dispatchEvent(new Event('input', {bubbles: true}));
+    p.dispatchEvent(new Event('input', {bubbles: true}));
+    p.focus();
+    return true;
   }
+  
+  // Focus the login button; website themes put other primary buttons in the header
+  const form = u.closest('form');
+  const btn = (form && form.querySelector('button[type="submit"], input[type="submit"]')) ||
+    document.querySelector('button[type="submit"], .btn-primary');
+  
+  if (btn) {
+    btn.focus();
+    btn.click();
+    btn.dispatchEvent(new Event('mousedown', {bubbles: true}));
+    btn.dispatchEvent(new Event('mouseup', {bubbles: true}));
+  }
+  
+  if (form) {
+    setTimeout(() => {
+      if (window.location.href.includes('/web/login')) {
+        form.requestSubmit ? form.requestSubmit() : form.submit();
+      }
+    }, 500);
+  }
+  return true;
+}
+
+/**
+ * Logs in through /web/session/authenticate instead of the login form
+ * 
+ * Triggered by the background's `rpcLogin` message when the JSON-RPC
+ * login method is selected. Works regardless of how the login template
+ * is laid out, and reports a rejected login instead of leaving the user
+ * on the form.
+ * 
+ * @param {string} username - The login to authenticate with
+ * @param {string} password - The decrypted password
+ * @param {boolean} totp - Whether the user has a saved two-factor secret
+ * @param {Function} cb - Callback receiving {ok, error, message}
+ */
+function loginViaRpc(username, password, totp, cb) {
+  authenticateSession(username, password).then(() => {
+    cb({ok: true});
+    window.location.assign(getPostLoginRedirect());
+  }, (error) => {
+    if (error.uidMissing && totp) {
+      cb({ok: true});
+      openTotpStep(getPostLoginRedirect());
+      return;
+    }
+    const rejected = error.exceptionName === 'odoo.exceptions.AccessDenied';
+    cb({ok: false, error: rejected ? 'rejected' : 'rpc-failed', message: error.message});
+  });
+}
+
+/**
+ * Logs the current backend session out and back in as another user
+ * 
+ * Triggered by the background's `switchLogin` message. The database is
+ * taken from the current session before logging out, and the page the
+ * user was on is reopened once the new session is established.
+ * 
+ * @param {string} username - The login to switch to
+ * @param {string} password - The decrypted password
+ * @param {boolean} totp - Whether the user has a saved two-factor secret
+ * @param {Function} cb - Callback receiving {ok, error, message, loggedOut}
+ */
+function switchToUser(username, password, totp, cb) {
+  const returnUrl = window.location.href;
+  let loggedOut = false;
+  getSessionInfo().then(sessionInfo => logoutSession().then(() => {
+    loggedOut = true;
+    return authenticateSession(username, password, sessionInfo.db);
+  })).then(() => {
+    cb({ok: true});
+    window.location.assign(returnUrl);
+  }, (error) => {
+    if (error.uidMissing && totp) {
+      cb({ok: true});
+      openTotpStep(window.location.pathname + window.location.search + window.location.hash);
+      return;
+    }
+    const rejected = error.exceptionName === 'odoo.exceptions.AccessDenied';
+    cb({ok: false, error: rejected ? 'rejected' : 'rpc-failed', message: error.message, loggedOut});
+  });
+}
+
+/**
+ * Switches the backend session to a database user after resetting their password
+ * 
+ * Triggered by the background's `impersonateLogin` message, which is only
+ * sent for instances tagged as development. The current session must be
+ * logged in to the expected database with the rights to manage users.
+ * 
+ * @param {string} username - The login to impersonate
+ * @param {string} password - The impersonation password to set and log in with
+ * @param {string} db - The database the background expects this tab to be on
+ * @param {Function} cb - Callback receiving {ok, error, message, loggedOut}
+ */
+function impersonateDatabaseUser(username, password, db, cb) {
+  getSessionInfo().then(sessionInfo => {
+    if (sessionInfo.db !== db) {
+      throw createOdooRpcError({message: 'This tab is logged in to the database ' + sessionInfo.db + ', not ' + db + '.'});
+    }
+    return setUserPassword(username, password);
+  }).then(() => switchToUser(username, password, false, cb), (error) => {
+    cb({ok: false, error: 'rpc-failed', message: error.message});
+  });
+}
+
+/**
+ * Opens the two-factor step of a login that is waiting for its code
+ * 
+ * The session authenticated over JSON-RPC holds the half-logged-in
+ * user; Odoo's TOTP page picks it up from there.
+ * 
+ * @param {string} redirect - Same-origin path to open once the code is accepted
+ */
+function openTotpStep(redirect) {
+  window.location.assign('/web/login/totp?redirect=' + encodeURIComponent(redirect));
+}
+
+/**
+ * Works out where a quick login has landed
+ * 
+ * Checked on every page load; the background only acts on it when this
+ * tab has a quick login pending.
+ * 
+ * @returns {Object} {outcome, message}: outcome is 'success', 'rejected',
+ *   'totp', 'database' or 'unknown'; message is Odoo's error, if any
+ */
+function detectLoginOutcome() {
+  const path = window.location.pathname;
+  if (path.startsWith('/web/login/totp') || document.querySelector('input[name="totp_token"]')) {
+    return {outcome: 'totp'};
+  }
+  if (path.startsWith('/web/database/')) return {outcome: 'database'};
+  if (path.startsWith('/web/login')) {
+    const alert = document.querySelector('form .alert-danger');
+    return alert ? {outcome: 'rejected', message: alert.textContent.trim()} : {outcome: 'unknown'};
+  }
+  return {outcome: 'success'};
+}
+
+/**
+ * Shows a short message in the corner of the page
+ * 
+ * @param {string} text - The message
+ * @param {string} kind - 'success', 'info' or 'error'
+ */
+function showQuickLoginToast(text, kind) {
+  const existing = document.getElementById('odoo-quick-login-toast');
+  if (existing) existing.remove();
+  const toast = document.createElement('div');
+  toast.id = 'odoo-quick-login-toast';
+  toast.setAttribute('role', kind === 'error' ? 'alert' : 'status');
+  toast.textContent = text;
+  toast.title = 'Click to dismiss';
+  toast.style.position = 'fixed';
+  toast.style.right = '16px';
+  toast.style.bottom = '16px';
+  toast.style.maxWidth = '360px';
+  toast.style.padding = '12px 16px';
+  toast.style.borderRadius = '4px';
+  toast.style.boxShadow = '0 4px 12px rgba(0,0,0,0.25)';
+  toast.style.background = {success: '#2e7d32', error: '#e74c3c'}[kind] || '#875A7B';
+  toast.style.color = '#ffffff';
+  toast.style.fontSize = '14px';
+  toast.style.fontFamily = 'Roboto, "Segoe UI", Arial, sans-serif';
+  toast.style.zIndex = '100001';
+  toast.style.cursor = 'pointer';
+  toast.addEventListener('click', () => toast.remove());
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), kind === 'error' ? 10000 : 4000);
+}
+
+/**
+ * Fills in, and unless asked not to submits, the code on Odoo's two-factor page
+ * 
+ * @param {string} code - The current code
+ * @param {boolean} submit - False to leave submitting to the user
+ */
+function fillTotpCode(code, submit) {
+  const input = document.querySelector('input[name="totp_token"]');
+  if (!input) return;
+  input.value = code;
+  input.dispatchEvent(new Event('input', {bubbles: true}));
+  const form = input.closest('form');
+  if (submit === false || !form) {
+    input.focus();
+    return;
+  }
+  form.requestSubmit ? form.requestSubmit() : form.submit();
+}
+
+/**
+ * Opens the post-login target of the user who just logged in, in their language
+ * 
+ * Leaving this page for another one of the web client, or showing it in
+ * a new language, takes a full page load: the web client reads both
+ * only when it starts.
+ * 
+ * @param {Object} landing - {target, lang} saved on the user
+ * @param {string} name - The user's display name, for the messages
+ */
+function openLoginLanding(landing, name) {
+  showQuickLoginToast('Logged in as ' + name + '. Opening ' + (landing.target || 'the page in ' + landing.lang) + '\u2026', 'success');
+  applyLoginLanding(landing).then(({url, langChanged}) => {
+    const here = window.location.pathname + window.location.search;
+    const next = url ? new URL(url, window.location.href) : null;
+    if (next) window.location.assign(next.href);
+    // Only the hash changed, or nothing at all, so no page was loaded
+    if ((!next && langChanged) || (next && next.pathname + next.search === here)) window.location.reload();
+  }, (error) => {
+    showQuickLoginToast('Logged in as ' + name + ', but ' + (landing.target || landing.lang) + ' could not be opened: ' +
+      error.message, 'error');
+  });
+}
+
+/**
+ * Puts the saved user this tab is logged in as in front of the page title
+ * 
+ * Tabs opened side by side as different users are told apart by their
+ * titles, e.g. '[Sales Manager] Quotations'. Odoo sets the title again
+ * on every screen, so the page observer calls this without a session
+ * to put the name back.
+ * 
+ * @param {Object|null} [session] - {username, label} of the session the background
+ *   reported, or null when the tab is not logged in as a saved user
+ */
+function showTabSessionTitle(session) {
+  const title = document.title.startsWith(tabSessionPrefix) ? document.title.slice(tabSessionPrefix.length) : document.title;
+  if (session !== undefined) tabSessionPrefix = session ? '[' + (session.label || session.username) + '] ' : '';
+  if (document.title !== tabSessionPrefix + title) document.title = tabSessionPrefix + title;
+}
+
+/**
+ * Reports where this page load landed to the background and shows the result
+ * 
+ * When the tab has a quick login pending, the background records the
+ * outcome against the saved user and, on the two-factor page, hands
+ * out the code of a user with a saved secret.
+ */
+function reportLoginOutcome() {
+  const landing = detectLoginOutcome();
+  const message = {type: 'loginLanded', outcome: landing.outcome, message: landing.message, origin: window.location.origin};
+  browser.runtime.sendMessage(message).then(result => {
+    if (!result || !result.ok) return;
+    const name = result.label || result.username;
+    if (result.outcome === 'success' && result.landing) {
+      openLoginLanding(result.landing, name);
+    } else if (result.outcome === 'success') {
+      showQuickLoginToast('Logged in as ' + name + '.', 'success');
+    } else if (result.outcome === 'rejected') {
+      let text = 'Odoo rejected the saved password of ' + name + '.';
+      if (result.failing) {
+        text += ' It has failed ' + result.loginFailures + ' times in a row; update it from the extension popup.';
+      }
+      showQuickLoginToast(text, 'error');
+    } else if (result.outcome === 'totp' && result.code) {
+      fillTotpCode(result.code, result.submit);
+    } else if (result.outcome === 'totp') {
+      showQuickLoginToast(result.totpError === 'locked'
+        ? 'Password accepted. The vault is locked, so enter the two-factor code for ' + name + ' yourself.'
+        : 'Password accepted. Enter the two-factor code for ' + name + '.', 'info');
+    } else if (result.outcome === 'totp-rejected') {
+      showQuickLoginToast('Odoo did not accept the two-factor code for ' + name +
+        '. Check the saved secret and this computer\'s clock.', 'error');
+    } else if (result.outcome === 'database') {
+      showQuickLoginToast('Odoo is asking which database to use. Pick it, then log in as ' + name + ' again.', 'info');
+    }
+  }, () => {
+    // The extension was reloaded since this page loaded; there is no one to report to
+  });
+}
+
+/**
+ * Asks before logging in to an instance whose environment requires it
+ * 
+ * @param {Object} message - Login message from the background; its
+ *   `confirmEnvironment` names the environment when confirmation is needed
+ * @returns {boolean} True if the login may go ahead
+ */
+function confirmEnvironmentLogin(message) {
+  if (!message.confirmEnvironment) return true;
+  return window.confirm('This is a ' + message.confirmEnvironment + ' instance.\n\nLog in as ' + message.username + '?');
+}
+
+/**
+ * Builds the text shown for a saved user in the injected menus
+ * 
+ * Users whose saved password keeps being rejected get a warning sign.
+ * 
+ * @param {Object} user - Public user with username, label, tags and failing
+ * @returns {string} e.g. 'Accountant (jdoe) [Finance, Manager]'
+ */
+function describeSavedUser(user) {
+  let text = user.label ? user.label + ' (' + user.username + ')' : user.username;
+  if (user.tags && user.tags.length) text += ' [' + user.tags.join(', ') + ']';
+  if (user.failing) text = '\u26a0 ' + text + ' - login failing';
+  return text;
 }
 
 /**
@@ -69,7 +458,9 @@ function getUsersForInstance(instanceKey, cb) {
  * 
  * Uses multiple detection methods to identify Odoo login pages:
  * 1. Presence of login form with proper action URL
- * 2. Odoo generator meta tag
+ * 2. A login field on the /web/login route, whatever the form posts to
+ *    (the script only runs on sites the user added as Odoo servers)
+ * 3. Odoo generator meta tag
  * 
  * @returns {boolean} True if the current page is an Odoo login page
  */
@@ -80,6 +471,9 @@ function isOdooLoginPage() {
   if (loginInput && passwordInput && form && form.action.includes('/web/login')) {
     return true;
   }
+  if (loginInput && window.location.pathname.startsWith('/web/login')) {
+    return true;
+  }
   const meta = document.querySelector('meta[name="generator"]');
   if (meta && meta.content && meta.content.toLowerCase().includes('odoo')) {
     return true;
@@ -88,17 +482,172 @@ function isOdooLoginPage() {
 }
 
 /**
- * Creates and injects the user selection dropdown into Odoo login pages
+ * Determines if the current page is the web client of a logged-in user
+ * 
+ * @returns {boolean} True on /web and /odoo pages showing the Odoo navbar
+ */
+function isOdooBackendPage() {
+  const path = window.location.pathname;
+  const inWebClient = path === '/web' || path === '/odoo' || path.startsWith('/odoo/') ||
+    (path.startsWith('/web/') && !path.startsWith('/web/login'));
+  return inWebClient && !!document.querySelector('.o_main_navbar .o_menu_systray');
+}
+
+/**
+ * Adds a switch-user menu to the systray of the Odoo navbar
+ * 
+ * Choosing a saved user logs the current session out and back in as
+ * that user, returning to the same page. The menu is built once per
+ * navbar; its entries are filled in by renderSwitchUserItems, so a
+ * change to the saved users does not close the menu while it is open.
+ */
+function insertSwitchUserMenu() {
+  try {
+    if (!extensionContextValid || !isOdooBackendPage()) return;
+    if (document.getElementById('odoo-quick-login-switch')) return;
+    const systray = document.querySelector('.o_main_navbar .o_menu_systray');
+
+    const wrapper = document.createElement('div');
+    wrapper.id = 'odoo-quick-login-switch';
+    wrapper.style.position = 'relative';
+    wrapper.style.display = 'none'; // Shown once saved users are known
+    wrapper.style.alignItems = 'center';
+
+    // Toggle button styled like the other systray entries
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn o_nav_entry';
+    toggle.title = 'Switch user (Odoo Quick Login)';
+    toggle.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle><polyline points="17 11 19 13 23 9"></polyline></svg>';
+    wrapper.appendChild(toggle);
+
+    const menu = document.createElement('div');
+    menu.style.display = 'none';
+    menu.style.position = 'absolute';
+    menu.style.top = '100%';
+    menu.style.right = '0';
+    menu.style.minWidth = '220px';
+    menu.style.backgroundColor = '#ffffff';
+    menu.style.borderRadius = '4px';
+    menu.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+    menu.style.padding = '4px 0';
+    menu.style.zIndex = '10000';
+    menu.style.fontFamily = 'Roboto, "Segoe UI", Arial, sans-serif';
+    wrapper.appendChild(menu);
+
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+    });
+    menu.addEventListener('click', (e) => e.stopPropagation());
+
+    systray.insertBefore(wrapper, systray.firstChild);
+    getPageInstanceKey(instanceKey => getUsersForInstance(instanceKey, (users, environment, order) => {
+      renderSwitchUserItems(instanceKey, users, environment, order);
+    }));
+  } catch (error) {
+    console.error('Error in insertSwitchUserMenu:', error);
+  }
+}
+
+/**
+ * Fills the switch-user menu with the saved users of this instance
  * 
- * This is the main function that:
- * 1. Verifies we're on an Odoo login page
- * 2. Creates a Material UI styled dropdown
- * 3. Populates it with saved users for this instance
- * 4. Handles selection events to auto-fill credentials
- * 5. Positions the dropdown appropriately on the page
+ * The menu is hidden while the instance has no saved users.
  * 
- * The function includes multiple fallback strategies for positioning
- * and error handling to ensure graceful operation in various scenarios.
+ * @param {string} instanceKey - The unique identifier for the Odoo instance
+ * @param {Array} users - Public users of the instance
+ * @param {Object|null} environment - The instance's environment, named in the menu title
+ * @param {Array<number>} order - Positions of the users in display order
+ */
+function renderSwitchUserItems(instanceKey, users, environment, order) {
+  const wrapper = document.getElementById('odoo-quick-login-switch');
+  if (!wrapper) return;
+  const menu = wrapper.lastChild;
+  wrapper.style.display = users.length ? 'flex' : 'none';
+  menu.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.textContent = 'Switch to saved user' + (environment ? ' (' + environment.label + ')' : '');
+  title.style.padding = '8px 16px';
+  title.style.fontSize = '12px';
+  title.style.fontWeight = '500';
+  title.style.color = environment ? environment.color : '#875A7B';
+  title.style.letterSpacing = '0.5px';
+  menu.appendChild(title);
+
+  const status = document.createElement('div');
+  status.style.padding = '0 16px';
+  status.style.fontSize = '12px';
+  status.style.color = '#e74c3c';
+
+  const items = order.map(idx => {
+    const user = users[idx];
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.textContent = describeSavedUser(user);
+    item.title = user.note || '';
+    item.style.display = 'block';
+    item.style.width = '100%';
+    item.style.padding = '8px 16px';
+    item.style.border = 'none';
+    item.style.borderLeft = '4px solid ' + (user.color || 'transparent');
+    item.style.background = 'transparent';
+    item.style.textAlign = 'left';
+    item.style.fontSize = '14px';
+    item.style.color = 'rgba(0, 0, 0, 0.87)';
+    item.style.cursor = 'pointer';
+    item.addEventListener('mouseover', () => { item.style.background = 'rgba(135, 90, 123, 0.08)'; });
+    item.addEventListener('mouseout', () => { item.style.background = 'transparent'; });
+    item.addEventListener('click', () => {
+      items.forEach(other => { other.disabled = true; });
+      status.style.color = 'rgba(0, 0, 0, 0.6)';
+      status.textContent = 'Switching to ' + (user.label || user.username) + '...';
+      browser.runtime.sendMessage({type: 'switchUser', instanceKey, index: idx}).catch(() => null).then(result => {
+        result = result || {ok: false, error: 'internal'};
+        if (result.ok) return;
+        if (result.loggedOut) {
+          // The old session is gone, so the login page is the only way forward
+          window.alert(describeLoginError(result));
+          window.location.assign('/web/login?redirect=' + encodeURIComponent(window.location.pathname + window.location.search + window.location.hash));
+          return;
+        }
+        items.forEach(other => { other.disabled = false; });
+        status.style.color = '#e74c3c';
+        status.textContent = describeLoginError(result);
+      });
+    });
+    menu.appendChild(item);
+    return item;
+  });
+  menu.appendChild(status);
+
+  // Mark the user this session belongs to
+  getSessionInfo().then(sessionInfo => {
+    // Items follow the display order, not the users' positions
+    items.forEach((item, position) => {
+      const user = users[order[position]];
+      if (user.username !== sessionInfo.username) return;
+      item.disabled = true;
+      item.style.fontWeight = '500';
+      item.style.cursor = 'default';
+      item.textContent = describeSavedUser(user) + ' (current)';
+    });
+  }).catch(() => {});
+}
+
+// Close the switch-user menu when clicking anywhere else on the page
+document.addEventListener('click', function() {
+  const switchMenu = document.getElementById('odoo-quick-login-switch');
+  if (switchMenu) switchMenu.lastChild.style.display = 'none';
+});
+
+/**
+ * Injects the saved users dropdown into Odoo login pages
+ * 
+ * The dropdown is built once per login form by login_widget.js and placed
+ * above the form until the saved users are known; renderLoginWidget then
+ * fills it in and moves it where the placement setting asks for it.
  */
 function insertUserButtons() {
   try {
@@ -108,288 +657,148 @@ function insertUserButtons() {
       return;
     }
     
-    if (!isOdooLoginPage()) return;
-    const usernameInput = document.querySelector('input[name="login"]');
-    if (!usernameInput) {
-      // If login input not found, retry after a short delay
-      // This handles cases where the page is still loading
-      setTimeout(function() {
-        try {
-          insertUserButtons();
-        } catch (error) {
-          console.error('Error in delayed insertion:', error);
-        }
-      }, 300);
-      return;
-    }
-    
-    // Clear existing elements if they exist
-    const existingContainer = document.getElementById('odoo-quick-login-container');
-    if (existingContainer) {
-      existingContainer.remove();
-    }
-    
-    // Create container for the dropdown
-    const container = document.createElement('div');
-    container.id = 'odoo-quick-login-container';
-    container.style.margin = '20px auto';
-    container.style.width = '80%';
-    container.style.maxWidth = '400px';
-    container.style.position = 'relative';
-    container.style.fontFamily = 'Roboto, "Segoe UI", Arial, sans-serif';
-    container.style.zIndex = '9999';
-    
-    // Add header
-    const header = document.createElement('div');
-    header.textContent = 'ODOO QUICK LOGIN';
-    header.style.backgroundColor = '#875A7B';
-    header.style.color = 'white';
-    header.style.padding = '12px 16px';
-    header.style.fontSize = '16px';
-    header.style.fontWeight = '500';
-    header.style.textAlign = 'center';
-    header.style.borderRadius = '4px 4px 0 0';
-    header.style.letterSpacing = '1px';
-    header.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)';
-    container.appendChild(header);
-    
-    // Get the instance key and users
-    const instanceKey = detectOdooInstanceKey();
-  
-  getUsersForInstance(instanceKey, users => {
-    if (users.length === 0) return; // Don't show anything if no users saved
+    // The login field may not be rendered yet; the page observer calls again once it is
+    if (!isOdooLoginPage() || !document.querySelector('input[name="login"]')) return;
+    if (document.getElementById(LOGIN_WIDGET_ID)) return;
     
-    // Create the select element with custom styling
-    const selectContainer = document.createElement('div');
-    selectContainer.style.position = 'relative';
-    selectContainer.style.width = '100%';
-    
-    // Create a styled wrapper for the dropdown
-    const selectWrapper = document.createElement('div');
-    selectWrapper.style.position = 'relative';
-    selectWrapper.style.width = '100%';
-    selectWrapper.style.backgroundColor = '#ffffff';
-    selectWrapper.style.borderRadius = '4px';
-    selectWrapper.style.boxShadow = '0 2px 2px 0 rgba(0,0,0,0.14), 0 3px 1px -2px rgba(0,0,0,0.12), 0 1px 5px 0 rgba(0,0,0,0.2)';
-    selectWrapper.style.marginBottom = '16px';
-    selectWrapper.style.border = '2px solid #875A7B';
-    selectWrapper.style.transition = 'all 0.3s ease';
-    
-    const select = document.createElement('select');
-    select.id = 'odoo-quick-login-select';
-    select.style.width = '100%';
-    select.style.padding = '12px 16px';
-    select.style.backgroundColor = 'transparent';
-    select.style.color = 'rgba(0, 0, 0, 0.87)';
-    select.style.border = 'none';
-    select.style.borderBottom = '1px solid rgba(0, 0, 0, 0.42)';
-    select.style.borderRadius = '4px 4px 0 0';
-    select.style.fontSize = '16px';
-    select.style.fontFamily = 'Roboto, sans-serif';
-    select.style.appearance = 'none';
-    select.style.webkitAppearance = 'none';
-    select.style.mozAppearance = 'none';
-    select.style.cursor = 'pointer';
-    select.style.paddingRight = '36px'; // Space for the arrow
-    select.style.outline = 'none';
-    select.style.transition = 'border-bottom-color 200ms cubic-bezier(0.4, 0, 0.2, 1)';
-    select.style.height = '52px';
-    
-    // Default empty option
-    const defaultOption = document.createElement('option');
-    defaultOption.value = '';
-    defaultOption.textContent = 'Select a saved user...';
-    defaultOption.selected = true;
-    defaultOption.disabled = true;
-    defaultOption.style.fontSize = '16px';
-    defaultOption.style.padding = '16px';
-    defaultOption.style.color = 'rgba(0, 0, 0, 0.6)';
-    select.appendChild(defaultOption);
-    
-    // Add dropdown arrow
-    const arrow = document.createElement('div');
-    arrow.style.position = 'absolute';
-    arrow.style.right = '16px';
-    arrow.style.top = '50%';
-    arrow.style.transform = 'translateY(-50%)';
-    arrow.style.pointerEvents = 'none';
-    arrow.style.width = '24px';
-    arrow.style.height = '24px';
-    arrow.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" height="24" viewBox="0 0 24 24" width="24"><path d="M7 10l5 5 5-5z" fill="#875A7B"/></svg>';
-    arrow.style.transition = 'transform 0.2s ease';
-    
-    // Add user options
-    users.forEach(user => {
-      const option = document.createElement('option');
-      option.value = JSON.stringify(user); // Store the user data as JSON
-      option.textContent = user.username;
-      option.style.padding = '16px';
-      option.style.fontSize = '16px';
-      option.style.lineHeight = '1.5';
-      option.style.color = 'rgba(0, 0, 0, 0.87)';
-      select.appendChild(option);
+    const widget = createLoginWidget(index => {
+      getPageInstanceKey(instanceKey => requestLogin(instanceKey, index, result => {
+        if (!result.ok) showLoginWidgetError(describeLoginError(result));
+      }));
+    }, sort => {
+      // Shared with the popup; the settings change event renders the users in the new order
+      browser.runtime.sendMessage({type: 'setUserSort', sort}).catch(() => {});
     });
+    placeLoginWidget(widget, 'top');
     
-    // Handle selection change
-    select.addEventListener('change', function() {
-      if (this.value) {
-        const selectedUser = JSON.parse(this.value);
-        const u = document.querySelector('input[name="login"]');
-        const p = document.querySelector('input[name="password"]');
-        
-        if (u && p) {
-          u.value = selectedUser.username;
-          p.value = selectedUser.password;
-          
-          // Focus the login button
-          const form = u.closest('form');
-          const btn = document.querySelector('button[type="submit"], .btn-primary');
-          
-          if (btn) {
-            btn.focus();
-            btn.click();
-            btn.dispatchEvent(new Event('mousedown', {bubbles: true}));
-            btn.dispatchEvent(new Event('mouseup', {bubbles: true}));
-          }
-          
-          if (form) {
-            setTimeout(() => {
-              if (window.location.href.includes('/web/login')) {
-                form.requestSubmit ? form.requestSubmit() : form.submit();
-              }
-            }, 500);
-          }
-        }
-        
-        // Reset selection to placeholder after action
-        setTimeout(() => {
-          this.value = '';
-        }, 1000);
-      }
-    });
-    
-    // Add elements to the DOM
-    selectWrapper.appendChild(select);
-    selectWrapper.appendChild(arrow);
-    selectContainer.appendChild(selectWrapper);
-    container.appendChild(selectContainer);
-    
-    // Create a floating label for the dropdown
-    const floatingLabel = document.createElement('div');
-    floatingLabel.textContent = 'Saved Odoo Users';
-    floatingLabel.style.position = 'absolute';
-    floatingLabel.style.top = '-8px';
-    floatingLabel.style.left = '12px';
-    floatingLabel.style.fontSize = '12px';
-    floatingLabel.style.color = '#875A7B';
-    floatingLabel.style.backgroundColor = '#ffffff';
-    floatingLabel.style.padding = '0 4px';
-    floatingLabel.style.pointerEvents = 'none';
-    floatingLabel.style.transition = 'all 0.2s ease';
-    floatingLabel.style.fontWeight = '500';
-    selectWrapper.appendChild(floatingLabel);
-    
-    // Add a helper text below the dropdown
-    const helperText = document.createElement('div');
-    helperText.textContent = 'Click to select a user for quick login';
-    helperText.style.fontSize = '12px';
-    helperText.style.color = 'rgba(0, 0, 0, 0.6)';
-    helperText.style.marginTop = '4px';
-    helperText.style.marginLeft = '12px';
-    selectContainer.appendChild(helperText);
-    
-    // Find the best place to insert the dropdown
-    const loginForm = document.querySelector('form');
-    const loginCard = document.querySelector('.card, .oe_login_form, .container');
-    
-    if (loginCard) {
-      // Option 1: Insert at the top of the login card
-      loginCard.insertBefore(container, loginCard.firstChild);
-    } else if (loginForm) {
-      // Option 2: Insert at the top of the form
-      loginForm.insertBefore(container, loginForm.firstChild);
-    } else {
-      // Option 3: Create a fixed floating container
-      container.style.position = 'fixed';
-      container.style.top = '20px';
-      container.style.left = '50%';
-      container.style.transform = 'translateX(-50%)';
-      container.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
-      container.style.backgroundColor = '#ffffff';
-      container.style.padding = '16px';
-      container.style.borderRadius = '8px';
-      document.body.appendChild(container);
-    }
-    
-    // Add focus and hover effects
-    select.addEventListener('focus', function() {
-      this.style.borderBottom = '2px solid #875A7B';
-      selectWrapper.style.boxShadow = '0 4px 5px 0 rgba(0,0,0,0.14), 0 1px 10px 0 rgba(0,0,0,0.12), 0 2px 4px -1px rgba(0,0,0,0.3)';
-    });
-    
-    select.addEventListener('blur', function() {
-      this.style.borderBottom = '1px solid rgba(0, 0, 0, 0.42)';
-      selectWrapper.style.boxShadow = '0 2px 2px 0 rgba(0,0,0,0.14), 0 3px 1px -2px rgba(0,0,0,0.12), 0 1px 5px 0 rgba(0,0,0,0.2)';
-    });
-    
-    select.addEventListener('mouseover', function() {
-      this.style.borderBottom = '1px solid rgba(0, 0, 0, 0.87)';
-      selectWrapper.style.boxShadow = '0 3px 3px 0 rgba(0,0,0,0.14), 0 1px 7px 0 rgba(0,0,0,0.12), 0 3px 1px -1px rgba(0,0,0,0.2)';
-    });
-    
-    select.addEventListener('mouseout', function() {
-      if (this !== document.activeElement) {
-        this.style.borderBottom = '1px solid rgba(0, 0, 0, 0.42)';
-        selectWrapper.style.boxShadow = '0 2px 2px 0 rgba(0,0,0,0.14), 0 3px 1px -2px rgba(0,0,0,0.12), 0 1px 5px 0 rgba(0,0,0,0.2)';
-      }
-    });
-    
-    // Add animation on open/close
-    select.addEventListener('mousedown', function() {
-      arrow.querySelector('svg').style.transform = 'rotate(180deg)';
-    });
-    
-    document.addEventListener('mouseup', function() {
-      arrow.querySelector('svg').style.transform = 'rotate(0deg)';
-    });
-  });
+    getPageInstanceKey(instanceKey => getUsersForInstance(instanceKey, renderLoginWidget));
   } catch (error) {
     console.error('Error in insertUserButtons:', error);
   }
 }
 
-// Initial insertion of buttons
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', function() {
-    try {
-      insertUserButtons();
-    } catch (error) {
-      console.error('Error during initial insertion:', error);
-    }
-  });
-} else {
+/**
+ * Opens the quick login palette with the saved users of this instance
+ * 
+ * Works on login pages and, for switching users, in the backend.
+ * 
+ * @param {Object} [error] - Failed login result to explain at the top of the palette
+ */
+function openLoginPalette(error) {
+  if (!isOdooLoginPage() && !isOdooBackendPage()) return;
+  getPageInstanceKey(instanceKey => getUsersForInstance(instanceKey, (users, environment, order) => {
+    openQuickLoginPalette(users, order, (index, showError) => {
+      requestLogin(instanceKey, index, result => {
+        if (result.ok) {
+          closeQuickLoginPalette();
+        } else {
+          showError(describeLoginError(result));
+        }
+      });
+    }, error ? describeLoginError(error) : '');
+  }));
+}
+
+/**
+ * Reloads the saved users shown in the dropdown and the switch-user menu
+ */
+function refreshSavedUsers() {
+  if (!document.getElementById(LOGIN_WIDGET_ID) &&
+      !document.getElementById('odoo-quick-login-switch')) return;
+  getPageInstanceKey(instanceKey => getUsersForInstance(instanceKey, (users, environment, order, sort, placement) => {
+    renderLoginWidget(users, environment, order, sort, placement);
+    renderSwitchUserItems(instanceKey, users, environment, order);
+  }));
+}
+
+/**
+ * Inserts the dropdown and the switch-user menu where they are missing
+ * 
+ * Called on load and whenever the page changes: Odoo renders the login
+ * form and the navbar with JavaScript, and re-renders the navbar when
+ * moving between apps, which drops the switch-user menu.
+ */
+function insertQuickLoginElements() {
   try {
     insertUserButtons();
+    insertSwitchUserMenu();
   } catch (error) {
-    console.error('Error during initial insertion:', error);
+    console.error('Error inserting Quick Login elements:', error);
   }
 }
 
-// Listen for the custom event from the popup
-document.addEventListener('odooQuickLoginUserAdded', function() {
-  console.log('User added event detected, refreshing buttons');
-  try {
-    insertUserButtons(); // Refresh the buttons when a new user is added
-  } catch (error) {
-    console.error('Error during event-triggered refresh:', error);
+// Initial insertion of buttons, and the outcome of a quick login that led here
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    insertQuickLoginElements();
+    reportLoginOutcome();
+  });
+} else {
+  insertQuickLoginElements();
+  reportLoginOutcome();
+}
+
+// Insert the elements again when the page renders its login form or navbar.
+// Mutations are batched into one check per animation frame.
+let pageChangeQueued = false;
+const pageObserver = new MutationObserver(() => {
+  if (!browser.runtime || !browser.runtime.id) {
+    // The extension was reloaded or removed; this script can no longer reach it
+    pageObserver.disconnect();
+    return;
   }
+  if (pageChangeQueued) return;
+  pageChangeQueued = true;
+  requestAnimationFrame(() => {
+    pageChangeQueued = false;
+    insertQuickLoginElements();
+    if (tabSessionPrefix) showTabSessionTitle();
+  });
 });
+pageObserver.observe(document.documentElement, {childList: true, subtree: true});
 
-// Also refresh periodically to catch any changes
-setInterval(function() {
+// Saved users and environments live in the background's storage. Only the fact
+// that they changed is used here; the list is requested again like on first load.
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.usersByInstance || changes.userTemplates || changes.teamUsers || changes.instanceEnvironments || changes.settings) {
+    refreshSavedUsers();
+  }
+});
+
+// Answer requests from the background service worker with a promise of the response
+browser.runtime.onMessage.addListener((message) => {
+  const respondWith = run => new Promise(resolve => run(resolve));
   try {
-    insertUserButtons();
+    if (message.type === 'detectInstance') {
+      if (!isOdooLoginPage() && !isOdooBackendPage()) return Promise.resolve({instanceKey: null});
+      // Detection may need a request to the server
+      return respondWith(resolve => getPageInstanceKey(instanceKey => resolve({instanceKey})));
+    } else if (['switchLogin', 'fillLogin', 'rpcLogin'].includes(message.type) && !confirmEnvironmentLogin(message)) {
+      return Promise.resolve({ok: false, error: 'cancelled'});
+    } else if (message.type === 'switchLogin' ||
+        (isOdooBackendPage() && (message.type === 'fillLogin' || message.type === 'rpcLogin'))) {
+      // Logins requested while already inside the backend switch the session
+      return respondWith(resolve => switchToUser(message.username, message.password, message.totp, resolve));
+    } else if (message.type === 'fillLogin') {
+      return Promise.resolve({ok: fillAndSubmit(message.username, message.password, message.submit)});
+    } else if (message.type === 'rpcLogin') {
+      return respondWith(resolve => loginViaRpc(message.username, message.password, message.totp, resolve));
+    } else if (message.type === 'openPalette') {
+      openLoginPalette(message.error);
+    } else if (message.type === 'showSession') {
+      // The tab's session changed from another tab sharing its cookies
+      showTabSessionTitle(message.session);
+    } else if (message.type === 'impersonateLogin') {
+      if (!isOdooBackendPage()) return Promise.resolve({ok: false, error: 'not-logged-in'});
+      return respondWith(resolve => impersonateDatabaseUser(message.username, message.password, message.db, resolve));
+    } else if (message.type === 'listDatabaseUsers') {
+      if (!isOdooBackendPage()) return Promise.resolve({ok: false, error: 'not-logged-in'});
+      return fetchDatabaseUsers().then(users => ({ok: true, users}),
+        error => ({ok: false, error: 'rpc-failed', message: error.message}));
+    }
   } catch (error) {
-    console.error('Error during periodic refresh:', error);
+    console.error('Error handling background message:', error);
   }
-}, 5000);
\ No newline at end of file
+  return undefined;
+});
@@ -1,30 +1,66 @@
 /**
  * Odoo Quick Login - Odoo Detection Helper
- * 
- * This standalone utility function is designed to be injected into pages
- * to detect Odoo instances and generate unique identifiers for them.
- * 
- * The function is used by both the content script and popup to ensure
- * consistent instance identification across the extension.
+ *
+ * These helpers are loaded as a content script ahead of content.js (after
+ * odoo_rpc.js) to detect Odoo instances and generate unique identifiers for them.
+ *
+ * They are the single implementation of instance detection: the popup asks the
+ * background service worker, which asks the content script of the active tab.
  */
 
 /**
- * Generates a unique key to identify different Odoo instances
- * 
- * The function attempts multiple methods to identify an Odoo instance:
- * 1. Database name from input field (most specific)
- * 2. Generator meta tag content (contains Odoo version)
- * 3. Page origin as fallback (least specific)
- * 
- * @returns {string} A unique identifier for the current Odoo instance
+ * Builds the key saved users are stored under
+ *
+ * An instance is a database on a server, so the key combines the page
+ * origin with the database name. The database part is left empty when
+ * the server does not reveal it (single database behind a dbfilter).
+ *
+ * @param {string} origin - The page origin, e.g. 'https://erp.example.com'
+ * @param {string|null} db - The database name, if known
+ * @returns {string} The instance key, e.g. 'https://erp.example.com|prod'
  */
-function detectOdooInstanceKey() {
-    // Try to get database name from hidden input (Odoo login form)
-    const dbInput = document.querySelector('input[name="db"]');
-    if (dbInput && dbInput.value) return 'db:' + dbInput.value;
-    // Try to get Odoo version from meta tag
-    const meta = document.querySelector('meta[name="generator"]');
-    if (meta && meta.content) return 'meta:' + meta.content;
-    // Fallback: use window.location.origin
-    return 'origin:' + window.location.origin;
-  }
\ No newline at end of file
+function buildInstanceKey(origin, db) {
+  return origin + '|' + (db || '');
+}
+
+/**
+ * Resolves the database name of the current page
+ *
+ * Tried in order:
+ * 1. Database field of the login form or the `db` URL parameter
+ * 2. Session info of the logged-in user
+ * 3. The server's database list, when it holds exactly one database
+ *
+ * `/web/webclient/version_info` identifies the server version but not
+ * the database, so it cannot tell databases on one server apart.
+ *
+ * @returns {Promise<string|null>} The database name, or null if unknown
+ */
+function resolveInstanceDatabase() {
+  const dbInput = document.querySelector('input[name="db"], select[name="db"]');
+  if (dbInput && dbInput.value) return Promise.resolve(dbInput.value);
+  const fromUrl = new URLSearchParams(window.location.search).get('db');
+  if (fromUrl) return Promise.resolve(fromUrl);
+  return getSessionInfo()
+    .then(sessionInfo => (sessionInfo && sessionInfo.uid && sessionInfo.db) || Promise.reject())
+    .catch(() => resolveLoginDatabase());
+}
+
+/**
+ * Detects the Odoo instance shown in the current page
+ *
+ * Besides the instance key, returns the keys earlier versions of the
+ * extension stored users under for this page, so they can be migrated:
+ * `origin:<origin>` from the original detection. The background takes
+ * care of `<origin>|`, saved before the database was known.
+ *
+ * Legacy `db:<name>` and `meta:<generator>` keys are not included: they
+ * were shared by every server with a database of that name, or running
+ * the same Odoo version, and must be re-assigned by hand.
+ *
+ * @returns {Promise<Object>} Resolves to {instanceKey, legacyKeys}
+ */
+function detectOdooInstance() {
+  const origin = window.location.origin;
+  return resolveInstanceDatabase().then(db => ({instanceKey: buildInstanceKey(origin, db), legacyKeys: ['origin:' + origin]}));
+}
@@ -0,0 +1,62 @@
+/**
+ * Odoo Quick Login - Environment Profiles
+ * 
+ * Loaded by the background service worker, the popup and the options page.
+ * Every instance can be classified as development, staging or production,
+ * either by hand or by the first matching URL rule. The environment decides
+ * the color of the login page banner and how careful a quick login is:
+ * - autoSubmit: submit the login form, or only fill it in
+ * - confirm: ask in the page before logging in
+ * 
+ * Instances that are neither tagged nor matched by a rule have no
+ * environment and behave as before.
+ */
+
+const ENVIRONMENTS = {
+  dev: {label: 'Development', color: '#2e7d32'},
+  staging: {label: 'Staging', color: '#ef6c00'},
+  prod: {label: 'Production', color: '#c62828'}
+};
+
+const DEFAULT_ENVIRONMENT_POLICIES = {
+  dev: {autoSubmit: true, confirm: false},
+  staging: {autoSubmit: true, confirm: false},
+  prod: {autoSubmit: true, confirm: true}
+};
+
+/**
+ * Tells whether a URL rule matches an instance
+ * 
+ * A rule is a pattern where `*` matches any run of characters. It is
+ * compared with the server's host (including the port, if any) and with
+ * the database name, so `*.staging.example.com`, `localhost:*` and
+ * `*_prod` are all valid rules.
+ * 
+ * @param {string} instanceKey - A composite `<origin>|<db>` instance key
+ * @param {string} pattern - The rule's pattern
+ * @returns {boolean} True if the host or the database matches the pattern
+ */
+function matchesEnvironmentRule(instanceKey, pattern) {
+  const separator = instanceKey.lastIndexOf('|');
+  if (separator === -1 || !pattern) return false;
+  const host = instanceKey.slice(0, separator).replace(/^[a-z]+:\/\//, '');
+  const db = instanceKey.slice(separator + 1);
+  const regex = new RegExp('^' + pattern.trim().toLowerCase()
+    .split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(host.toLowerCase()) || (!!db && regex.test(db.toLowerCase()));
+}
+
+/**
+ * Works out the environment of an instance
+ * 
+ * @param {string} instanceKey - The instance to classify
+ * @param {string} [manual] - Environment the instance was tagged with by hand
+ * @param {Array} rules - URL rules, {pattern, environment}, checked in order
+ * @returns {string|null} 'dev', 'staging', 'prod', or null if unclassified
+ */
+function classifyInstance(instanceKey, manual, rules) {
+  if (ENVIRONMENTS[manual]) return manual;
+  const rule = (rules || []).find(candidate =>
+    ENVIRONMENTS[candidate.environment] && matchesEnvironmentRule(instanceKey, candidate.pattern));
+  return rule ? rule.environment : null;
+}
@@ -0,0 +1,121 @@
+/**
+ * Odoo Quick Login - Post-Login Landing
+ * 
+ * Where a saved user is taken once a quick login succeeds, and in which
+ * language. Loaded by background.js, which checks the targets saved on
+ * users, and as a content script after odoo_rpc.js, which opens them.
+ * 
+ * A target is one of:
+ * - a path on the instance, e.g. `/odoo/inventory` or `/web#action=123`
+ * - a record as `model,id`, e.g. `sale.order,42`, the notation of Odoo's
+ *   reference fields
+ * - the XML id of a menu or an action, e.g. `stock.menu_stock_root` or
+ *   `stock.action_picking_tree_all`
+ */
+
+// Odoo language codes, e.g. fr_FR, es_419 or sr@latin
+const LANDING_LANG_PATTERN = /^[a-z]{2,3}(_[A-Z0-9]{2,3})?(@[a-z]+)?$/;
+
+/**
+ * Reads a post-login target as typed by the user
+ * 
+ * @param {string} text - The target
+ * @returns {Object|null} {kind: 'path', path}, {kind: 'record', model, id} or
+ *   {kind: 'xmlid', module, name}; null when the text is none of them
+ */
+function parseLandingTarget(text) {
+  const target = String(text || '').trim();
+  if (target.startsWith('/')) {
+    // Protocol-relative URLs would leave the instance, and browsers read
+    // a backslash as a slash, so `/\host` is one too
+    return target.startsWith('//') || /[\s\\]/.test(target) ? null : {kind: 'path', path: target};
+  }
+  const record = /^([a-z_][a-z0-9_]*(?:\.[a-z0-9_]+)+)\s*,\s*(\d+)$/.exec(target);
+  if (record) return {kind: 'record', model: record[1], id: Number(record[2])};
+  const xmlid = /^([a-z0-9_]+)\.([A-Za-z0-9_.]+)$/.exec(target);
+  if (xmlid) return {kind: 'xmlid', module: xmlid[1], name: xmlid[2]};
+  return null;
+}
+
+/**
+ * Tells whether a language code looks like one of Odoo's
+ * 
+ * Whether the language is installed is only known to the server.
+ * 
+ * @param {string} lang - The code
+ * @returns {boolean} True if it has the shape of an Odoo language code
+ */
+function isLandingLang(lang) {
+  return LANDING_LANG_PATTERN.test(lang);
+}
+
+/**
+ * Works out the URL of a post-login target on the current instance
+ * 
+ * XML ids are looked up in ir.model.data as the user who just logged in.
+ * Users without read access to it still reach actions, which the web
+ * client also loads by XML id, but not menus.
+ * 
+ * @param {Object} target - A target from parseLandingTarget
+ * @returns {Promise<string>} A same-origin path
+ * @throws {Error} If the XML id names nothing the user can open
+ */
+function resolveLandingUrl(target) {
+  const recordUrl = (model, id) => '/web#model=' + encodeURIComponent(model) + '&id=' + id + '&view_type=form';
+  if (target.kind === 'path') return Promise.resolve(target.path);
+  if (target.kind === 'record') return Promise.resolve(recordUrl(target.model, target.id));
+  const xmlid = target.module + '.' + target.name;
+  return callKw('ir.model.data', 'search_read', [[['module', '=', target.module], ['name', '=', target.name]]],
+    {fields: ['model', 'res_id'], limit: 1})
+    .then(records => {
+      if (!records.length) throw createOdooRpcError({message: 'Nothing has the XML id ' + xmlid + '.'});
+      return records[0];
+    }, (error) => {
+      if (error.exceptionName !== 'odoo.exceptions.AccessError') throw error;
+      return {model: 'ir.actions.actions', res_id: xmlid};
+    })
+    .then(reference => {
+      if (reference.model.startsWith('ir.actions.')) return '/web#action=' + reference.res_id;
+      if (reference.model !== 'ir.ui.menu') return recordUrl(reference.model, reference.res_id);
+      return callKw('ir.ui.menu', 'read', [[reference.res_id], ['action']]).then(menus => {
+        // `action` is a reference such as 'ir.actions.act_window,123', false on menus that only group others
+        const action = menus.length && menus[0].action ? String(menus[0].action).split(',')[1] : null;
+        return '/web#menu_id=' + reference.res_id + (action ? '&action=' + action : '');
+      });
+    });
+}
+
+/**
+ * Sets the language of the user who just logged in
+ * 
+ * Odoo takes the language of the backend from the user's preferences,
+ * so the preference itself is changed, like from the user's own
+ * profile; users may always write their own language.
+ * 
+ * @param {string} lang - An Odoo language code
+ * @returns {Promise<boolean>} True if the language changed, false if it already was the one asked for
+ */
+function applyLandingLang(lang) {
+  return getSessionInfo().then(sessionInfo => {
+    const current = sessionInfo.user_context && sessionInfo.user_context.lang;
+    if (current === lang) return false;
+    return callKw('res.users', 'write', [[sessionInfo.uid], {lang}]).then(() => true);
+  });
+}
+
+/**
+ * Takes a tab that just logged in to the user's post-login target
+ * 
+ * @param {Object} landing - {target, lang}, either of them possibly empty
+ * @returns {Promise<Object>} {url, langChanged}: the path to open, or null
+ *   to stay; a changed language only shows once the page is loaded again
+ */
+function applyLoginLanding(landing) {
+  const target = landing.target ? parseLandingTarget(landing.target) : null;
+  if (landing.target && !target) {
+    return Promise.reject(createOdooRpcError({message: 'Not a valid post-login target: ' + landing.target}));
+  }
+  const langChanged = landing.lang ? applyLandingLang(landing.lang) : Promise.resolve(false);
+  return langChanged.then(changed => (target ? resolveLandingUrl(target) : Promise.resolve(null))
+    .then(url => ({url, langChanged: changed})));
+}
@@ -0,0 +1,575 @@
+/**
+ * Odoo Quick Login - Login Page Dropdown
+ * 
+ * Loaded as a content script ahead of content.js. The dropdown lists the
+ * saved users of the instance on its login page. It lives in the shadow
+ * root of a single host element, so the page's stylesheets cannot restyle
+ * it and its own stylesheet cannot leak into the page. content.js creates
+ * it once per login form and renders it again whenever the saved users or
+ * the settings change.
+ * 
+ * The list follows the ARIA listbox pattern: the toggle button opens it,
+ * the arrow keys, Home and End move through the users, typing the start
+ * of a name jumps to it, Enter or Space logs in and Escape closes it.
+ */
+
+const LOGIN_WIDGET_ID = 'odoo-quick-login-container';
+
+// Where the dropdown goes, see placeLoginWidget; the setting is validated by the background
+const LOGIN_WIDGET_PLACEMENTS = ['top', 'below', 'floating'];
+
+const LOGIN_WIDGET_STYLES = `
+  :host {
+    all: initial;
+    display: block;
+    position: relative;
+    z-index: 9999;
+    width: 80%;
+    max-width: 400px;
+    margin: 20px auto;
+    font-family: Roboto, "Segoe UI", Arial, sans-serif;
+    --oql-primary: #875A7B;
+    --oql-surface: #ffffff;
+    --oql-text: rgba(0, 0, 0, 0.87);
+    --oql-muted: rgba(0, 0, 0, 0.6);
+    --oql-border: rgba(0, 0, 0, 0.42);
+    --oql-active: rgba(135, 90, 123, 0.12);
+    --oql-error: #e74c3c;
+  }
+  :host([data-theme="dark"]) {
+    --oql-primary: #b18aa6;
+    --oql-surface: #262a36;
+    --oql-text: rgba(255, 255, 255, 0.87);
+    --oql-muted: rgba(255, 255, 255, 0.6);
+    --oql-border: rgba(255, 255, 255, 0.42);
+    --oql-active: rgba(177, 138, 166, 0.2);
+    --oql-error: #ff7b6b;
+  }
+  :host([hidden]), [hidden] {
+    display: none !important;
+  }
+  * {
+    box-sizing: border-box;
+  }
+  .fab {
+    display: none;
+  }
+  .header {
+    padding: 12px 16px;
+    border-radius: 4px 4px 0 0;
+    background: #875A7B;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
+    color: #ffffff;
+    font-size: 16px;
+    font-weight: 500;
+    letter-spacing: 1px;
+    text-align: center;
+  }
+  .field {
+    position: relative;
+    margin-bottom: 16px;
+    border: 2px solid var(--oql-primary);
+    border-radius: 4px;
+    background: var(--oql-surface);
+    box-shadow: 0 2px 2px 0 rgba(0, 0, 0, 0.14), 0 3px 1px -2px rgba(0, 0, 0, 0.12), 0 1px 5px 0 rgba(0, 0, 0, 0.2);
+    transition: box-shadow 0.3s ease;
+  }
+  .field:hover, .field:focus-within {
+    box-shadow: 0 4px 5px 0 rgba(0, 0, 0, 0.14), 0 1px 10px 0 rgba(0, 0, 0, 0.12), 0 2px 4px -1px rgba(0, 0, 0, 0.3);
+  }
+  .label {
+    position: absolute;
+    top: -8px;
+    left: 12px;
+    padding: 0 4px;
+    background: var(--oql-surface);
+    color: var(--oql-primary);
+    font-size: 12px;
+    font-weight: 500;
+    pointer-events: none;
+  }
+  .toggle {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    width: 100%;
+    height: 52px;
+    padding: 12px 16px;
+    border: none;
+    border-bottom: 1px solid var(--oql-border);
+    border-radius: 4px 4px 0 0;
+    background: transparent;
+    color: var(--oql-text);
+    font: inherit;
+    font-size: 16px;
+    text-align: left;
+    cursor: pointer;
+    outline: none;
+  }
+  .toggle:hover {
+    border-bottom-color: var(--oql-text);
+  }
+  .toggle:focus-visible {
+    border-bottom: 2px solid var(--oql-primary);
+  }
+  .arrow {
+    flex: none;
+    fill: var(--oql-primary);
+    transition: transform 0.2s ease;
+  }
+  .toggle[aria-expanded="true"] .arrow {
+    transform: rotate(180deg);
+  }
+  .list {
+    position: absolute;
+    top: 100%;
+    left: -2px;
+    right: -2px;
+    z-index: 1;
+    max-height: 280px;
+    overflow-y: auto;
+    margin-top: 2px;
+    padding: 4px 0;
+    border: 2px solid var(--oql-primary);
+    border-radius: 4px;
+    background: var(--oql-surface);
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+    outline: none;
+  }
+  .option {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 16px;
+    border-left: 4px solid transparent;
+    color: var(--oql-text);
+    font-size: 15px;
+    line-height: 1.5;
+    cursor: pointer;
+  }
+  .option:hover, .option[aria-selected="true"] {
+    background: var(--oql-active);
+  }
+  .list:focus-visible .option[aria-selected="true"] {
+    outline: 2px solid var(--oql-primary);
+    outline-offset: -2px;
+  }
+  .dot {
+    flex: none;
+    width: 10px;
+    height: 10px;
+    border-radius: 50%;
+  }
+  .helper {
+    margin: 4px 0 0 12px;
+    color: var(--oql-muted);
+    font-size: 12px;
+  }
+  .helper.error {
+    color: var(--oql-error);
+  }
+  .tags {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin: 8px 0 0 12px;
+  }
+  .tag {
+    padding: 2px 10px;
+    border: 1px solid var(--oql-primary);
+    border-radius: 12px;
+    background: transparent;
+    color: var(--oql-primary);
+    font: inherit;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  .tag[aria-pressed="true"] {
+    background: var(--oql-primary);
+    color: var(--oql-surface);
+  }
+  .sort {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin: 8px 0 0 12px;
+    color: var(--oql-muted);
+    font-size: 12px;
+  }
+  .sort select {
+    border: 1px solid var(--oql-border);
+    border-radius: 4px;
+    background: var(--oql-surface);
+    color: var(--oql-text);
+    font: inherit;
+  }
+  .tag:focus-visible, .sort select:focus-visible, .fab:focus-visible {
+    outline: 2px solid var(--oql-primary);
+    outline-offset: 2px;
+  }
+  :host([data-placement="floating"]) {
+    position: fixed;
+    right: 24px;
+    bottom: 24px;
+    z-index: 100000;
+    width: auto;
+    max-width: none;
+    margin: 0;
+  }
+  :host([data-placement="floating"]) .fab {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 56px;
+    height: 56px;
+    border: none;
+    border-radius: 50%;
+    background: #875A7B;
+    box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+    fill: #ffffff;
+    cursor: pointer;
+  }
+  :host([data-placement="floating"]) .panel {
+    position: absolute;
+    right: 0;
+    bottom: 68px;
+    width: 320px;
+    padding: 16px;
+    border-radius: 8px;
+    background: var(--oql-surface);
+    box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+  }
+  :host([data-placement="floating"]) .panel:not(.open) {
+    display: none;
+  }
+  :host([data-placement="floating"]) .list {
+    position: static;
+    max-height: 240px;
+    margin: 0;
+    border: none;
+    border-top: 1px solid var(--oql-border);
+    box-shadow: none;
+  }
+  @media (prefers-reduced-motion: reduce) {
+    .field, .arrow {
+      transition: none;
+    }
+  }
+`;
+
+// Static markup only; saved users are added with textContent by renderLoginWidget
+const LOGIN_WIDGET_MARKUP = `
+  <button type="button" class="fab" id="fab" aria-label="Odoo Quick Login" aria-controls="panel" aria-expanded="false">
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="28" height="28" aria-hidden="true"><path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/></svg>
+  </button>
+  <div class="panel" id="panel" role="group" aria-labelledby="header">
+    <div class="header" id="header">ODOO QUICK LOGIN</div>
+    <div class="field" id="field">
+      <span class="label" id="label">Saved Odoo Users</span>
+      <button type="button" class="toggle" id="toggle" aria-haspopup="listbox" aria-expanded="false" aria-controls="list" aria-labelledby="label toggle" aria-describedby="helper">
+        <span>Select a saved user...</span>
+        <svg class="arrow" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true"><path d="M7 10l5 5 5-5z"/></svg>
+      </button>
+      <div class="list" id="list" role="listbox" aria-labelledby="label" tabindex="-1" hidden></div>
+    </div>
+    <div class="helper" id="helper" aria-live="polite"></div>
+    <div class="tags" id="tags" role="group" aria-label="Filter saved users by role" hidden></div>
+    <label class="sort">Sort
+      <select id="sort">
+        <option value="manual">Saved order</option>
+        <option value="recent">Most recent</option>
+        <option value="frequent">Most used</option>
+        <option value="alpha">Name</option>
+      </select>
+    </label>
+  </div>
+`;
+
+/**
+ * Tells whether the page is shown in Odoo's dark color scheme
+ * 
+ * Odoo keeps the scheme chosen in the user menu in the color_scheme
+ * cookie, which the login page shares with the backend. Pages without
+ * it, e.g. website themes, are judged by a Bootstrap data-bs-theme
+ * attribute and then by the brightness of their background.
+ * 
+ * @returns {string} 'dark' or 'light'
+ */
+function detectPageColorScheme() {
+  const cookie = document.cookie.split(/;\s*/).find(part => part.startsWith('color_scheme='));
+  if (cookie) return cookie.slice('color_scheme='.length) === 'dark' ? 'dark' : 'light';
+  const themed = document.querySelector('html[data-bs-theme], body[data-bs-theme]');
+  if (themed) return themed.getAttribute('data-bs-theme') === 'dark' ? 'dark' : 'light';
+  for (const element of [document.body, document.documentElement]) {
+    if (!element) continue;
+    const channels = (getComputedStyle(element).backgroundColor.match(/[\d.]+/g) || []).map(Number);
+    // Transparent backgrounds show the one behind them
+    if (channels.length < 3 || channels[3] === 0) continue;
+    const brightness = 0.299 * channels[0] + 0.587 * channels[1] + 0.114 * channels[2];
+    return brightness < 128 ? 'dark' : 'light';
+  }
+  return 'light';
+}
+
+/**
+ * Builds the dropdown, hidden until renderLoginWidget fills it in
+ * 
+ * @param {Function} onChoose - Called with the position of the user chosen in the list
+ * @param {Function} onSort - Called with the sort mode chosen under the list
+ * @returns {HTMLElement} The host element, to be placed with placeLoginWidget
+ */
+function createLoginWidget(onChoose, onSort) {
+  const host = document.createElement('div');
+  host.id = LOGIN_WIDGET_ID;
+  host.hidden = true;
+  const root = host.attachShadow({mode: 'open'});
+  root.innerHTML = '<style>' + LOGIN_WIDGET_STYLES + '</style>' + LOGIN_WIDGET_MARKUP;
+
+  const fab = root.getElementById('fab');
+  const panel = root.getElementById('panel');
+  const field = root.getElementById('field');
+  const toggle = root.getElementById('toggle');
+  const list = root.getElementById('list');
+
+  const visibleOptions = () => Array.from(list.querySelectorAll('[role="option"]:not([hidden])'));
+
+  // The list keeps the focus; the active user is the one it points to
+  const activate = (option) => {
+    list.querySelectorAll('[aria-selected="true"]').forEach(item => item.setAttribute('aria-selected', 'false'));
+    if (!option) {
+      list.removeAttribute('aria-activedescendant');
+      return;
+    }
+    option.setAttribute('aria-selected', 'true');
+    list.setAttribute('aria-activedescendant', option.id);
+    if (option.offsetTop < list.scrollTop) {
+      list.scrollTop = option.offsetTop;
+    } else if (option.offsetTop + option.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = option.offsetTop + option.offsetHeight - list.clientHeight;
+    }
+  };
+
+  const open = (last) => {
+    const options = visibleOptions();
+    list.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+    activate(last ? options[options.length - 1] : options[0]);
+    list.focus();
+  };
+
+  const close = (refocus) => {
+    if (list.hidden) return;
+    list.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+    activate(null);
+    if (refocus) toggle.focus();
+  };
+
+  const choose = (option) => {
+    if (!option) return;
+    close(true);
+    onChoose(Number(option.dataset.index));
+  };
+
+  toggle.addEventListener('click', () => (list.hidden ? open(false) : close(true)));
+  toggle.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      open(e.key === 'ArrowUp');
+    }
+  });
+
+  let typed = '';
+  let typedTimer = null;
+  list.addEventListener('keydown', (e) => {
+    const options = visibleOptions();
+    const position = options.findIndex(option => option.id === list.getAttribute('aria-activedescendant'));
+    const moves = {ArrowDown: position + 1, ArrowUp: position - 1, Home: 0, End: options.length - 1};
+    if (e.key in moves) {
+      e.preventDefault();
+      activate(options[Math.max(0, Math.min(options.length - 1, moves[e.key]))]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      choose(options[position]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation(); // Only the list closes, not the floating panel
+      close(true);
+    } else if (e.key === 'Tab') {
+      close(false);
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      // Type-ahead: the next user whose name starts with the keys typed in the last half second
+      clearTimeout(typedTimer);
+      typed += e.key.toLowerCase();
+      typedTimer = setTimeout(() => { typed = ''; }, 500);
+      const start = typed.length === 1 ? position + 1 : Math.max(position, 0);
+      const match = options.slice(start).concat(options.slice(0, start))
+        .find(option => option.dataset.name.startsWith(typed));
+      if (match) activate(match);
+    }
+  });
+  list.addEventListener('click', (e) => choose(e.target.closest('[role="option"]')));
+
+  // Close the list when the focus leaves the dropdown, e.g. a click elsewhere on the page
+  field.addEventListener('focusout', (e) => {
+    if (!field.contains(e.relatedTarget)) close(false);
+  });
+
+  fab.addEventListener('click', () => {
+    const opened = panel.classList.toggle('open');
+    fab.setAttribute('aria-expanded', String(opened));
+    if (opened) toggle.focus();
+  });
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && host.dataset.placement === 'floating') {
+      panel.classList.remove('open');
+      fab.setAttribute('aria-expanded', 'false');
+      fab.focus();
+    }
+  });
+
+  const sort = root.getElementById('sort');
+  sort.addEventListener('change', () => onSort(sort.value));
+  return host;
+}
+
+/**
+ * Puts the dropdown where the placement setting asks for it
+ * 
+ * - 'top': right above the login form
+ * - 'below': right after the login form
+ * - 'floating': a button in the bottom right corner that opens the dropdown
+ * 
+ * Pages without a login form get the floating button. The dropdown is
+ * only moved when it is not in place yet, so the page observer in
+ * content.js does not see a change on every render.
+ * 
+ * @param {HTMLElement} host - The dropdown's host element
+ * @param {string} placement - One of LOGIN_WIDGET_PLACEMENTS
+ */
+function placeLoginWidget(host, placement) {
+  const login = document.querySelector('input[name="login"]');
+  const form = login && login.closest('form');
+  const where = form && LOGIN_WIDGET_PLACEMENTS.includes(placement) ? placement : form ? 'top' : 'floating';
+  host.dataset.placement = where;
+  if (where === 'top' && host.nextElementSibling !== form) {
+    form.before(host);
+  } else if (where === 'below' && form.nextElementSibling !== host) {
+    form.after(host);
+  } else if (where === 'floating' && host.parentNode !== document.body) {
+    document.body.appendChild(host);
+  }
+}
+
+/**
+ * Fills the dropdown with the saved users of this instance
+ * 
+ * The options are replaced inside the existing list, so the dropdown
+ * keeps its place, focus and listeners. It is hidden while the instance
+ * has no saved users, and follows the page's color scheme.
+ * 
+ * The header turns into a banner in the color of the instance's
+ * environment, so a production login page cannot be mistaken for a
+ * development one.
+ * 
+ * @param {Array} users - Public users of the instance
+ * @param {Object|null} environment - The instance's environment
+ * @param {Array<number>} order - Positions of the users in display order
+ * @param {string} sort - The sort mode, shown in the sort select
+ * @param {string} placement - Where the dropdown goes, see placeLoginWidget
+ */
+function renderLoginWidget(users, environment, order, sort, placement) {
+  const host = document.getElementById(LOGIN_WIDGET_ID);
+  if (!host) return;
+  const root = host.shadowRoot;
+  host.hidden = users.length === 0;
+  host.dataset.theme = detectPageColorScheme();
+  placeLoginWidget(host, placement);
+
+  const header = root.getElementById('header');
+  header.textContent = environment ? 'ODOO QUICK LOGIN - ' + environment.label.toUpperCase() : 'ODOO QUICK LOGIN';
+  header.style.backgroundColor = environment ? environment.color : '';
+  const helper = root.getElementById('helper');
+  if (!helper.classList.contains('error')) {
+    // Keep a login error on screen; otherwise describe what choosing a user does
+    helper.textContent = environment && !environment.autoSubmit
+      ? 'Select a user to fill in the login form, then log in yourself'
+      : environment && environment.confirm
+        ? 'Select a user; you will be asked to confirm before logging in'
+        : 'Select a user for quick login';
+  }
+  root.getElementById('sort').value = sort;
+
+  // Options reference each user by its position only
+  const list = root.getElementById('list');
+  list.textContent = '';
+  list.removeAttribute('aria-activedescendant');
+  const options = order.map(idx => {
+    const user = users[idx];
+    const option = document.createElement('div');
+    option.id = 'user-' + idx;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.dataset.index = String(idx);
+    option.dataset.name = (user.label || user.username).toLowerCase();
+    option.title = user.note || '';
+    option.style.borderLeftColor = user.color || 'transparent';
+    if (user.color) {
+      const dot = document.createElement('span');
+      dot.className = 'dot';
+      dot.style.background = user.color;
+      dot.setAttribute('aria-hidden', 'true');
+      option.appendChild(dot);
+    }
+    option.appendChild(document.createTextNode((user.favorite ? '\u2605 ' : '') + describeSavedUser(user)));
+    list.appendChild(option);
+    return option;
+  });
+
+  // Role filter: one toggle per tag, hiding the users of other roles
+  const tagFilter = root.getElementById('tags');
+  tagFilter.textContent = '';
+  const tags = [];
+  users.forEach(user => (user.tags || []).forEach(tag => {
+    if (!tags.includes(tag)) tags.push(tag);
+  }));
+  tagFilter.hidden = tags.length === 0;
+  if (tags.length === 0) {
+    delete host.dataset.tag;
+    return;
+  }
+  const chips = [null].concat(tags).map(tag => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag';
+    chip.textContent = tag || 'All';
+    chip.addEventListener('click', () => {
+      if (tag) {
+        host.dataset.tag = tag;
+      } else {
+        delete host.dataset.tag;
+      }
+      chips.forEach(other => other.setAttribute('aria-pressed', String(other === chip)));
+      options.forEach(option => {
+        option.hidden = !!tag && !(users[Number(option.dataset.index)].tags || []).includes(tag);
+      });
+    });
+    tagFilter.appendChild(chip);
+    return chip;
+  });
+  // Renders after a change to the saved users keep the role picked, while it is still used
+  chips[tags.indexOf(host.dataset.tag) + 1].click();
+}
+
+/**
+ * Shows why a login from the dropdown failed, until the page is left
+ * 
+ * @param {string} message - The error, see describeLoginError
+ */
+function showLoginWidgetError(message) {
+  const host = document.getElementById(LOGIN_WIDGET_ID);
+  if (!host) return;
+  const helper = host.shadowRoot.getElementById('helper');
+  helper.textContent = message;
+  helper.classList.add('error');
+}
@@ -0,0 +1,195 @@
+/**
+ * Odoo Quick Login - Odoo JSON-RPC Helpers
+ * 
+ * Loaded as a content script ahead of content.js. Requests are sent from
+ * the page's origin, so the session cookie Odoo sets on a successful
+ * authenticate belongs to the page just like a normal form login.
+ */
+
+/**
+ * Fetches a path on the page's origin as the page itself
+ * 
+ * A content script's own fetch() is sent by the page in Chrome, but by
+ * the extension in Firefox, where `content.fetch` is the page's.
+ * 
+ * @param {string} path - Same-origin path
+ * @param {Object} init - fetch() options
+ * @returns {Promise<Response>} The response
+ */
+function pageFetch(path, init) {
+  if (typeof content !== 'undefined' && content && typeof content.fetch === 'function') {
+    return content.fetch(path, init);
+  }
+  return fetch(path, init);
+}
+
+/**
+ * Builds the Error thrown when an Odoo JSON-RPC call fails
+ * 
+ * @param {Object} error - The `error` member of the JSON-RPC response
+ * @returns {Error} Error carrying the server's message and exception name
+ */
+function createOdooRpcError(error) {
+  const data = error.data || {};
+  const rpcError = new Error(data.message || error.message || 'Odoo request failed');
+  rpcError.exceptionName = data.name || '';
+  return rpcError;
+}
+
+/**
+ * Calls an Odoo JSON-RPC route on the current origin
+ * 
+ * @param {string} path - Route path, e.g. '/web/session/authenticate'
+ * @param {Object} params - The JSON-RPC params
+ * @returns {Promise<*>} The `result` member of the response
+ */
+function odooJsonRpc(path, params) {
+  return pageFetch(path, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({jsonrpc: '2.0', method: 'call', id: Date.now(), params: params || {}})
+  }).then(response => {
+    if (!response.ok) {
+      throw createOdooRpcError({message: 'HTTP ' + response.status + ' from ' + path});
+    }
+    return response.json();
+  }).then(payload => {
+    if (payload.error) throw createOdooRpcError(payload.error);
+    return payload.result;
+  });
+}
+
+/**
+ * Resolves the database a login on this page should target
+ * 
+ * Uses the db field of the login form, then the `db` query parameter,
+ * and finally the server's database list when it holds a single database.
+ * 
+ * @returns {Promise<string|null>} The database name, or null if it is ambiguous
+ */
+function resolveLoginDatabase() {
+  const dbInput = document.querySelector('input[name="db"], select[name="db"]');
+  if (dbInput && dbInput.value) return Promise.resolve(dbInput.value);
+  const fromUrl = new URLSearchParams(window.location.search).get('db');
+  if (fromUrl) return Promise.resolve(fromUrl);
+  return odooJsonRpc('/web/database/list', {})
+    .then(databases => (Array.isArray(databases) && databases.length === 1 ? databases[0] : null))
+    .catch(() => null); // list_db is disabled on most production servers
+}
+
+/**
+ * Returns the page to open after a successful login
+ * 
+ * Honors the login page's `redirect` parameter when it points to a path
+ * on the same origin, and falls back to the web client otherwise.
+ * 
+ * @returns {string} A same-origin path
+ */
+function getPostLoginRedirect() {
+  const redirect = new URLSearchParams(window.location.search).get('redirect');
+  if (!redirect) return '/web';
+  // Resolve it the way the browser would: `//host` and `/\host` both leave the origin
+  let url;
+  try {
+    url = new URL(redirect, window.location.origin);
+  } catch (e) {
+    return '/web';
+  }
+  return url.origin === window.location.origin ? url.pathname + url.search + url.hash : '/web';
+}
+
+/**
+ * Authenticates against /web/session/authenticate
+ * 
+ * @param {string} login - The user's login
+ * @param {string} password - The user's password
+ * @param {string} [db] - The database to log in to; resolved from the page when omitted
+ * @returns {Promise<Object>} The session info of the authenticated user
+ * @throws {Error} With `uidMissing` set when the server returned no user,
+ *   which is also how a login pending its two-factor step looks
+ */
+function authenticateSession(login, password, db) {
+  return (db ? Promise.resolve(db) : resolveLoginDatabase()).then(database => {
+    if (!database) {
+      throw createOdooRpcError({message: 'Could not determine the database to log in to.'});
+    }
+    return odooJsonRpc('/web/session/authenticate', {db: database, login, password});
+  }).then(sessionInfo => {
+    // Older servers answer a rejected login with an empty uid instead of an error.
+    // Newer ones do the same when the user still has to enter a two-factor code.
+    if (!sessionInfo || !sessionInfo.uid) {
+      const error = createOdooRpcError({data: {name: 'odoo.exceptions.AccessDenied', message: 'Access Denied'}});
+      error.uidMissing = true;
+      throw error;
+    }
+    return sessionInfo;
+  });
+}
+
+/**
+ * Returns the session info of the logged-in user
+ * 
+ * @returns {Promise<Object>} Session info including `db`, `uid` and `username`
+ */
+function getSessionInfo() {
+  return odooJsonRpc('/web/session/get_session_info', {});
+}
+
+/**
+ * Ends the current Odoo session
+ * 
+ * The logout route answers with a redirect to the login page, which is
+ * not followed; only the server-side session reset matters here.
+ * 
+ * @returns {Promise<void>} Resolves once the session is gone
+ */
+function logoutSession() {
+  return pageFetch('/web/session/logout', {credentials: 'same-origin', redirect: 'manual'}).then(() => {});
+}
+
+/**
+ * Calls a model method through /web/dataset/call_kw, like the web client
+ * 
+ * Runs with the access rights of the logged-in user.
+ * 
+ * @param {string} model - The model, e.g. 'res.users'
+ * @param {string} method - The public model method, e.g. 'search_read'
+ * @param {Array} args - Positional arguments of the method
+ * @param {Object} [kwargs] - Keyword arguments of the method
+ * @returns {Promise<*>} The method's return value
+ */
+function callKw(model, method, args, kwargs) {
+  return odooJsonRpc('/web/dataset/call_kw/' + model + '/' + method, {model, method, args, kwargs: kwargs || {}});
+}
+
+/**
+ * Lists the active users of the logged-in database
+ * 
+ * Archived users, which include the public user and OdooBot, are left
+ * out by the default `active` filter. Portal users are listed with
+ * `share` set.
+ * 
+ * @returns {Promise<Array>} Users as {login, name, share}, sorted by login
+ */
+function fetchDatabaseUsers() {
+  return callKw('res.users', 'search_read', [[]], {fields: ['login', 'name', 'share'], order: 'login'})
+    .then(records => records.map(record => ({login: record.login, name: record.name || '', share: !!record.share})));
+}
+
+/**
+ * Sets the password of a user of the logged-in database
+ * 
+ * Needs a session with the rights to manage users.
+ * 
+ * @param {string} login - The login of the user
+ * @param {string} password - The new password
+ * @returns {Promise<void>} Resolves once the password is written
+ * @throws {Error} If no active user has the login
+ */
+function setUserPassword(login, password) {
+  return callKw('res.users', 'search', [[['login', '=', login]]], {limit: 1}).then(ids => {
+    if (!ids.length) throw createOdooRpcError({message: 'No active user has the login ' + login + '.'});
+    return callKw('res.users', 'write', [ids, {password}]);
+  }).then(() => {});
+}
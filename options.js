@@ -0,0 +1,865 @@
+/**
+ * Odoo Quick Login - Options Page Script
+ * 
+ * Manages every instance and saved user in one place:
+ * 1. Lists all instances from storage with their users
+ * 2. Inline editing of login, password and label
+ * 3. Drag-to-reorder users within an instance
+ * 4. Bulk deletion of selected users and removal of whole instances
+ * 5. Friendly names for instances
+ * 6. Searching across instances, logins, labels, tags and notes
+ * 7. The sites the content scripts run on, with their host permissions, and
+ *    the host aliases "Open as" uses to log in to a server more than once
+ * 8. Environment rules, per-environment login safeguards and per-instance environments
+ * 9. User templates shared by the instances their scope matches
+ * 10. The impersonation setting and password for development instances
+ * 11. Syncing the vault through the browser account, and picking a vault
+ *     when this device and the synced one have different passphrases
+ * 12. The team file, loaded from a URL or a file, and how its users
+ *     conflicting with saved ones are listed
+ * 
+ * Like the popup, every change is a message to the background service worker.
+ * Host permissions are the exception: browser.permissions.request needs the
+ * click that asked for it, so it is called here before the site is saved.
+ */
+
+let instances = [];
+let settings = null;
+const selectedUsers = new Set();
+let draggedUser = null;
+
+/**
+ * Identifies a user row for selection tracking
+ * 
+ * @param {string} instanceKey - The instance the user belongs to
+ * @param {number} index - Position of the user in the instance's list
+ * @returns {string} A key unique across instances
+ */
+function selectionKey(instanceKey, index) {
+  return instanceKey + '\n' + index;
+}
+
+/**
+ * Shows an error message above the instance list
+ * 
+ * @param {string} message - The message to show, or an empty string to clear it
+ */
+function showStatus(message) {
+  document.getElementById('status').textContent = message;
+}
+
+/**
+ * Handles a failed request, asking for the passphrase if the vault locked
+ * 
+ * @param {Object} result - Response from the background
+ * @returns {boolean} True if the request succeeded
+ */
+function checkResult(result) {
+  if (result.ok) {
+    showStatus('');
+    return true;
+  }
+  if (result.error === 'locked') {
+    renderVaultNotice();
+    showStatus('Unlock the vault to change passwords.');
+  } else {
+    showStatus('The change could not be saved.');
+  }
+  return false;
+}
+
+/**
+ * Shows the unlock form while the vault is locked
+ * 
+ * Logins, labels and order can be edited while locked; only password
+ * changes need the vault key.
+ */
+function renderVaultNotice() {
+  sendMessage({type: 'getVaultState'}, state => {
+    const notice = document.getElementById('vault-notice');
+    notice.hidden = state.unlocked;
+    const unlockable = state.initialized;
+    document.getElementById('passphrase').hidden = !unlockable;
+    document.getElementById('unlock-vault').hidden = !unlockable;
+    document.getElementById('vault-notice-text').textContent = unlockable
+      ? 'The vault is locked. Unlock it to change passwords.'
+      : 'Create a vault from the extension popup before saving users.';
+  });
+}
+
+/**
+ * Tells whether a user matches the search query
+ * 
+ * @param {Object} user - Public user with username, label, tags and note
+ * @param {string} query - Lower-cased search text
+ * @returns {boolean} True if the login, label, note or a tag contains the query
+ */
+function userMatches(user, query) {
+  return [user.username, user.label, user.note].concat(user.tags || [])
+    .some(value => (value || '').toLowerCase().includes(query));
+}
+
+/**
+ * Loads all instances from the background and renders them
+ */
+function refresh() {
+  sendMessage({type: 'listInstances'}, response => {
+    instances = response.instances || [];
+    selectedUsers.clear();
+    render();
+  });
+}
+
+/**
+ * Renders the instances matching the current search
+ */
+function render() {
+  const query = document.getElementById('search').value.trim().toLowerCase();
+  const container = document.getElementById('instances');
+  container.innerHTML = '';
+  updateDeleteButton();
+
+  let shown = 0;
+  instances.forEach(instance => {
+    const instanceMatches = !query || [instance.instanceKey, instance.name, formatInstanceKey(instance.instanceKey)]
+      .some(value => (value || '').toLowerCase().includes(query));
+    const indexes = instance.users.map((user, idx) => idx)
+      .filter(idx => instanceMatches || userMatches(instance.users[idx], query));
+    if (!instanceMatches && indexes.length === 0) return;
+    container.appendChild(renderInstance(instance, indexes, !query));
+    shown++;
+  });
+
+  if (shown === 0) {
+    container.innerHTML = query
+      ? '<div class="no-users">Nothing matches your search.</div>'
+      : '<div class="no-users">No users saved yet. Add users from the extension popup on an Odoo login page.</div>';
+  }
+}
+
+/**
+ * Builds the card of one instance
+ * 
+ * @param {Object} instance - Instance with instanceKey, name and users
+ * @param {Array<number>} indexes - Positions of the users to show
+ * @param {boolean} reorderable - Whether rows can be dragged (only when unfiltered)
+ * @returns {HTMLElement} The card
+ */
+function renderInstance(instance, indexes, reorderable) {
+  const card = document.createElement('div');
+  card.className = 'instance-card';
+
+  const header = document.createElement('div');
+  header.className = 'instance-card-header';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'instance-name';
+  name.value = instance.name;
+  name.placeholder = formatInstanceKey(instance.instanceKey);
+  name.title = 'Friendly name for this instance';
+  name.onchange = () => {
+    sendMessage({type: 'renameInstance', instanceKey: instance.instanceKey, name: name.value}, result => {
+      if (checkResult(result)) instance.name = name.value.trim();
+    });
+  };
+  const remove = document.createElement('button');
+  remove.className = 'danger-btn';
+  remove.textContent = 'Delete instance';
+  remove.onclick = () => {
+    const count = instance.users.length;
+    if (!window.confirm('Delete "' + getInstanceTitle(instance) + '" and its ' + count + ' saved user(s)?')) return;
+    sendMessage({type: 'removeInstance', instanceKey: instance.instanceKey}, result => {
+      if (checkResult(result)) refresh();
+    });
+  };
+  const environment = document.createElement('select');
+  environment.title = 'Environment of this instance';
+  const byRules = ENVIRONMENTS[instance.environment] && !instance.environmentTag
+    ? 'By rules (' + ENVIRONMENTS[instance.environment].label + ')'
+    : 'By rules (none)';
+  [['', byRules]].concat(Object.keys(ENVIRONMENTS).map(id => [id, ENVIRONMENTS[id].label])).forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    environment.appendChild(option);
+  });
+  environment.value = instance.environmentTag;
+  environment.onchange = () => {
+    sendMessage({type: 'setInstanceEnvironment', instanceKey: instance.instanceKey, environment: environment.value}, result => {
+      if (checkResult(result)) refresh();
+    });
+  };
+  if (ENVIRONMENTS[instance.environment]) card.style.borderLeft = '6px solid ' + ENVIRONMENTS[instance.environment].color;
+  header.appendChild(name);
+  header.appendChild(environment);
+  header.appendChild(remove);
+  card.appendChild(header);
+
+  const key = document.createElement('div');
+  key.className = 'instance-key';
+  key.textContent = instance.instanceKey + ' - ' + instance.users.length + ' user(s)';
+  card.appendChild(key);
+
+  indexes.forEach(idx => card.appendChild(renderUserRow(instance, idx, reorderable)));
+  return card;
+}
+
+/**
+ * Builds the editable row of one saved user
+ * 
+ * @param {Object} instance - The instance the user belongs to
+ * @param {number} idx - Position of the user in the instance's list
+ * @param {boolean} reorderable - Whether the row can be dragged
+ * @returns {HTMLElement} The row
+ */
+function renderUserRow(instance, idx, reorderable) {
+  const user = instance.users[idx];
+  const row = document.createElement('div');
+  row.className = 'user-edit-row';
+  if (user.failing) {
+    row.classList.add('is-failing');
+    row.title = 'Odoo rejected the saved password ' + user.loginFailures + ' times in a row';
+  }
+
+  const handle = document.createElement('span');
+  handle.className = 'drag-handle';
+  handle.textContent = reorderable ? '\u22ee\u22ee' : '';
+  handle.title = reorderable ? 'Drag to reorder' : 'Clear the search to reorder';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedUsers.has(selectionKey(instance.instanceKey, idx));
+  checkbox.onchange = () => {
+    const keyForRow = selectionKey(instance.instanceKey, idx);
+    if (checkbox.checked) {
+      selectedUsers.add(keyForRow);
+    } else {
+      selectedUsers.delete(keyForRow);
+    }
+    updateDeleteButton();
+  };
+
+  const login = document.createElement('input');
+  login.type = 'text';
+  login.value = user.username;
+  login.placeholder = 'Login';
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.value = user.label;
+  label.placeholder = 'Label (optional)';
+
+  const password = document.createElement('input');
+  password.type = 'password';
+  password.placeholder = user.failing ? 'Saved password keeps failing' : 'Password unchanged';
+  password.autocomplete = 'new-password';
+
+  const save = document.createElement('button');
+  save.className = 'primary-btn';
+  save.textContent = 'Save';
+  save.disabled = true;
+  const markDirty = () => {
+    save.disabled = !login.value.trim() ||
+      (login.value.trim() === user.username && label.value.trim() === user.label && !password.value);
+  };
+  [login, label, password].forEach(input => { input.oninput = markDirty; });
+  save.onclick = () => {
+    const changes = {username: login.value.trim(), label: label.value.trim()};
+    if (password.value) changes.password = password.value;
+    // The list holds the instance's own users, without team users and templates
+    sendMessage({type: 'updateUser', instanceKey: instance.instanceKey, index: idx, own: true, changes}, result => {
+      if (!checkResult(result)) return;
+      user.username = changes.username;
+      user.label = changes.label;
+      if (changes.password) {
+        row.classList.remove('is-failing');
+        row.title = '';
+        password.placeholder = 'Password unchanged';
+      }
+      password.value = '';
+      markDirty();
+    });
+  };
+
+  if (reorderable) {
+    row.draggable = true;
+    row.addEventListener('dragstart', (e) => {
+      draggedUser = {instanceKey: instance.instanceKey, index: idx};
+      row.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    row.addEventListener('dragend', () => {
+      row.classList.remove('dragging');
+      draggedUser = null;
+    });
+    row.addEventListener('dragover', (e) => {
+      if (!draggedUser || draggedUser.instanceKey !== instance.instanceKey) return;
+      e.preventDefault();
+      row.classList.add('drop-target');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      row.classList.remove('drop-target');
+      if (!draggedUser || draggedUser.instanceKey !== instance.instanceKey) return;
+      moveUser(instance, draggedUser.index, idx);
+    });
+  }
+
+  [handle, checkbox, login, label, password, save].forEach(el => row.appendChild(el));
+  return row;
+}
+
+/**
+ * Moves a user in front of another one and saves the new order
+ * 
+ * @param {Object} instance - The instance being reordered
+ * @param {number} from - Current position of the dragged user
+ * @param {number} to - Position of the user it was dropped on
+ */
+function moveUser(instance, from, to) {
+  if (from === to) return;
+  const order = instance.users.map((user, idx) => idx);
+  order.splice(from, 1);
+  order.splice(order.indexOf(to), 0, from);
+  sendMessage({type: 'reorderUsers', instanceKey: instance.instanceKey, order}, result => {
+    if (checkResult(result)) refresh();
+  });
+}
+
+/**
+ * Enables the bulk delete button when users are selected
+ */
+function updateDeleteButton() {
+  const button = document.getElementById('delete-selected');
+  button.disabled = selectedUsers.size === 0;
+  button.textContent = selectedUsers.size ? 'Delete selected (' + selectedUsers.size + ')' : 'Delete selected';
+}
+
+document.getElementById('delete-selected').onclick = () => {
+  if (!window.confirm('Delete ' + selectedUsers.size + ' selected user(s)?')) return;
+  const byInstance = {};
+  selectedUsers.forEach(keyForRow => {
+    const separator = keyForRow.lastIndexOf('\n');
+    const instanceKey = keyForRow.slice(0, separator);
+    (byInstance[instanceKey] = byInstance[instanceKey] || []).push(Number(keyForRow.slice(separator + 1)));
+  });
+  const selections = Object.keys(byInstance).map(instanceKey => ({instanceKey, indexes: byInstance[instanceKey]}));
+  sendMessage({type: 'removeUsers', selections}, result => {
+    if (checkResult(result)) refresh();
+  });
+};
+
+/**
+ * Requests access to a site and adds it to the list of sites
+ * 
+ * @param {string} input - The site as typed by the user
+ */
+function addSite(input) {
+  const status = document.getElementById('site-status');
+  const parsed = parseSitePattern(input);
+  if (!parsed) {
+    status.textContent = 'Enter a host such as erp.example.com, *.odoo.com or localhost:8069.';
+    return;
+  }
+  browser.permissions.request({origins: [parsed.matchPattern]}).then(granted => {
+    if (!granted) {
+      status.textContent = 'Access to ' + parsed.site + ' was not granted.';
+      return;
+    }
+    sendMessage({type: 'addSite', site: parsed.site}, result => {
+      status.textContent = result.ok ? '' : result.message || 'The site could not be added.';
+      if (result.ok) document.getElementById('site-input').value = '';
+      renderSites();
+    });
+  });
+}
+
+/**
+ * Renders the added sites and the saved instances that have no site yet
+ */
+function renderSites() {
+  sendMessage({type: 'listSites'}, response => {
+    const list = document.getElementById('site-list');
+    list.innerHTML = '';
+    (response.sites || []).forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'site-row';
+      const name = document.createElement('span');
+      name.textContent = entry.site;
+      row.appendChild(name);
+      if (!entry.granted) {
+        // Access was revoked from the browser's extension settings
+        const warning = document.createElement('button');
+        warning.className = 'secondary-btn';
+        warning.textContent = 'Grant access';
+        warning.onclick = () => addSite(entry.site);
+        row.appendChild(warning);
+      }
+      const remove = document.createElement('button');
+      remove.className = 'danger-btn';
+      remove.textContent = 'Remove';
+      remove.onclick = () => sendMessage({type: 'removeSite', site: entry.site}, renderSites);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+    if (!list.childNodes.length) {
+      list.innerHTML = '<div class="site-warning">No sites added yet: the login dropdown and switch-user menu are not shown anywhere.</div>';
+    }
+
+    const suggestions = document.getElementById('site-suggestions');
+    suggestions.innerHTML = '';
+    (response.suggestions || []).forEach(origin => {
+      const row = document.createElement('div');
+      row.className = 'site-row';
+      const name = document.createElement('span');
+      name.textContent = origin + ' has saved users but is not in the list';
+      const add = document.createElement('button');
+      add.className = 'secondary-btn';
+      add.textContent = 'Add';
+      add.onclick = () => addSite(origin);
+      row.appendChild(name);
+      row.appendChild(add);
+      suggestions.appendChild(row);
+    });
+  });
+}
+
+document.getElementById('add-site').onclick = () => addSite(document.getElementById('site-input').value);
+
+document.getElementById('site-input').onkeydown = (e) => {
+  if (e.key === 'Enter') document.getElementById('add-site').click();
+};
+
+/**
+ * Renders the host aliases and the servers they stand for
+ */
+function renderAliases() {
+  sendMessage({type: 'listHostAliases'}, response => {
+    const list = document.getElementById('alias-list');
+    list.innerHTML = '';
+    (response.aliases || []).forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'site-row';
+      const name = document.createElement('span');
+      name.textContent = entry.alias + ' \u2192 ' + entry.origin;
+      const remove = document.createElement('button');
+      remove.className = 'danger-btn';
+      remove.textContent = 'Remove';
+      remove.onclick = () => sendMessage({type: 'removeHostAlias', alias: entry.alias}, renderAliases);
+      row.appendChild(name);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+  });
+}
+
+document.getElementById('add-alias').onclick = () => {
+  const status = document.getElementById('alias-status');
+  const alias = parseAliasOrigin(document.getElementById('alias-input').value);
+  const origin = parseAliasOrigin(document.getElementById('alias-origin').value);
+  if (!alias || !origin) {
+    status.textContent = 'Enter both addresses, starting with http:// or https://.';
+    return;
+  }
+  // Like any site, the alias needs its host permission, asked for while the click counts
+  browser.permissions.request({origins: [alias + '/*']}).then(granted => {
+    if (!granted) {
+      status.textContent = 'Access to ' + alias + ' was not granted.';
+      return;
+    }
+    sendMessage({type: 'addHostAlias', alias, origin}, result => {
+      status.textContent = result.ok ? '' : result.message || 'The alias could not be added.';
+      if (result.ok) {
+        document.getElementById('alias-input').value = '';
+        document.getElementById('alias-origin').value = '';
+      }
+      renderAliases();
+      renderSites();
+    });
+  });
+};
+
+/**
+ * Saves environment settings and shows the result
+ * 
+ * @param {Object} changes - Any of {environmentRules, environmentPolicies}
+ */
+function saveEnvironmentSettings(changes) {
+  sendMessage({type: 'saveSettings', settings: changes}, result => {
+    settings = result;
+    renderEnvironments();
+    refresh(); // Instances classified by rules may have changed
+  });
+}
+
+/**
+ * Renders the login safeguards of each environment and the URL rules
+ */
+function renderEnvironments() {
+  const policies = document.getElementById('environment-policies');
+  policies.innerHTML = '';
+  Object.keys(ENVIRONMENTS).forEach(id => {
+    const policy = Object.assign({}, DEFAULT_ENVIRONMENT_POLICIES[id], settings.environmentPolicies[id]);
+    const row = document.createElement('div');
+    row.className = 'environment-row';
+    const name = document.createElement('span');
+    name.className = 'environment-name';
+    name.style.background = ENVIRONMENTS[id].color;
+    name.textContent = ENVIRONMENTS[id].label;
+    row.appendChild(name);
+    [['autoSubmit', 'Submit the login form'], ['confirm', 'Ask before logging in']].forEach(([key, text]) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = policy[key];
+      checkbox.onchange = () => {
+        const environmentPolicies = Object.assign({}, DEFAULT_ENVIRONMENT_POLICIES, settings.environmentPolicies);
+        environmentPolicies[id] = Object.assign({}, policy, {[key]: checkbox.checked});
+        saveEnvironmentSettings({environmentPolicies});
+      };
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(' ' + text));
+      row.appendChild(label);
+    });
+    policies.appendChild(row);
+  });
+
+  const list = document.getElementById('rule-list');
+  list.innerHTML = '';
+  settings.environmentRules.forEach((rule, idx) => {
+    const row = document.createElement('div');
+    row.className = 'site-row';
+    const text = document.createElement('span');
+    text.textContent = rule.pattern + ' \u2192 ' + ENVIRONMENTS[rule.environment].label;
+    const remove = document.createElement('button');
+    remove.className = 'danger-btn';
+    remove.textContent = 'Remove';
+    remove.onclick = () => {
+      saveEnvironmentSettings({environmentRules: settings.environmentRules.filter((other, i) => i !== idx)});
+    };
+    row.appendChild(text);
+    row.appendChild(remove);
+    list.appendChild(row);
+  });
+}
+
+document.getElementById('add-rule').onclick = () => {
+  const patternInput = document.getElementById('rule-pattern');
+  const pattern = patternInput.value.trim();
+  if (!pattern) return;
+  const rule = {pattern, environment: document.getElementById('rule-environment').value};
+  patternInput.value = '';
+  saveEnvironmentSettings({environmentRules: settings.environmentRules.concat([rule])});
+};
+
+Object.keys(ENVIRONMENTS).forEach(id => {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = ENVIRONMENTS[id].label;
+  document.getElementById('rule-environment').appendChild(option);
+});
+
+/**
+ * Renders the user templates with their scope
+ */
+function renderTemplates() {
+  sendMessage({type: 'listTemplates'}, response => {
+    const list = document.getElementById('template-list');
+    list.innerHTML = '';
+    (response.templates || []).forEach(template => {
+      const row = document.createElement('div');
+      row.className = 'site-row template-row';
+      const text = document.createElement('span');
+      text.textContent = template.username;
+      const scope = document.createElement('div');
+      scope.className = 'template-scope';
+      scope.textContent = describeTemplateScope(template);
+      text.appendChild(scope);
+
+      const label = document.createElement('input');
+      label.type = 'text';
+      label.value = template.label;
+      label.placeholder = 'Label (optional)';
+      const password = document.createElement('input');
+      password.type = 'password';
+      password.placeholder = 'Password unchanged';
+      password.autocomplete = 'new-password';
+
+      const save = document.createElement('button');
+      save.className = 'secondary-btn';
+      save.textContent = 'Save';
+      save.onclick = () => saveTemplate({
+        templateId: template.templateId,
+        scope: template.scope,
+        pattern: template.pattern,
+        username: template.username,
+        password: password.value,
+        label: label.value
+      });
+      const remove = document.createElement('button');
+      remove.className = 'danger-btn';
+      remove.textContent = 'Remove';
+      remove.onclick = () => sendMessage({type: 'removeTemplate', templateId: template.templateId}, renderTemplates);
+
+      [text, label, password, save, remove].forEach(el => row.appendChild(el));
+      list.appendChild(row);
+    });
+  });
+}
+
+/**
+ * Adds or edits a user template and shows the result
+ * 
+ * @param {Object} template - {templateId?, scope, pattern, username, password, label}
+ * @param {Function} [onSaved] - Called after a successful save
+ */
+function saveTemplate(template, onSaved) {
+  const status = document.getElementById('template-status');
+  sendMessage(Object.assign({type: 'saveTemplate'}, template), result => {
+    if (result.error === 'locked') renderVaultNotice();
+    status.textContent = result.ok ? '' : result.message || (result.error === 'locked'
+      ? 'Unlock the vault to save template passwords.'
+      : 'The template could not be saved.');
+    if (!result.ok) return;
+    if (onSaved) onSaved();
+    renderTemplates();
+  });
+}
+
+document.getElementById('template-scope').onchange = (e) => {
+  const pattern = document.getElementById('template-pattern');
+  pattern.hidden = e.target.value === 'all';
+  pattern.placeholder = e.target.value === 'db' ? '^client_test_\\d+$' : 'https://erp.example.com';
+};
+
+document.getElementById('add-template').onclick = () => {
+  const fields = ['template-pattern', 'template-login', 'template-password', 'template-label']
+    .map(id => document.getElementById(id));
+  const scope = document.getElementById('template-scope').value;
+  if (!parseTemplateScope(scope, fields[0].value)) {
+    document.getElementById('template-status').textContent = scope === 'db'
+      ? 'Enter a valid regular expression for the database name.'
+      : 'Enter a server address such as https://erp.example.com.';
+    return;
+  }
+  saveTemplate({
+    scope,
+    pattern: fields[0].value,
+    username: fields[1].value.trim(),
+    password: fields[2].value,
+    label: fields[3].value
+  }, () => fields.forEach(input => { input.value = ''; }));
+};
+
+/**
+ * Shows whether impersonation is allowed and if its password is set
+ * 
+ * @param {Object} state - {enabled, hasPassword} from the background
+ */
+function renderImpersonation(state) {
+  document.getElementById('impersonation-enabled').checked = state.enabled;
+  document.getElementById('impersonation-password').placeholder = state.hasPassword
+    ? 'Password unchanged'
+    : 'Password given to impersonated users';
+}
+
+document.getElementById('save-impersonation').onclick = () => {
+  const passwordInput = document.getElementById('impersonation-password');
+  const status = document.getElementById('impersonation-status');
+  const message = {
+    type: 'saveImpersonation',
+    enabled: document.getElementById('impersonation-enabled').checked,
+    password: passwordInput.value
+  };
+  sendMessage(message, result => {
+    if (result.error === 'locked') renderVaultNotice();
+    status.textContent = result.ok ? '' : result.message || (result.error === 'locked'
+      ? 'Unlock the vault to save the impersonation password.'
+      : 'The setting could not be saved.');
+    if (!result.ok) return;
+    passwordInput.value = '';
+    renderImpersonation(result);
+  });
+};
+
+// What a sync status means for the user, see runVaultSync
+const SYNC_STATUS_TEXT = {
+  'off': 'Saved users stay on this device.',
+  'locked': 'Unlock the vault to sync.',
+  'no-vault': 'Create a vault from the extension popup first, or sync another device that has one.',
+  'other-vault': 'Another device synced a vault with a different master passphrase. Enter that passphrase to ' +
+    'use the synced vault, keeping the users saved here, or overwrite it with this device\'s vault.',
+  'incomplete': 'Another device is still syncing. Waiting for the rest of its data.',
+  'ok': 'In sync.'
+};
+
+/**
+ * Shows whether sync is on and how the last sync went
+ * 
+ * @param {Object} status - {enabled, state} from getSyncStatus
+ */
+function renderSync(status) {
+  const state = status.state || {};
+  document.getElementById('sync-enabled').checked = status.enabled;
+  document.getElementById('sync-now').disabled = !status.enabled;
+  document.getElementById('sync-conflict').hidden = !status.enabled || state.status !== 'other-vault';
+  let text = status.enabled ? state.message || SYNC_STATUS_TEXT[state.status] || 'Not synced yet.' : SYNC_STATUS_TEXT.off;
+  if (status.enabled && state.syncedAt) text += ' Last synced ' + new Date(state.syncedAt).toLocaleString() + '.';
+  document.getElementById('sync-status').textContent = text;
+}
+
+/**
+ * Shows where the team users come from and how many there are
+ * 
+ * @param {Object} status - {team, teamConflict} from getSyncStatus
+ */
+function renderTeam(status) {
+  const team = status.team;
+  document.getElementById('team-conflict').value = status.teamConflict;
+  document.getElementById('remove-team').disabled = !team;
+  document.getElementById('team-url').value = team ? team.url : '';
+  document.getElementById('team-passphrase').placeholder = team && team.hasPassphrase
+    ? 'Passphrase unchanged'
+    : 'File passphrase, if encrypted';
+  document.getElementById('team-summary').textContent = team && team.loadedAt
+    ? team.count + (team.count === 1 ? ' team user' : ' team users') + ' from ' + (team.url || team.fileName) +
+      ', loaded ' + new Date(team.loadedAt).toLocaleString() + '.'
+    : 'No team file loaded.';
+  document.getElementById('team-status').textContent = team ? team.error : '';
+}
+
+/**
+ * Reads the sync and team file state from the background and shows it
+ */
+function renderSyncCards() {
+  sendMessage({type: 'getSyncStatus'}, status => {
+    renderSync(status);
+    renderTeam(status);
+  });
+}
+
+/**
+ * Shows the outcome of a team file load
+ * 
+ * @param {Object} result - Response from the background
+ */
+function showTeamResult(result) {
+  if (result.error === 'locked') renderVaultNotice();
+  document.getElementById('team-passphrase').value = '';
+  renderSyncCards();
+  if (!result.ok) {
+    document.getElementById('team-status').textContent = result.message || (result.error === 'locked'
+      ? 'Unlock the vault to load team users.'
+      : 'The team file could not be loaded.');
+  }
+}
+
+document.getElementById('sync-enabled').onchange = (e) => {
+  document.getElementById('sync-status').textContent = e.target.checked ? 'Syncing\u2026' : '';
+  sendMessage({type: 'setVaultSync', enabled: e.target.checked}, renderSyncCards);
+};
+
+document.getElementById('sync-now').onclick = () => {
+  document.getElementById('sync-status').textContent = 'Syncing\u2026';
+  sendMessage({type: 'syncNow'}, renderSyncCards);
+};
+
+document.getElementById('join-sync').onclick = () => {
+  const passphraseInput = document.getElementById('sync-passphrase');
+  sendMessage({type: 'joinSyncedVault', passphrase: passphraseInput.value}, result => {
+    if (result.error === 'locked') renderVaultNotice();
+    renderSyncCards();
+    if (!result.ok) {
+      document.getElementById('sync-status').textContent = result.error === 'wrong-passphrase'
+        ? 'That is not the passphrase of the synced vault.'
+        : 'Unlock this device\'s vault first.';
+      return;
+    }
+    passphraseInput.value = '';
+  });
+};
+
+document.getElementById('replace-sync').onclick = () => {
+  if (!window.confirm('Replace the synced vault? Other devices will have to switch to this vault\'s passphrase to keep syncing.')) return;
+  sendMessage({type: 'replaceSyncedVault'}, result => {
+    if (result.error === 'locked') renderVaultNotice();
+    renderSyncCards();
+  });
+};
+
+document.getElementById('load-team-url').onclick = () => {
+  const url = document.getElementById('team-url').value.trim();
+  const passphrase = document.getElementById('team-passphrase').value;
+  const status = document.getElementById('team-status');
+  let origin;
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('not http');
+    origin = parsed.origin;
+  } catch (error) {
+    status.textContent = 'Enter an http:// or https:// address, or choose a file below.';
+    return;
+  }
+  // Downloading needs access to the file's origin, asked for while the click counts
+  browser.permissions.request({origins: [origin + '/*']}).then(granted => {
+    if (!granted) {
+      status.textContent = 'Access to ' + origin + ' was not granted.';
+      return;
+    }
+    status.textContent = '';
+    sendMessage({type: 'loadTeamFile', url, passphrase}, showTeamResult);
+  });
+};
+
+document.getElementById('team-file').onchange = (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  file.text().then(text => {
+    e.target.value = '';
+    const passphrase = document.getElementById('team-passphrase').value;
+    sendMessage({type: 'loadTeamFile', text, fileName: file.name, passphrase}, showTeamResult);
+  });
+};
+
+document.getElementById('team-conflict').onchange = (e) => {
+  sendMessage({type: 'saveSettings', settings: {teamConflict: e.target.value}}, result => {
+    settings = result;
+  });
+};
+
+document.getElementById('remove-team').onclick = () => {
+  sendMessage({type: 'removeTeamSource'}, renderSyncCards);
+};
+
+document.getElementById('search').oninput = render;
+
+document.getElementById('unlock-vault').onclick = () => {
+  const passphraseInput = document.getElementById('passphrase');
+  sendMessage({type: 'unlockVault', passphrase: passphraseInput.value}, response => {
+    if (!response.ok) {
+      showStatus('Wrong passphrase.');
+      return;
+    }
+    passphraseInput.value = '';
+    showStatus('');
+    renderVaultNotice();
+    renderSyncCards();
+  });
+};
+
+document.getElementById('passphrase').onkeydown = (e) => {
+  if (e.key === 'Enter') document.getElementById('unlock-vault').click();
+};
+
+renderVaultNotice();
+renderSites();
+renderAliases();
+renderTemplates();
+sendMessage({type: 'getImpersonation'}, renderImpersonation);
+renderSyncCards();
+sendMessage({type: 'getSettings'}, result => {
+  settings = result;
+  renderEnvironments();
+});
+refresh();
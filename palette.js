@@ -0,0 +1,191 @@
+/**
+ * Odoo Quick Login - Command Palette
+ * 
+ * Loaded as a content script ahead of content.js. The palette is an
+ * overlay listing the saved users of the page's instance; typing filters
+ * them by display name, login and role, Enter logs in as the highlighted
+ * user and Escape closes it. content.js opens it when the background
+ * relays the "open-palette" keyboard command.
+ */
+
+const PALETTE_ID = 'odoo-quick-login-palette';
+
+/**
+ * Scores how well a saved user matches the palette query
+ * 
+ * Every character of the query has to appear in order in the user's
+ * label, login or one of their tags. Consecutive characters and matches
+ * at the start of a word score higher.
+ * 
+ * @param {Object} user - Public user with username, label and tags
+ * @param {string} query - The text typed in the palette
+ * @returns {number} The score, or -1 if the user does not match
+ */
+function scorePaletteMatch(user, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return 0;
+  const fields = [user.label, user.username].concat(user.tags || []).filter(Boolean);
+  return fields.reduce((best, field) => {
+    const haystack = field.toLowerCase();
+    let score = 0;
+    let position = -1;
+    for (const char of needle) {
+      const found = haystack.indexOf(char, position + 1);
+      if (found === -1) return best;
+      if (found === position + 1) score += 2;
+      if (found === 0 || /[\s._@-]/.test(haystack[found - 1])) score += 3;
+      score += 1;
+      position = found;
+    }
+    return Math.max(best, score);
+  }, -1);
+}
+
+/**
+ * Closes the palette if it is open
+ */
+function closeQuickLoginPalette() {
+  const palette = document.getElementById(PALETTE_ID);
+  if (palette) palette.remove();
+}
+
+/**
+ * Opens the palette over the current page
+ * 
+ * @param {Array} users - Public users of the page's instance
+ * @param {Array<number>} order - Positions of the users in display order, used for ties
+ * @param {Function} onChoose - Called with the chosen user's position and a status callback
+ * @param {string} [message] - Message to show above the list, e.g. why a shortcut login failed
+ */
+function openQuickLoginPalette(users, order, onChoose, message) {
+  closeQuickLoginPalette();
+
+  const overlay = document.createElement('div');
+  overlay.id = PALETTE_ID;
+  overlay.style.position = 'fixed';
+  overlay.style.inset = '0';
+  overlay.style.background = 'rgba(0, 0, 0, 0.3)';
+  overlay.style.zIndex = '100000';
+  overlay.style.display = 'flex';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'flex-start';
+  overlay.style.paddingTop = '15vh';
+  overlay.style.fontFamily = 'Roboto, "Segoe UI", Arial, sans-serif';
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) closeQuickLoginPalette();
+  });
+
+  const panel = document.createElement('div');
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Odoo Quick Login');
+  panel.style.width = '90%';
+  panel.style.maxWidth = '480px';
+  panel.style.background = '#ffffff';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 8px 24px rgba(0,0,0,0.3)';
+  panel.style.overflow = 'hidden';
+  overlay.appendChild(panel);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Log in as... (type a name, login or role)';
+  input.setAttribute('aria-label', 'Search saved users');
+  input.style.width = '100%';
+  input.style.boxSizing = 'border-box';
+  input.style.padding = '14px 16px';
+  input.style.fontSize = '16px';
+  input.style.border = 'none';
+  input.style.borderBottom = '2px solid #875A7B';
+  input.style.outline = 'none';
+  input.style.color = 'rgba(0, 0, 0, 0.87)';
+  input.style.background = '#ffffff';
+  panel.appendChild(input);
+
+  const status = document.createElement('div');
+  status.style.padding = '8px 16px 0';
+  status.style.fontSize = '12px';
+  status.style.color = '#e74c3c';
+  status.textContent = message || '';
+  panel.appendChild(status);
+
+  const list = document.createElement('div');
+  list.setAttribute('role', 'listbox');
+  list.style.maxHeight = '50vh';
+  list.style.overflowY = 'auto';
+  list.style.padding = '4px 0 8px';
+  panel.appendChild(list);
+
+  let matches = [];
+  let highlighted = 0;
+
+  const choose = (idx) => {
+    if (idx === undefined) return;
+    status.style.color = 'rgba(0, 0, 0, 0.6)';
+    status.textContent = 'Logging in as ' + (users[idx].label || users[idx].username) + '...';
+    onChoose(idx, errorMessage => {
+      status.style.color = '#e74c3c';
+      status.textContent = errorMessage;
+    });
+  };
+
+  const render = () => {
+    const query = input.value;
+    matches = order.map((idx, position) => ({idx, position, score: scorePaletteMatch(users[idx], query)}))
+      .filter(match => match.score >= 0)
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .map(match => match.idx);
+    highlighted = Math.min(highlighted, Math.max(matches.length - 1, 0));
+    list.innerHTML = '';
+    if (matches.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = users.length ? 'No saved user matches.' : 'No users saved for this Odoo site.';
+      empty.style.padding = '8px 16px';
+      empty.style.color = 'rgba(0, 0, 0, 0.6)';
+      list.appendChild(empty);
+      return;
+    }
+    matches.forEach((idx, position) => {
+      const user = users[idx];
+      const item = document.createElement('div');
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(position === highlighted));
+      item.textContent = describeSavedUser(user);
+      item.title = user.note || '';
+      item.style.padding = '8px 16px';
+      item.style.cursor = 'pointer';
+      item.style.fontSize = '14px';
+      item.style.color = 'rgba(0, 0, 0, 0.87)';
+      item.style.borderLeft = '4px solid ' + (user.color || 'transparent');
+      item.style.background = position === highlighted ? 'rgba(135, 90, 123, 0.12)' : 'transparent';
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault(); // Keep the focus in the search field
+        choose(idx);
+      });
+      list.appendChild(item);
+    });
+  };
+
+  input.addEventListener('input', () => {
+    highlighted = 0;
+    render();
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlighted = (highlighted + step + matches.length) % Math.max(matches.length, 1);
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(matches[highlighted]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeQuickLoginPalette();
+    }
+    e.stopPropagation(); // Odoo's own hotkeys must not fire while typing here
+  });
+
+  render();
+  document.body.appendChild(overlay);
+  input.focus();
+}
@@ -4,86 +4,437 @@
  * This script handles the extension popup functionality:
  * 1. Retrieving and displaying saved users for the current Odoo instance
  * 2. Adding new users to the storage
- * 3. Removing existing users
- * 4. Triggering login actions on the active tab
+ * 3. Removing existing users and editing their display name, roles, color, note,
+ *    post-login target and language, and marking favorites; users are listed
+ *    in the chosen sort order
+ * 4. Triggering login actions on the active tab, or opening a user in a
+ *    tab of its own next to the users already logged in
+ * 5. Creating, unlocking and locking the encrypted credential vault
+ * 6. Saving users read from the user list of the database open in the tab,
+ *    or impersonating them on development instances
  * 
- * The popup provides a user-friendly interface for managing
- * credentials across different Odoo instances.
+ * The popup never reads storage or decrypts passwords itself; every
+ * action is a message to the background service worker (see ui_shared.js).
  */
 
 /**
  * Retrieves saved users for a specific Odoo instance
  * 
  * @param {string} instanceKey - The unique identifier for the Odoo instance
- * @param {Function} cb - Callback function that receives the array of users
+ * @param {Function} cb - Callback function that receives the array of users,
+ *   their positions in display order and the sort mode
  */
 function getUsersForInstance(instanceKey, cb) {
-  chrome.storage.local.get({usersByInstance: {}}, (data) => {
-    cb((data.usersByInstance && data.usersByInstance[instanceKey]) || []);
+  sendMessage({type: 'getUsers', instanceKey}, response => {
+    const users = response.users || [];
+    cb(users, response.order || users.map((user, idx) => idx), response.sort || 'manual');
   });
 }
 
 /**
- * Saves users for a specific Odoo instance
+ * Formats how long ago a timestamp was
  * 
- * @param {string} instanceKey - The unique identifier for the Odoo instance
- * @param {Array} users - Array of user objects with username and password
- * @param {Function} cb - Callback function called after saving
+ * @param {number} at - Milliseconds since the epoch
+ * @returns {string} e.g. 'just now', '5 min ago', '3 h ago', '2 days ago'
+ */
+function formatTimeAgo(at) {
+  const minutes = Math.floor((Date.now() - at) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return minutes + ' min ago';
+  if (minutes < 24 * 60) return Math.floor(minutes / 60) + ' h ago';
+  const days = Math.floor(minutes / (24 * 60));
+  return days === 1 ? 'yesterday' : days + ' days ago';
+}
+
+/**
+ * Renders the last successful quick logins on the current instance
+ * 
+ * @param {string} instanceKey - The unique identifier for the current Odoo instance
  */
-function saveUsersForInstance(instanceKey, users, cb) {
-  chrome.storage.local.get({usersByInstance: {}}, (data) => {
-    data.usersByInstance[instanceKey] = users;
-    chrome.storage.local.set({usersByInstance: data.usersByInstance}, cb);
+function renderLoginHistory(instanceKey) {
+  sendMessage({type: 'getLoginHistory', instanceKey}, response => {
+    const section = document.getElementById('login-history');
+    const list = document.getElementById('login-history-list');
+    const history = response.history || [];
+    section.hidden = history.length === 0;
+    list.innerHTML = '';
+    history.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'history-row' + (entry.saved ? '' : ' is-removed');
+      const name = document.createElement('span');
+      name.textContent = entry.label ? entry.label + ' (' + entry.username + ')' : entry.username;
+      if (!entry.saved) name.title = 'No longer saved';
+      const time = document.createElement('span');
+      time.className = 'history-time';
+      time.textContent = formatTimeAgo(entry.at);
+      time.title = new Date(entry.at).toLocaleString();
+      row.appendChild(name);
+      row.appendChild(time);
+      list.appendChild(row);
+    });
   });
 }
 
 /**
- * Generates a unique key to identify different Odoo instances
+ * Renders users saved for every instance other than the current one
  * 
- * The function attempts multiple methods to identify an Odoo instance:
- * 1. Database name from input field (most specific)
- * 2. Generator meta tag content (contains Odoo version)
- * 3. Page origin as fallback (least specific)
+ * When instance detection changes (e.g. a server starts showing its
+ * database selector), users can end up under a key the current page no
+ * longer maps to. Each user, or a whole instance, can be moved here.
  * 
- * @returns {string} A unique identifier for the current Odoo instance
+ * Users an earlier version saved under the current database's name
+ * alone are listed first: they may belong to any server with a database
+ * of that name, so they are only moved once the user says so.
+ * 
+ * @param {string} instanceKey - The unique identifier for the current Odoo instance
  */
-function detectOdooInstanceKey() {
-  const dbInput = document.querySelector('input[name="db"]');
-  if (dbInput && dbInput.value) return 'db:' + dbInput.value;
-  const meta = document.querySelector('meta[name="generator"]');
-  if (meta && meta.content) return 'meta:' + meta.content;
-  return 'origin:' + window.location.origin;
+function renderOtherInstances(instanceKey) {
+  sendMessage({type: 'listInstances'}, response => {
+    const instances = response.instances || [];
+    const current = instances.find(instance => instance.instanceKey === instanceKey);
+    const label = document.getElementById('instance-label');
+    label.textContent = getInstanceTitle(current || {instanceKey});
+    const environment = current && ENVIRONMENTS[current.environment];
+    if (environment) {
+      const badge = document.createElement('span');
+      badge.className = 'environment-badge';
+      badge.style.background = environment.color;
+      badge.textContent = environment.label;
+      label.insertBefore(badge, label.firstChild);
+    }
+    const db = instanceKey.slice(instanceKey.lastIndexOf('|') + 1);
+    const legacyKey = db ? 'db:' + db : null;
+    const others = instances.filter(instance =>
+      instance.instanceKey !== instanceKey && instance.users.length > 0)
+      .sort((a, b) => (b.instanceKey === legacyKey) - (a.instanceKey === legacyKey));
+    const section = document.getElementById('other-instances');
+    const list = document.getElementById('instance-list');
+    section.hidden = others.length === 0;
+    if (others.some(instance => instance.instanceKey === legacyKey)) section.open = true;
+    list.innerHTML = '';
+
+    const move = (fromKey, indexes) => {
+      sendMessage({type: 'moveUsers', fromKey, toKey: instanceKey, indexes}, () => {
+        renderUsers(instanceKey);
+        renderOtherInstances(instanceKey);
+      });
+    };
+
+    others.forEach(instance => {
+      const group = document.createElement('div');
+      group.className = 'instance-group';
+
+      const header = document.createElement('div');
+      header.className = 'instance-header';
+      const name = document.createElement('span');
+      name.textContent = getInstanceTitle(instance);
+      name.title = instance.instanceKey;
+      const moveAll = document.createElement('button');
+      moveAll.className = 'move-btn';
+      moveAll.textContent = 'Move all here';
+      moveAll.onclick = () => move(instance.instanceKey, null);
+      header.appendChild(name);
+      header.appendChild(moveAll);
+      group.appendChild(header);
+      if (instance.instanceKey === legacyKey) {
+        const note = document.createElement('div');
+        note.className = 'instance-note';
+        note.textContent = 'Saved for a database named ' + db + ' by an earlier version. Move them here if they belong to this server.';
+        group.appendChild(note);
+      }
+
+      instance.users.forEach((user, idx) => {
+        const row = document.createElement('div');
+        row.className = 'instance-user';
+        const username = document.createElement('span');
+        username.textContent = user.username;
+        const moveOne = document.createElement('button');
+        moveOne.className = 'move-btn';
+        moveOne.textContent = 'Move here';
+        moveOne.onclick = () => move(instance.instanceKey, [idx]);
+        row.appendChild(username);
+        row.appendChild(moveOne);
+        group.appendChild(row);
+      });
+
+      list.appendChild(group);
+    });
+  });
 }
+
+/**
+ * Renders the role filter above the user list
+ * 
+ * Offers one chip per tag used on this instance. The active tag is
+ * forgotten when it is no longer used by any user.
+ * 
+ * @param {Array} users - Public users of the current instance
+ * @param {Function} onChange - Called after the active tag changes
+ */
+function renderTagFilter(users, onChange) {
+  const tags = [];
+  users.forEach(user => user.tags.forEach(tag => {
+    if (!tags.includes(tag)) tags.push(tag);
+  }));
+  if (!tags.includes(activeTag)) activeTag = null;
+
+  const filter = document.getElementById('tag-filter');
+  filter.innerHTML = '';
+  if (tags.length === 0) return;
+  [null].concat(tags).forEach(tag => {
+    const chip = document.createElement('button');
+    chip.className = 'tag-chip' + (tag === activeTag ? ' is-active' : '');
+    chip.textContent = tag || 'All';
+    chip.onclick = () => {
+      activeTag = tag;
+      onChange();
+    };
+    filter.appendChild(chip);
+  });
+}
+
+/**
+ * Builds the form editing the details and secrets of a saved user
+ * 
+ * The password and two-factor secret fields are write-only: saved
+ * values are never shown again, they can only be replaced (or, for the
+ * two-factor secret, removed).
+ * 
+ * @param {string} instanceKey - The unique identifier for the current Odoo instance
+ * @param {Object} user - The public user being edited
+ * @param {number} idx - Position of the user in the instance's list
+ * @returns {HTMLElement} The form
+ */
+function renderUserEditor(instanceKey, user, idx) {
+  const editor = document.createElement('div');
+  editor.className = 'user-editor';
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.placeholder = 'Display name, e.g. Accountant';
+  label.value = user.label;
+
+  const tags = document.createElement('input');
+  tags.type = 'text';
+  tags.placeholder = 'Roles, comma separated';
+  tags.value = user.tags.join(', ');
+
+  const colorRow = document.createElement('label');
+  colorRow.className = 'user-editor-color';
+  const useColor = document.createElement('input');
+  useColor.type = 'checkbox';
+  useColor.checked = !!user.color;
+  const color = document.createElement('input');
+  color.type = 'color';
+  color.value = user.color || '#875a7b';
+  color.oninput = () => { useColor.checked = true; };
+  colorRow.appendChild(useColor);
+  colorRow.appendChild(document.createTextNode('Color'));
+  colorRow.appendChild(color);
+
+  const note = document.createElement('textarea');
+  note.rows = 2;
+  note.placeholder = 'Note';
+  note.value = user.note;
+
+  const landing = document.createElement('input');
+  landing.type = 'text';
+  landing.spellcheck = false;
+  landing.placeholder = 'Open after login, e.g. stock.action_picking_tree_all';
+  landing.title = 'A menu or action XML id, a record as model,id (e.g. sale.order,42) or a path such as /odoo/inventory';
+  landing.value = user.landing;
+
+  const lang = document.createElement('input');
+  lang.type = 'text';
+  lang.spellcheck = false;
+  lang.placeholder = 'Language after login, e.g. fr_FR';
+  lang.title = 'Sets the user\'s language in Odoo after each quick login';
+  lang.value = user.lang;
+
+  const password = document.createElement('input');
+  password.type = 'password';
+  password.autocomplete = 'new-password';
+  password.placeholder = user.failing ? 'New password (the saved one keeps failing)' : 'New password (leave empty to keep)';
+
+  const totp = document.createElement('input');
+  totp.type = 'text';
+  totp.spellcheck = false;
+  totp.autocomplete = 'off';
+  totp.placeholder = user.hasTotp
+    ? 'Two-factor secret saved; paste a new one to replace it'
+    : 'Two-factor secret or otpauth:// URI (optional)';
+
+  const totpRow = document.createElement('label');
+  totpRow.className = 'user-editor-color';
+  totpRow.hidden = !user.hasTotp;
+  const removeTotp = document.createElement('input');
+  removeTotp.type = 'checkbox';
+  totpRow.appendChild(removeTotp);
+  totpRow.appendChild(document.createTextNode('Remove two-factor secret'));
+
+  const error = document.createElement('div');
+  error.className = 'user-editor-error';
+
+  const actions = document.createElement('div');
+  actions.className = 'user-editor-actions';
+  const save = document.createElement('button');
+  save.className = 'primary-btn';
+  save.textContent = 'Save';
+  save.onclick = () => {
+    const changes = {
+      label: label.value,
+      tags: tags.value.split(','),
+      color: useColor.checked ? color.value : '',
+      note: note.value,
+      landing: landing.value,
+      lang: lang.value
+    };
+    if (password.value) changes.password = password.value;
+    if (totp.value.trim()) {
+      changes.totp = totp.value.trim();
+    } else if (removeTotp.checked) {
+      changes.totp = null;
+    }
+    sendMessage({type: 'updateUser', instanceKey, index: idx, changes}, (result) => {
+      if (!result.ok) {
+        error.textContent = result.message || (result.error === 'locked'
+          ? 'Unlock the vault to change the password or two-factor secret.'
+          : 'Could not save this user.');
+        return;
+      }
+      editingIndex = null;
+      renderUsers(instanceKey);
+    });
+  };
+  const cancel = document.createElement('button');
+  cancel.className = 'move-btn';
+  cancel.textContent = 'Cancel';
+  cancel.onclick = () => {
+    editingIndex = null;
+    renderUsers(instanceKey);
+  };
+  actions.appendChild(save);
+  actions.appendChild(cancel);
+
+  [label, tags, colorRow, note, landing, lang, password, totp, totpRow, error, actions].forEach(el => editor.appendChild(el));
+  return editor;
+}
+
 /**
  * Renders the list of saved users in the popup
  * 
  * Creates interactive elements for each saved user:
- * - Button with username that triggers login when clicked
- * - Delete button to remove users from storage
+ * - Button with display name, login and roles that triggers login when clicked
+ * - Star button pinning the user to the top of every list
+ * - Edit button opening the display details form; for users that come
+ *   from a template it copies the template to this instance instead
+ * - Delete button to remove users from storage (not shown for templates)
+ * 
+ * Users are listed in the chosen sort order, favorites first. Only users
+ * with the role selected in the tag filter are listed.
  * 
  * @param {string} instanceKey - The unique identifier for the current Odoo instance
  */
 function renderUsers(instanceKey) {
-  getUsersForInstance(instanceKey, users => {
+  getUsersForInstance(instanceKey, (users, order, sort) => {
     const list = document.getElementById('user-list');
     list.innerHTML = '';
-    
+    renderTagFilter(users, () => renderUsers(instanceKey));
+    document.getElementById('user-sort').value = sort;
+
     // Show message if no users are saved
     if (users.length === 0) {
       list.innerHTML = '<div class="no-users">No users saved for this Odoo site.</div>';
       return;
     }
-    
+
     // Create interactive elements for each saved user
-    users.forEach((user, idx) => {
+    order.forEach(idx => {
+      const user = users[idx];
+      if (activeTag && !user.tags.includes(activeTag)) return;
+
       const row = document.createElement('div');
       row.className = 'user-row';
+      if (user.color) row.style.borderLeft = '6px solid ' + user.color;
 
-      // Create main button with username
+      // Create main button with display name, login and roles
       const userBtn = document.createElement('button');
       userBtn.className = 'user-row-main-btn';
-      userBtn.textContent = user.username;
-      userBtn.onclick = () => loginUser(user);
+      userBtn.textContent = user.label || user.username;
+      if (user.label) {
+        const login = document.createElement('span');
+        login.className = 'user-row-login';
+        login.textContent = user.username;
+        userBtn.appendChild(login);
+      }
+      user.tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'user-row-tag';
+        chip.textContent = tag;
+        userBtn.appendChild(chip);
+      });
+      if (user.failing) {
+        const chip = document.createElement('span');
+        chip.className = 'user-row-tag is-warning';
+        chip.textContent = 'Login failing';
+        chip.title = 'Odoo rejected the saved password ' + user.loginFailures + ' times in a row. Edit the user to update it.';
+        userBtn.appendChild(chip);
+      }
+      if (user.templateId) {
+        const chip = document.createElement('span');
+        chip.className = 'user-row-tag is-template';
+        chip.textContent = 'Template';
+        chip.title = user.templateScope + '. Managed on the options page.';
+        userBtn.appendChild(chip);
+      }
+      if (user.team) {
+        const chip = document.createElement('span');
+        chip.className = 'user-row-tag is-team';
+        chip.textContent = 'Team';
+        chip.title = 'From the team file. Managed on the options page.';
+        userBtn.appendChild(chip);
+      }
+      if (user.hasTotp) {
+        const chip = document.createElement('span');
+        chip.className = 'user-row-tag';
+        chip.textContent = '2FA';
+        chip.title = 'The two-factor code is filled in after logging in';
+        userBtn.appendChild(chip);
+      }
+      userBtn.title = user.note;
+      if (user.useCount) {
+        const usage = user.useCount + (user.useCount === 1 ? ' login' : ' logins') + ', last ' + formatTimeAgo(user.lastUsedAt);
+        userBtn.title = user.note ? user.note + '\n' + usage : usage;
+      }
+      userBtn.onclick = () => loginUser(idx);
+
+      const star = document.createElement('button');
+      star.textContent = user.favorite ? '\u2605' : '\u2606';
+      star.title = user.favorite ? 'Remove from favorites' : 'Pin to the top as a favorite';
+      star.className = 'favorite-btn' + (user.favorite ? ' is-active' : '');
+      star.onclick = (e) => {
+        e.stopPropagation();
+        sendMessage({type: 'updateUser', instanceKey, index: idx, changes: {favorite: !user.favorite}}, () => renderUsers(instanceKey));
+      };
+
+      const openAs = document.createElement('button');
+      openAs.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>`;
+      openAs.title = 'Open as ' + (user.label || user.username) + ' in a separate tab, next to the users already logged in';
+      openAs.className = 'open-as-btn';
+      openAs.onclick = (e) => {
+        e.stopPropagation();
+        openUserInTab(idx);
+      };
+
+      const edit = document.createElement('button');
+      edit.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>`;
+      edit.title = 'Edit display name, roles, color, note and where to go after login';
+      edit.className = 'edit-btn';
+      edit.onclick = (e) => {
+        e.stopPropagation();
+        editingIndex = editingIndex === idx ? null : idx;
+        renderUsers(instanceKey);
+      };
 
       // Create delete button with X icon
       const rm = document.createElement('button');
@@ -92,88 +443,578 @@ function renderUsers(instanceKey) {
       rm.className = 'delete-btn';
       rm.onmouseover = () => {}; // Event handlers preserved for future styling
       rm.onmouseout = () => {};  // Event handlers preserved for future styling
-      
+
       // Handle user deletion
       rm.onclick = (e) => {
         e.stopPropagation();
-        users.splice(idx, 1);
-        saveUsersForInstance(instanceKey, users, () => renderUsers(instanceKey));
+        editingIndex = null;
+        sendMessage({type: 'removeUser', instanceKey, index: idx}, () => renderUsers(instanceKey));
       };
 
+      if (user.templateId) {
+        // Templates are shared by other instances; editing one here makes an instance copy first
+        edit.title = 'Customize for this instance';
+        edit.onclick = (e) => {
+          e.stopPropagation();
+          sendMessage({type: 'overrideTemplate', instanceKey, templateId: user.templateId}, result => {
+            // The copy takes the template's place among the instance's own users
+            editingIndex = result.ok ? result.index : null;
+            renderUsers(instanceKey);
+          });
+        };
+      }
+
       row.appendChild(userBtn);
-      row.appendChild(rm);
+      row.appendChild(star);
+      row.appendChild(openAs);
+      if (!user.team) row.appendChild(edit);
+      if (!user.templateId && !user.team) row.appendChild(rm);
       list.appendChild(row);
+      if (editingIndex === idx) list.appendChild(renderUserEditor(instanceKey, user, idx));
+    });
+
+    if (!list.childNodes.length) {
+      list.innerHTML = '<div class="no-users">No users with this role.</div>';
+    }
+  });
+}
+
+/**
+ * Shows the screen matching the current vault state
+ * 
+ * - No vault yet: ask for a new master passphrase
+ * - Vault locked: ask for the master passphrase to unlock it
+ * - Vault unlocked: show the saved users for the current tab
+ */
+function renderVault() {
+  sendMessage({type: 'getVaultState'}, state => {
+    document.getElementById('vault-setup').hidden = state.initialized;
+    document.getElementById('vault-unlock').hidden = !state.initialized || state.unlocked;
+    document.getElementById('vault-main').hidden = !state.unlocked;
+    document.getElementById('lock-vault').hidden = !state.unlocked;
+    if (state.unlocked) {
+      document.getElementById('auto-lock').value = String(state.autoLockMinutes);
+      sendMessage({type: 'getSettings'}, settings => {
+        document.getElementById('login-mode').value = settings.loginMode;
+        document.getElementById('dropdown-placement').value = settings.dropdownPlacement;
+      });
+      loadCurrentInstance();
+    }
+  });
+}
+
+/**
+ * Displays an error message below one of the vault forms
+ * 
+ * @param {string} elementId - The id of the error element
+ * @param {string} message - The message to show, or an empty string to clear it
+ */
+function showVaultError(elementId, message) {
+  document.getElementById(elementId).textContent = message;
+}
+
+document.getElementById('create-vault').onclick = () => {
+  const passphrase = document.getElementById('new-passphrase').value;
+  const confirmation = document.getElementById('confirm-passphrase').value;
+  if (passphrase.length < 8) {
+    showVaultError('vault-setup-error', 'Use at least 8 characters.');
+    return;
+  }
+  if (passphrase !== confirmation) {
+    showVaultError('vault-setup-error', 'Passphrases do not match.');
+    return;
+  }
+  showVaultError('vault-setup-error', '');
+  sendMessage({type: 'createVault', passphrase}, () => {
+    document.getElementById('new-passphrase').value = '';
+    document.getElementById('confirm-passphrase').value = '';
+    renderVault();
+  });
+};
+
+document.getElementById('unlock-vault').onclick = () => {
+  const passphraseInput = document.getElementById('passphrase');
+  sendMessage({type: 'unlockVault', passphrase: passphraseInput.value}, response => {
+    if (!response.ok) {
+      showVaultError('vault-unlock-error', 'Wrong passphrase.');
+      return;
+    }
+    showVaultError('vault-unlock-error', '');
+    passphraseInput.value = '';
+    renderVault();
+  });
+};
+
+document.getElementById('passphrase').onkeydown = (e) => {
+  if (e.key === 'Enter') document.getElementById('unlock-vault').click();
+};
+
+document.getElementById('open-options').onclick = () => browser.runtime.openOptionsPage();
+
+document.getElementById('lock-vault').onclick = () => sendMessage({type: 'lockVault'}, renderVault);
+
+document.getElementById('auto-lock').onchange = (e) => {
+  sendMessage({type: 'setAutoLock', minutes: Number(e.target.value)}, () => {});
+};
+
+document.getElementById('user-sort').onchange = (e) => {
+  sendMessage({type: 'saveSettings', settings: {userSort: e.target.value}}, () => {
+    if (currentInstanceKey) renderUsers(currentInstanceKey);
+  });
+};
+
+document.getElementById('login-mode').onchange = (e) => {
+  sendMessage({type: 'saveSettings', settings: {loginMode: e.target.value}}, () => {});
+};
+
+// Open login pages move the dropdown as soon as the setting is saved
+document.getElementById('dropdown-placement').onchange = (e) => {
+  sendMessage({type: 'saveSettings', settings: {dropdownPlacement: e.target.value}}, () => {});
+};
+
+/**
+ * Shows the outcome of a login attempt below the user list
+ * 
+ * @param {Object} result - Login result with `ok`, `error` and optional `message`
+ */
+function showLoginStatus(result) {
+  const status = document.getElementById('login-status');
+  status.classList.remove('is-success');
+  status.textContent = result.ok ? '' : describeLoginError(result);
+}
+
+/**
+ * Shows where the last quick login in the active tab landed
+ * 
+ * @param {Object} outcome - {outcome, username, label, message, loginFailures}
+ *   as recorded by the background once the tab reported its page
+ */
+function showLoginOutcome(outcome) {
+  const status = document.getElementById('login-status');
+  const name = outcome.label || outcome.username;
+  status.classList.toggle('is-success', outcome.outcome === 'success' || outcome.outcome === 'totp');
+  if (outcome.outcome === 'success') {
+    status.textContent = 'Logged in as ' + name + '.';
+  } else if (outcome.outcome === 'rejected') {
+    status.textContent = 'Odoo rejected the saved password of ' + name + (outcome.message ? ': ' + outcome.message : '.');
+  } else if (outcome.outcome === 'totp') {
+    status.textContent = 'Password of ' + name + ' accepted; two-factor code requested.';
+  } else if (outcome.outcome === 'totp-rejected') {
+    status.textContent = 'Odoo did not accept the two-factor code for ' + name + '.';
+  } else if (outcome.outcome === 'database') {
+    status.textContent = 'Odoo asked which database to use; log in as ' + name + ' again once it is selected.';
+  }
+}
+
+/**
+ * Shows an error or confirmation in the import/export section
+ * 
+ * @param {string} message - The message to show, or an empty string to clear it
+ * @param {boolean} [success] - Whether the message confirms a finished action
+ */
+function showBackupStatus(message, success) {
+  const status = document.getElementById('backup-status');
+  status.textContent = message;
+  status.classList.toggle('is-success', !!success);
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ * 
+ * @param {string} content - The file contents
+ * @param {string} filename - The suggested file name
+ */
+function downloadFile(content, filename) {
+  const url = URL.createObjectURL(new Blob([content], {type: 'application/octet-stream'}));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Reads the file chosen for import
+ * 
+ * @param {Function} cb - Callback receiving the file text, or null if no file is chosen
+ */
+function readImportFile(cb) {
+  const file = document.getElementById('import-file').files[0];
+  if (!file) {
+    cb(null);
+    return;
+  }
+  file.text().then(cb);
+}
+
+/**
+ * Builds the import request from the import form
+ * 
+ * @param {string} type - 'previewImport' or 'applyImport'
+ * @param {Function} cb - Callback receiving the message, or null if no file is chosen
+ */
+function buildImportMessage(type, cb) {
+  readImportFile(text => {
+    cb(text === null ? null : {
+      type,
+      text,
+      mode: document.getElementById('import-mode').value,
+      passphrase: document.getElementById('import-passphrase').value
     });
   });
 }
+
+/**
+ * Renders what an import would change, per instance
+ * 
+ * @param {Object} plan - Logins keyed by instance and change type
+ * @returns {boolean} True if the import changes anything
+ */
+function renderImportPreview(plan) {
+  const preview = document.getElementById('import-preview');
+  preview.innerHTML = '';
+  let hasChanges = false;
+  const lines = [
+    ['added', 'import-added', 'Add'],
+    ['updated', 'import-updated', 'Update'],
+    ['removed', 'import-removed', 'Remove'],
+    ['unchanged', 'import-kept', 'Unchanged'],
+    ['skipped', 'import-kept', 'Skip (already saved)']
+  ];
+  Object.keys(plan).forEach(instanceKey => {
+    const title = document.createElement('div');
+    title.className = 'import-preview-instance';
+    title.textContent = formatInstanceKey(instanceKey);
+    title.title = instanceKey;
+    preview.appendChild(title);
+    lines.forEach(([change, className, label]) => {
+      const logins = plan[instanceKey][change];
+      if (!logins.length) return;
+      if (change === 'added' || change === 'updated' || change === 'removed') hasChanges = true;
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = label + ': ' + logins.join(', ');
+      preview.appendChild(line);
+    });
+  });
+  if (!preview.childNodes.length) preview.textContent = 'The file contains no users.';
+  return hasChanges;
+}
+
+document.getElementById('export-users').onclick = () => {
+  const scope = document.getElementById('export-scope').value;
+  if (scope === 'current' && !currentInstanceKey) {
+    showBackupStatus('Open an Odoo page to export its users, or export all instances.');
+    return;
+  }
+  const passphraseInput = document.getElementById('export-passphrase');
+  const message = {
+    type: 'exportUsers',
+    instanceKey: scope === 'current' ? currentInstanceKey : null,
+    format: document.getElementById('export-format').value,
+    passphrase: passphraseInput.value
+  };
+  sendMessage(message, result => {
+    if (result.error === 'locked') {
+      renderVault();
+      return;
+    }
+    if (!result.ok) {
+      showBackupStatus('Export failed.');
+      return;
+    }
+    passphraseInput.value = '';
+    showBackupStatus('');
+    downloadFile(result.content, result.filename);
+  });
+};
+
+document.getElementById('preview-import').onclick = () => {
+  buildImportMessage('previewImport', message => {
+    document.getElementById('apply-import').hidden = true;
+    document.getElementById('import-preview').innerHTML = '';
+    if (!message) {
+      showBackupStatus('Choose a JSON or CSV file to import.');
+      return;
+    }
+    sendMessage(message, result => {
+      if (result.error === 'locked') {
+        renderVault();
+        return;
+      }
+      if (!result.ok) {
+        showBackupStatus(result.message || 'Import failed.');
+        return;
+      }
+      showBackupStatus('');
+      document.getElementById('apply-import').hidden = !renderImportPreview(result.plan);
+    });
+  });
+};
+
+document.getElementById('apply-import').onclick = () => {
+  buildImportMessage('applyImport', message => {
+    if (!message) return;
+    sendMessage(message, result => {
+      if (result.error === 'locked') {
+        renderVault();
+        return;
+      }
+      if (!result.ok) {
+        showBackupStatus(result.message || 'Import failed.');
+        return;
+      }
+      document.getElementById('apply-import').hidden = true;
+      document.getElementById('import-preview').innerHTML = '';
+      document.getElementById('import-file').value = '';
+      document.getElementById('import-passphrase').value = '';
+      showBackupStatus('Import complete.', true);
+      if (currentInstanceKey) {
+        renderUsers(currentInstanceKey);
+        renderOtherInstances(currentInstanceKey);
+      }
+    });
+  });
+};
+
+/**
+ * Shows an error or confirmation in the import from Odoo section
+ * 
+ * @param {string} message - The message to show, or an empty string to clear it
+ * @param {boolean} [success] - Whether the message confirms a finished action
+ */
+function showDatabaseUsersStatus(message, success) {
+  const status = document.getElementById('database-users-status');
+  status.textContent = message;
+  status.classList.toggle('is-success', !!success);
+}
+
+/**
+ * Renders the users of the database open in the active tab
+ * 
+ * Users that are already saved for the instance are listed but cannot be
+ * selected. With the "Enter each password" rule, every selectable user
+ * has its own password field. On development instances with
+ * impersonation turned on, unsaved users can be logged in as directly.
+ * 
+ * @param {Array} users - Users as {login, name, share, saved}
+ * @param {boolean} impersonation - Whether the users can be impersonated
+ */
+function renderDatabaseUsers(users, impersonation) {
+  const list = document.getElementById('database-user-list');
+  list.innerHTML = '';
+  users.forEach(user => {
+    const row = document.createElement('label');
+    row.className = 'database-user' + (user.saved ? ' is-saved' : '');
+    row.dataset.login = user.login;
+    row.dataset.name = user.name;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.disabled = user.saved;
+    row.appendChild(checkbox);
+    const name = document.createElement('span');
+    name.textContent = user.name || user.login;
+    row.appendChild(name);
+    if (user.name && user.name !== user.login) {
+      const login = document.createElement('span');
+      login.className = 'user-row-login';
+      login.textContent = user.login;
+      row.appendChild(login);
+    }
+    [[user.saved, 'Saved'], [user.share, 'Portal']].forEach(([shown, text]) => {
+      if (!shown) return;
+      const chip = document.createElement('span');
+      chip.className = 'user-row-tag';
+      chip.textContent = text;
+      row.appendChild(chip);
+    });
+    if (!user.saved && impersonation) {
+      const impersonate = document.createElement('button');
+      impersonate.className = 'move-btn';
+      impersonate.textContent = 'Log in as';
+      impersonate.title = 'Set the password of ' + user.login + ' to the impersonation password and log in as them';
+      impersonate.onclick = (e) => {
+        e.preventDefault(); // Do not toggle the row's checkbox
+        impersonateDatabaseUser(user);
+      };
+      row.appendChild(impersonate);
+    }
+    if (!user.saved) {
+      const password = document.createElement('input');
+      password.type = 'password';
+      password.className = 'database-user-password';
+      password.placeholder = 'Password of ' + user.login;
+      password.autocomplete = 'off';
+      // Typing a password selects the user
+      password.oninput = () => {
+        if (password.value) checkbox.checked = true;
+      };
+      row.appendChild(password);
+    }
+    list.appendChild(row);
+  });
+  if (!users.length) list.textContent = 'The database has no active users you can see.';
+  document.getElementById('import-database-users').hidden = !users.some(user => !user.saved);
+}
+
+/**
+ * Logs the active tab in as a database user through impersonation
+ * 
+ * @param {Object} user - Database user as {login, name}
+ */
+function impersonateDatabaseUser(user) {
+  showDatabaseUsersStatus('Logging in as ' + (user.name || user.login) + '...', true);
+  sendMessage({type: 'impersonateUser', tabId: currentTabId, instanceKey: currentInstanceKey, login: user.login}, result => {
+    if (result.error === 'locked') {
+      renderVault();
+      return;
+    }
+    if (result.ok) return; // Where the login landed is shown once the tab reports it
+    if (result.error === 'not-logged-in') {
+      showDatabaseUsersStatus('Log in to this database as an administrator first.');
+    } else if (result.error === 'rejected' || result.error === 'rpc-failed') {
+      showDatabaseUsersStatus('Impersonation failed: ' + result.message);
+    } else {
+      showDatabaseUsersStatus(result.message || 'Impersonation failed.');
+    }
+  });
+}
+
+/**
+ * Shows the password field matching the chosen password rule
+ */
+function updatePasswordRule() {
+  const rule = document.getElementById('password-rule').value;
+  document.getElementById('rule-password').hidden = rule !== 'fixed';
+  document.getElementById('database-user-list').classList.toggle('is-manual', rule === 'manual');
+}
+
+document.getElementById('password-rule').onchange = updatePasswordRule;
+updatePasswordRule();
+
+document.getElementById('load-database-users').onclick = () => {
+  showDatabaseUsersStatus('');
+  sendMessage({type: 'listDatabaseUsers', tabId: currentTabId, instanceKey: currentInstanceKey}, result => {
+    if (result.ok) {
+      renderDatabaseUsers(result.users, result.impersonation);
+    } else if (result.error === 'not-logged-in') {
+      showDatabaseUsersStatus('Log in to this database first. Users are read with the access rights of the logged-in user, so use an administrator.');
+    } else if (result.error === 'rpc-failed') {
+      showDatabaseUsersStatus('Odoo did not list its users: ' + result.message);
+    } else {
+      showDatabaseUsersStatus('The active tab is no longer showing an Odoo page.');
+    }
+  });
+};
+
+document.getElementById('import-database-users').onclick = () => {
+  const rows = Array.from(document.querySelectorAll('.database-user:not(.is-saved)'))
+    .filter(row => row.querySelector('input[type="checkbox"]').checked);
+  if (!rows.length) {
+    showDatabaseUsersStatus('Select the users to save.');
+    return;
+  }
+  const message = {
+    type: 'importDatabaseUsers',
+    instanceKey: currentInstanceKey,
+    rule: document.getElementById('password-rule').value,
+    password: document.getElementById('rule-password').value,
+    users: rows.map(row => ({
+      login: row.dataset.login,
+      name: row.dataset.name,
+      password: row.querySelector('.database-user-password').value
+    }))
+  };
+  sendMessage(message, result => {
+    if (result.error === 'locked') {
+      renderVault();
+      return;
+    }
+    if (!result.ok) {
+      showDatabaseUsersStatus(result.message || 'Saving the users failed.');
+      return;
+    }
+    document.getElementById('rule-password').value = '';
+    document.getElementById('load-database-users').click();
+    showDatabaseUsersStatus('Saved ' + result.added + (result.added === 1 ? ' user.' : ' users.'), true);
+    renderUsers(currentInstanceKey);
+  });
+};
+
 // On popup load, get the current tab's Odoo instance key and render users
 let currentInstanceKey = null;
-chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-  const tabId = tabs[0].id;
-  chrome.scripting.executeScript({
-    target: {tabId},
-    func: function() {
-      const dbInput = document.querySelector('input[name="db"]');
-      if (dbInput && dbInput.value) return 'db:' + dbInput.value;
-      const meta = document.querySelector('meta[name="generator"]');
-      if (meta && meta.content) return 'meta:' + meta.content;
-      return 'origin:' + window.location.origin;
-    }
-  }, (results) => {
-    console.log('detectOdooInstanceKey results:', results);
-    currentInstanceKey = results && results[0] && results[0].result;
+let currentTabId = null;
+// Role shown by the tag filter (null for all) and the user whose details are being edited
+let activeTag = null;
+let editingIndex = null;
+
+/**
+ * Asks the background for the active tab's Odoo instance and renders its users
+ */
+function loadCurrentInstance() {
+  sendMessage({type: 'getActiveInstance'}, (response) => {
+    currentTabId = response.tabId;
+    currentInstanceKey = response.instanceKey;
+    if (response.loginOutcome) showLoginOutcome(response.loginOutcome);
     if (!currentInstanceKey) {
-      document.getElementById('user-list').innerHTML = '<div class="no-users">Not an Odoo login page. Open this popup on an Odoo login page.</div>';
+      document.getElementById('user-list').innerHTML = '<div class="no-users">Not an Odoo page. Open this popup on an Odoo login page or in the Odoo backend. If this is an Odoo site, add it under "Manage" first.</div>';
       document.getElementById('add-user').disabled = true;
       return;
     }
+    document.getElementById('instance-label').textContent = formatInstanceKey(currentInstanceKey);
     renderUsers(currentInstanceKey);
+    renderLoginHistory(currentInstanceKey);
+    renderOtherInstances(currentInstanceKey);
+    document.getElementById('database-users').hidden = false;
     document.getElementById('add-user').onclick = () => {
       const username = document.getElementById('username').value.trim();
       const password = document.getElementById('password').value;
       if (!username || !password) return;
-      getUsersForInstance(currentInstanceKey, users => {
-        users.push({username, password});
-        saveUsersForInstance(currentInstanceKey, users, () => {
-          renderUsers(currentInstanceKey);
-          document.getElementById('username').value = '';
-          document.getElementById('password').value = '';
-          
-          // Refresh the content on the Odoo login page without reloading
-          chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-            const tabId = tabs[0].id;
-            chrome.scripting.executeScript({
-              target: {tabId},
-              func: function() {
-                // This function will be injected into the page
-                // Create a custom event to notify any extension content scripts
-                const event = new CustomEvent('odooQuickLoginUserAdded');
-                document.dispatchEvent(event);
-              }
-            });
-          });
-        });
+      sendMessage({type: 'addUser', instanceKey: currentInstanceKey, username, password}, result => {
+        // The vault may have auto-locked while the popup was open
+        if (result.error === 'locked') {
+          renderVault();
+          return;
+        }
+        renderUsers(currentInstanceKey);
+        document.getElementById('username').value = '';
+        document.getElementById('password').value = '';
       });
     };
   });
+}
+
+renderVault();
+
+// The background reports where a quick login landed once the tab has loaded the next page
+browser.runtime.onMessage.addListener((message) => {
+  if (message.type !== 'loginOutcome' || message.tabId !== currentTabId) return;
+  showLoginOutcome(message.outcome);
+  if (currentInstanceKey) {
+    // Failing flags, usage and the history may have changed
+    renderUsers(currentInstanceKey);
+    renderLoginHistory(currentInstanceKey);
+  }
 });
-// Autofill and submit login form
-function loginUser(user) {
-  chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-    const tabId = tabs[0].id;
-    chrome.scripting.executeScript({
-      target: {tabId: tabId, allFrames: false},
-      func: (username, password) => {
-        const u = document.querySelector('input[name="login"]');
-        const p = document.querySelector('input[name="password"]');
-        if (u && p) {
-          u.value = username;
-          p.value = password;
-          const btn = document.querySelector('button[type="submit"], .btn-primary');
-          if (btn) btn.click();
-        }
-      },
-      args: [user.username, user.password]
-    });
+
+// Ask the background to log the active tab in as the selected user
+function loginUser(index) {
+  sendMessage({type: 'login', tabId: currentTabId, instanceKey: currentInstanceKey, index}, result => {
+    if (result.error === 'locked') {
+      renderVault();
+      return;
+    }
+    showLoginStatus(result);
+  });
+}
+
+// Ask the background to open the selected user in a tab of its own
+function openUserInTab(index) {
+  sendMessage({type: 'openAs', instanceKey: currentInstanceKey, index}, result => {
+    if (result.error === 'locked') {
+      renderVault();
+      return;
+    }
+    showLoginStatus(result);
   });
 }
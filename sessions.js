@@ -0,0 +1,102 @@
+/**
+ * Odoo Quick Login - Parallel Sessions
+ * 
+ * Loaded by the background service worker, and by the options page for
+ * checking host aliases. Holds the parts of "Open as" that do not touch
+ * the browser:
+ * 1. Host aliases: other addresses of the same Odoo server, such as
+ *    http://127.0.0.1:8069 for http://localhost:8069, and the instance
+ *    keys they stand for
+ * 2. Cookie jars: where a tab's Odoo session lives, and which of them
+ *    can take a saved user opened next to the others
+ * 3. The badge shown on a tab logged in as a saved user
+ * 
+ * Odoo keeps its session in a cookie of the server's host name. A
+ * browser keeps one set of cookies for its normal windows and one for
+ * its private windows, and neither tells ports apart, so a server can
+ * be logged in as a different user once per host name it answers to,
+ * in each of them. These are the cookie jars, keyed like
+ * `localhost` or `incognito:127.0.0.1`.
+ */
+
+/**
+ * Normalizes the address of a server or host alias
+ * 
+ * @param {string} input - The address as typed, e.g. 'http://127.0.0.1:8069/web'
+ * @returns {string|null} The origin, e.g. 'http://127.0.0.1:8069', or null if not an http(s) address
+ */
+function parseAliasOrigin(input) {
+  try {
+    const url = new URL(String(input || '').trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the instance an instance key seen on a host alias stands for
+ * 
+ * @param {string} instanceKey - A composite `<origin>|<db>` key as detected on the page
+ * @param {Object} aliases - Server origins keyed by alias origin
+ * @returns {string} The key with the server's origin, or the key itself if its origin is no alias
+ */
+function resolveHostAlias(instanceKey, aliases) {
+  const separator = instanceKey.lastIndexOf('|');
+  if (separator === -1) return instanceKey;
+  const origin = aliases[instanceKey.slice(0, separator)];
+  return origin ? origin + instanceKey.slice(separator) : instanceKey;
+}
+
+/**
+ * Names the cookie jar a page's Odoo session is kept in
+ * 
+ * @param {string} origin - The page origin
+ * @param {boolean} incognito - Whether the page is in a private window
+ * @returns {string|null} The jar, or null without a valid origin
+ */
+function sessionJarKey(origin, incognito) {
+  const parsed = parseAliasOrigin(origin);
+  if (!parsed) return null;
+  return (incognito ? 'incognito:' : '') + new URL(parsed).hostname;
+}
+
+/**
+ * Picks where to open a saved user next to the sessions already open
+ * 
+ * A jar already logged in as the user is reused. Otherwise the first
+ * jar no tab is using is taken, trying the server and its aliases in
+ * normal windows before private ones.
+ * 
+ * @param {string} origin - The server's origin
+ * @param {Object} user - {instanceKey, username} of the user to open
+ * @param {Object} aliases - Server origins keyed by alias origin
+ * @param {Object} state - {sessionByJar, jarByTab} as tracked by the background
+ * @param {boolean} incognitoAllowed - Whether the extension may run in private windows
+ * @returns {Object|null} {origin, incognito, jar, loggedIn}, or null if every jar is taken
+ */
+function pickSessionJar(origin, user, aliases, state, incognitoAllowed) {
+  const origins = [origin].concat(Object.keys(aliases).filter(alias => aliases[alias] === origin));
+  const candidates = [];
+  [false].concat(incognitoAllowed ? [true] : []).forEach(incognito => origins.forEach(candidate => {
+    candidates.push({origin: candidate, incognito, jar: sessionJarKey(candidate, incognito)});
+  }));
+  const isUser = session => session && session.instanceKey === user.instanceKey && session.username === user.username;
+  const usedJars = new Set(Object.keys(state.jarByTab).map(tabId => state.jarByTab[tabId]));
+  const loggedIn = candidates.find(candidate => isUser(state.sessionByJar[candidate.jar]));
+  if (loggedIn) return Object.assign(loggedIn, {loggedIn: true});
+  const free = candidates.find(candidate => !usedJars.has(candidate.jar));
+  return free ? Object.assign(free, {loggedIn: false}) : null;
+}
+
+/**
+ * Shortens a user's name to fit the toolbar badge
+ * 
+ * @param {string} name - The user's label or login
+ * @returns {string} Two initials, e.g. 'SM' for 'Sales Manager', or the first two letters of a single word
+ */
+function sessionBadgeText(name) {
+  const words = String(name || '').split(/[\s._@-]+/).filter(Boolean);
+  const text = words.length > 1 ? words[0][0] + words[1][0] : (words[0] || '').slice(0, 2);
+  return text.toUpperCase();
+}
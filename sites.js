@@ -0,0 +1,35 @@
+/**
+ * Odoo Quick Login - Site Patterns
+ * 
+ * Loaded by the background service worker and the options page. Users
+ * list the sites their Odoo instances run on; each site becomes one
+ * match pattern, used both for the host permission requested at runtime
+ * and for the content scripts registered on it.
+ * 
+ * Accepted forms:
+ * - `erp.example.com` or `*.odoo.com`: any scheme, any path
+ * - `localhost:8069` or `localhost:*`: a specific port or every port
+ * - `https://staging.client.tld`: only that scheme
+ * 
+ * A path after the host is ignored; the extension needs the login page
+ * and the backend of an instance alike.
+ */
+
+const SITE_HOST_PATTERN = /^(\*|(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*)(:(\d{1,5}|\*))?$/;
+
+/**
+ * Normalizes a site entered by the user
+ * 
+ * @param {string} input - The site as typed, e.g. 'https://erp.example.com/web/login'
+ * @returns {Object|null} {site, matchPattern}, or null if the input is not a valid site
+ */
+function parseSitePattern(input) {
+  const match = /^(?:(\*|https?):\/\/)?([^/?#]+)/.exec(String(input || '').trim().toLowerCase());
+  if (!match || !SITE_HOST_PATTERN.test(match[2])) return null;
+  const scheme = match[1] || '*';
+  const host = match[2];
+  return {
+    site: scheme === '*' ? host : scheme + '://' + host,
+    matchPattern: scheme + '://' + host + '/*'
+  };
+}
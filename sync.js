@@ -0,0 +1,127 @@
+/**
+ * Odoo Quick Login - Sync and Team Files
+ * 
+ * Loaded by the background service worker. Holds the parts of syncing
+ * that do not touch storage:
+ * 1. Splitting the encrypted vault into items that fit browser.storage.sync
+ *    and putting it back together
+ * 2. Merging the saved users of two devices that both changed them
+ * 3. Listing the users of a team file next to an instance's own users
+ * 
+ * Chrome limits each storage.sync item to 8 KB and the whole area to
+ * 100 KB, so the vault is written as a header item, `syncedVault`, and
+ * numbered chunk items `syncedVault.0`, `syncedVault.1`... The header
+ * carries the vault's salt and check value, which is all another device
+ * needs to unlock it with the same master passphrase. Each chunk carries
+ * the revision of its header, since storage.sync may deliver the items of
+ * one write before those of another.
+ */
+
+const SYNC_KEY = 'syncedVault';
+// Characters per chunk; an item's key and JSON value, revision included, must stay under 8192 bytes
+const SYNC_CHUNK_SIZE = 8000;
+const SYNC_QUOTA_BYTES = 102400;
+// How a team user with the same login as an instance's own user is listed, see mergeTeamUsers
+const TEAM_CONFLICT_MODES = ['personal', 'team', 'both'];
+
+/**
+ * Lists the storage keys of the chunks of a synced vault
+ * 
+ * @param {number} count - Number of chunks
+ * @returns {Array<string>} The keys, in order
+ */
+function syncChunkKeys(count) {
+  return Array.from({length: count}, (value, idx) => SYNC_KEY + '.' + idx);
+}
+
+/**
+ * Splits the encrypted vault into storage.sync items
+ * 
+ * @param {Object} header - {version, revision, updatedAt, vault}; the chunk count is added
+ * @param {string} text - The encrypted vault, as JSON
+ * @returns {Object} Items keyed by storage key, ready for storage.sync.set
+ */
+function buildSyncItems(header, text) {
+  const chunks = [];
+  for (let start = 0; start < text.length; start += SYNC_CHUNK_SIZE) {
+    chunks.push(text.slice(start, start + SYNC_CHUNK_SIZE));
+  }
+  const items = {[SYNC_KEY]: Object.assign({}, header, {chunks: chunks.length})};
+  syncChunkKeys(chunks.length).forEach((key, idx) => { items[key] = {revision: header.revision, text: chunks[idx]}; });
+  return items;
+}
+
+/**
+ * Puts the chunks of a synced vault back together
+ * 
+ * @param {Object} header - The header item
+ * @param {Object} items - The chunk items read from storage.sync
+ * @returns {string|null} The encrypted vault, or null while chunks are missing
+ *   or belong to another revision, e.g. when another device is still writing them
+ */
+function joinSyncChunks(header, items) {
+  const chunks = syncChunkKeys(header.chunks).map(key => items[key]);
+  const complete = chunks.every(chunk => chunk && chunk.revision === header.revision && typeof chunk.text === 'string');
+  return complete ? chunks.map(chunk => chunk.text).join('') : null;
+}
+
+/**
+ * Measures items the way storage.sync counts them against its quota
+ * 
+ * @param {Object} items - Items keyed by storage key
+ * @returns {number} Bytes of the keys and their JSON values
+ */
+function measureSyncItems(items) {
+  return Object.keys(items).reduce((total, key) =>
+    total + new TextEncoder().encode(key + JSON.stringify(items[key])).length, 0);
+}
+
+/**
+ * Merges the saved users of this device with the synced ones
+ * 
+ * Only used when both changed since they were last in step. Nothing is
+ * dropped: instances, users and templates found on either side are
+ * kept, so a user removed on one device while the other was offline
+ * comes back. Where both sides have the same login on an instance, or
+ * the same template, this device's version wins.
+ * 
+ * @param {Object} local - {usersByInstance, userTemplates} of this device
+ * @param {Object} remote - {usersByInstance, userTemplates} from storage.sync
+ * @returns {Object} The merged {usersByInstance, userTemplates}
+ */
+function mergeSyncedData(local, remote) {
+  const usersByInstance = Object.assign({}, remote.usersByInstance);
+  Object.keys(local.usersByInstance).forEach(instanceKey => {
+    const own = local.usersByInstance[instanceKey];
+    const logins = new Set(own.map(user => user.username));
+    usersByInstance[instanceKey] = own.concat((usersByInstance[instanceKey] || []).filter(user => !logins.has(user.username)));
+  });
+  const templateIds = new Set(local.userTemplates.map(template => template.templateId));
+  return {
+    usersByInstance,
+    userTemplates: local.userTemplates.concat(remote.userTemplates.filter(template => !templateIds.has(template.templateId)))
+  };
+}
+
+/**
+ * Lists the team file's users of an instance with its own users
+ * 
+ * - personal: an own user hides the team user with the same login
+ * - team: the team user takes the place of the own user with the same login
+ * - both: both are listed
+ * 
+ * Team users that are not taking an own user's place come after the own
+ * users, so own users keep their positions in every mode.
+ * 
+ * @param {Array} own - The instance's own users
+ * @param {Array} team - The team file's users of the instance
+ * @param {string} mode - One of TEAM_CONFLICT_MODES
+ * @returns {Array} The users to list
+ */
+function mergeTeamUsers(own, team, mode) {
+  const ownLogins = new Set(own.map(user => user.username));
+  const listed = mode === 'team'
+    ? own.map(user => team.find(member => member.username === user.username) || user)
+    : own.slice();
+  return listed.concat(team.filter(member => mode === 'both' || !ownLogins.has(member.username)));
+}
@@ -0,0 +1,84 @@
+/**
+ * Odoo Quick Login - User Templates
+ * 
+ * Loaded by the background service worker and the options page. A user
+ * template is a saved user that is not tied to one instance: it is listed
+ * on every instance its scope matches, after the instance's own users.
+ * Throwaway databases that all contain the same demo users then need the
+ * users saved only once.
+ * 
+ * Scopes:
+ * - all: every instance
+ * - origin: instances on one server, e.g. `https://erp.example.com` or
+ *   `http://localhost:8069`
+ * - db: instances whose database name matches a regular expression,
+ *   e.g. `^client_test_\d+$`
+ * 
+ * An instance user with the same login as a template overrides it on
+ * that instance.
+ */
+
+const TEMPLATE_SCOPES = ['all', 'origin', 'db'];
+
+/**
+ * Normalizes the scope of a template as entered by the user
+ * 
+ * @param {string} scope - One of TEMPLATE_SCOPES
+ * @param {string} pattern - The origin or database regular expression; ignored for 'all'
+ * @returns {Object|null} {scope, pattern}, or null if the pattern is not valid for the scope
+ */
+function parseTemplateScope(scope, pattern) {
+  const text = String(pattern || '').trim();
+  if (scope === 'all') return {scope, pattern: ''};
+  if (scope === 'origin') {
+    try {
+      const url = new URL(/^[a-z]+:\/\//i.test(text) ? text : 'https://' + text);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? {scope, pattern: url.origin} : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  if (scope === 'db' && text) {
+    try {
+      new RegExp(text);
+      return {scope, pattern: text};
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tells whether a template is listed on an instance
+ * 
+ * @param {Object} template - Template with scope and pattern
+ * @param {string} instanceKey - A composite `<origin>|<db>` instance key
+ * @returns {boolean} True if the template applies to the instance
+ */
+function templateAppliesTo(template, instanceKey) {
+  if (template.scope === 'all') return true;
+  const separator = instanceKey.lastIndexOf('|');
+  if (separator === -1) return false; // Legacy keys only get templates for all instances
+  if (template.scope === 'origin') return instanceKey.slice(0, separator) === template.pattern;
+  if (template.scope === 'db') {
+    try {
+      return new RegExp(template.pattern).test(instanceKey.slice(separator + 1));
+    } catch (error) {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Describes where a template applies
+ * 
+ * @param {Object} template - Template with scope and pattern
+ * @returns {string} e.g. 'All instances' or 'Databases matching ^test_'
+ */
+function describeTemplateScope(template) {
+  if (template.scope === 'origin') return 'Instances on ' + template.pattern;
+  if (template.scope === 'db') return 'Databases matching ' + template.pattern;
+  return 'All instances';
+}
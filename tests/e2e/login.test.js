@@ -0,0 +1,164 @@
+/**
+ * Quick logins in headless Chromium against the mock Odoo server
+ * 
+ * Builds the Chrome package with tools/build.js and loads it unpacked.
+ * The copy under test lists the mock server under host_permissions,
+ * standing in for the access the options page asks for when a site is
+ * added. The vault, the site and the saved users are set up through the
+ * background's own message handlers; everything after that goes through
+ * the login page like a user would.
+ * 
+ * Runs the browser puppeteer downloads on install; set
+ * PUPPETEER_EXECUTABLE_PATH to use another Chrome for Testing or Chromium.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {execFileSync} = require('child_process');
+const puppeteer = require('puppeteer');
+const {startMockOdooServer} = require('../helpers/mock_odoo_server');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DROPDOWN = '#odoo-quick-login-container';
+
+const LOGIN_PAGES = ['odoo14_login.html', 'odoo15_login.html', 'odoo16_login.html', 'odoo17_login.html', 'odoo18_login.html'];
+
+// Saved in this order, so their positions in the dropdown are 0, 1 and 2
+const SAVED_USERS = [
+  {username: 'admin', password: 'admin', label: 'Administrator'},
+  {username: 'demo', password: 'not-the-password'},
+  {username: 'secure', password: 'secure'}
+];
+
+/**
+ * Builds the extension and copies it with access to the mock server
+ * 
+ * @param {string} origin - Origin of the mock server
+ * @returns {string} Directory of the unpacked extension
+ */
+function prepareExtension(origin) {
+  execFileSync(process.execPath, [path.join(ROOT, 'tools', 'build.js'), 'chrome'], {cwd: ROOT, stdio: 'ignore'});
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odoo-quick-login-'));
+  fs.cpSync(path.join(ROOT, 'dist', 'chrome'), directory, {recursive: true});
+  const manifestFile = path.join(directory, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  manifest.host_permissions = [origin + '/*'];
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+  return directory;
+}
+
+/**
+ * Runs one of the background's message handlers in its service worker
+ * 
+ * @param {WebWorker} worker - The extension's service worker
+ * @param {Object} message - The message, as the popup or the options page would send it
+ * @returns {Promise<*>} The response
+ */
+function sendToBackground(worker, message) {
+  // The function is run in the worker, where messageHandlers is a global
+  return worker.evaluate(msg => new Promise(resolve => messageHandlers[msg.type](msg, {}, resolve)), message);
+}
+
+test('quick login', {timeout: 180000}, async (t) => {
+  const server = await startMockOdooServer({
+    users: [
+      {login: 'admin', password: 'admin', name: 'Mitchell Admin'},
+      {login: 'demo', password: 'demo', name: 'Marc Demo'},
+      {login: 'secure', password: 'secure', name: 'Secure User', totp: '123456'}
+    ]
+  });
+  t.after(() => server.close());
+  const extension = prepareExtension(server.origin);
+  t.after(() => fs.rmSync(extension, {recursive: true, force: true}));
+  const browser = await puppeteer.launch({headless: true, pipe: true, enableExtensions: [extension]});
+  t.after(() => browser.close());
+
+  const workerTarget = await browser.waitForTarget(target =>
+    target.type() === 'service_worker' && target.url().endsWith('/background.js'));
+  const worker = await workerTarget.worker();
+  const instanceKey = server.origin + '|' + server.db;
+  assert.deepEqual(await sendToBackground(worker, {type: 'createVault', passphrase: 'end-to-end'}), {ok: true});
+  assert.deepEqual(await sendToBackground(worker, {type: 'addSite', site: server.origin}), {ok: true, site: server.origin});
+  for (const user of SAVED_USERS) {
+    assert.deepEqual(await sendToBackground(worker, Object.assign({type: 'addUser', instanceKey}, user)), {ok: true});
+  }
+
+  // Starts from a logged-out session on the login page, once the dropdown lists the saved users
+  const openLoginPage = async () => {
+    const page = await browser.newPage();
+    await page.goto(server.origin + '/web/session/logout');
+    assert.equal(new URL(page.url()).pathname, '/web/login');
+    await page.waitForSelector(DROPDOWN + ' >>> #user-' + (SAVED_USERS.length - 1));
+    return page;
+  };
+
+  // The dropdown lives in a shadow root, which >>> reaches into
+  const loginAs = async (page, index) => {
+    await page.click(DROPDOWN + ' >>> #toggle');
+    const navigation = page.waitForNavigation();
+    await page.click(DROPDOWN + ' >>> #user-' + index);
+    await navigation;
+  };
+
+  const readToast = page => page.waitForSelector('#odoo-quick-login-toast').then(toast => toast.evaluate(node => node.textContent));
+
+  const lastRequest = route => server.requests.filter(request => request.path.startsWith(route)).at(-1);
+
+  for (const fixture of LOGIN_PAGES) {
+    await t.test('fills and submits the login form of ' + fixture, async () => {
+      server.setLoginPage(fixture);
+      const page = await openLoginPage();
+      try {
+        await loginAs(page, 0);
+        assert.equal(new URL(page.url()).pathname, '/web');
+        const submitted = lastRequest('/web/login');
+        assert.equal(submitted.method, 'POST');
+        assert.equal(submitted.params.login, 'admin');
+        assert.equal(submitted.params.password, 'admin');
+        assert.equal(await readToast(page), 'Logged in as Administrator.');
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  await t.test('reports a saved password Odoo rejects', async () => {
+    server.setLoginPage('odoo17_login.html');
+    const page = await openLoginPage();
+    try {
+      await loginAs(page, 1);
+      assert.equal(new URL(page.url()).pathname, '/web/login');
+      assert.match(await readToast(page), /^Odoo rejected the saved password of demo\./);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('stops at the two-factor step of a user without a saved secret', async () => {
+    const page = await openLoginPage();
+    try {
+      await loginAs(page, 2);
+      assert.equal(new URL(page.url()).pathname, '/web/login/totp');
+      assert.equal(await readToast(page), 'Password accepted. Enter the two-factor code for secure.');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('logs in through /web/session/authenticate in JSON-RPC mode', async () => {
+    await sendToBackground(worker, {type: 'saveSettings', settings: {loginMode: 'rpc'}});
+    const page = await openLoginPage();
+    try {
+      await loginAs(page, 0);
+      assert.equal(new URL(page.url()).pathname, '/web');
+      assert.deepEqual(lastRequest('/web/session/authenticate').params, {db: server.db, login: 'admin', password: 'admin'});
+      assert.equal(await readToast(page), 'Logged in as Administrator.');
+    } finally {
+      await sendToBackground(worker, {type: 'saveSettings', settings: {loginMode: 'form'}});
+      await page.close();
+    }
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Odoo Quick Login - Test Harness
+ * 
+ * Loads the extension's own scripts the way the browser does, without a
+ * browser:
+ * - loadPage runs the content scripts, in the order background.js
+ *   registers them, in a JSDOM window showing one of the fixtures
+ * - loadBackground runs background.js and the scripts it imports in a
+ *   Node.js vm context, like the service worker
+ * 
+ * Both get a `browser` namespace backed by in-memory storage. Messages
+ * the scripts send are recorded and answered by handlers the test
+ * passes in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {JSDOM, VirtualConsole} = require('jsdom');
+const {readFixture, renderFixture} = require('./mock_odoo_server');
+
+const ROOT = path.join(__dirname, '..', '..');
+// Where the background sees messages of the popup and the options page come from
+const EXTENSION_ORIGIN = 'chrome-extension://odoo-quick-login-test';
+
+/**
+ * Reads one of the extension's scripts
+ * 
+ * @param {string} name - File name relative to the repository root
+ * @returns {string} The source
+ */
+function readScript(name) {
+  return fs.readFileSync(path.join(ROOT, name), 'utf8');
+}
+
+/**
+ * Reads the content scripts background.js registers, in load order
+ * 
+ * @returns {Array<string>} The script names
+ */
+function readContentScriptFiles() {
+  const list = /const CONTENT_SCRIPT_FILES = \[([^\]]*)\]/.exec(readScript('background.js'));
+  if (!list) throw new Error('background.js no longer declares CONTENT_SCRIPT_FILES');
+  return list[1].split(',').map(name => name.trim().replace(/^'|'$/g, ''));
+}
+
+/**
+ * Creates an in-memory storage area with the promise API of browser.storage
+ * 
+ * Values are copied through JSON on the way in and out, like the real
+ * storage, so tests cannot share objects with the scripts by accident.
+ * 
+ * @param {Object} [initial] - Stored values by key
+ * @returns {Object} The area, with its values exposed as `data`
+ */
+function createStorageArea(initial) {
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const data = copy(initial || {});
+  return {
+    data,
+    get(keys) {
+      const listed = typeof keys === 'string' || Array.isArray(keys) ? [].concat(keys) : null;
+      const defaults = listed ? Object.fromEntries(listed.map(key => [key, undefined])) : keys || {};
+      const result = {};
+      Object.keys(defaults).forEach(key => {
+        const value = key in data ? data[key] : defaults[key];
+        if (value !== undefined) result[key] = copy(value);
+      });
+      return Promise.resolve(result);
+    },
+    set(items) {
+      Object.keys(items).forEach(key => {
+        data[key] = copy(items[key]);
+      });
+      return Promise.resolve();
+    },
+    remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Creates an event with addListener, like the events of the browser APIs
+ * 
+ * @returns {Object} The event; `listeners` holds what was added
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => listeners.splice(listeners.indexOf(listener), 1),
+    hasListener: listener => listeners.includes(listener)
+  };
+}
+
+/**
+ * Creates a runtime whose sendMessage is answered by the test
+ * 
+ * @param {Object} handlers - Functions by message type, returning the response or a promise of it
+ * @returns {Object} browser.runtime; `sent` lists the messages sent
+ */
+function createRuntime(handlers) {
+  const sent = [];
+  return {
+    id: 'odoo-quick-login-test',
+    sent,
+    onMessage: createEvent(),
+    onInstalled: createEvent(),
+    sendMessage(message) {
+      sent.push(message);
+      const handler = handlers[message && message.type];
+      return handler ? Promise.resolve().then(() => handler(message)) : Promise.resolve(undefined);
+    }
+  };
+}
+
+/**
+ * Sends a message to the listeners of a runtime.onMessage, like tabs.sendMessage
+ * 
+ * @param {Object} runtime - A runtime created by createRuntime
+ * @param {Object} message - The message
+ * @param {Object} [sender] - The sender passed to the listeners
+ * @returns {Promise<*>} The first answer, or undefined if no listener answers
+ */
+function dispatchMessage(runtime, message, sender) {
+  const answers = runtime.onMessage.listeners.map(listener => listener(message, sender || {}))
+    .filter(result => result && typeof result.then === 'function');
+  return answers.length ? answers[0] : Promise.resolve(undefined);
+}
+
+/**
+ * Waits for the work content.js starts when a page loads
+ * 
+ * The instance detection and the saved users requested after it must
+ * not land in a page the test has closed already.
+ * 
+ * @param {Window} window - A page opened by loadPage
+ * @returns {Promise<void>} Resolves once the page is idle
+ */
+function settlePage(window) {
+  const detection = window.eval('pageInstanceDetection') || Promise.resolve();
+  return detection.catch(() => {}).then(() => new Promise(resolve => setTimeout(resolve, 0)));
+}
+
+/**
+ * Loads the content scripts into a page showing a fixture
+ * 
+ * The page's fetch() goes to `options.server` when given, so
+ * detection and JSON-RPC logins reach the mock Odoo server; without a
+ * server every request fails, like on a server that is down.
+ * 
+ * @param {string} fixture - File name in tests/fixtures
+ * @param {Object} [options] - Page options
+ * @param {string} [options.path='/web/login'] - Path and query of the page
+ * @param {string} [options.error] - Odoo error to render in the login form
+ * @param {Object} [options.server] - A mock server started with startMockOdooServer
+ * @param {string} [options.session] - Session id the page's requests carry, see createSession
+ * @param {Object} [options.messages] - Background handlers by message type, see createRuntime
+ * @returns {Object} {window, document, runtime, logs, dispatch, close}; `close()`
+ *   resolves once the page has finished detecting its instance and is closed
+ */
+function loadPage(fixture, options) {
+  const settings = Object.assign({path: '/web/login', messages: {}}, options);
+  const origin = settings.server ? settings.server.origin : 'http://odoo.test:8069';
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    virtualConsole.on(level, (...args) => logs.push({level, text: args.map(String).join(' ')}));
+  });
+  virtualConsole.on('jsdomError', error => logs.push({level: 'jsdom', text: error.message}));
+
+  const html = settings.error ? renderFixture(fixture, settings.error) : readFixture(fixture);
+  const dom = new JSDOM(html, {url: origin + settings.path, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole});
+  const window = dom.window;
+  const runtime = createRuntime(settings.messages);
+  window.browser = {
+    runtime,
+    storage: {onChanged: createEvent()}
+  };
+  window.fetch = (resource, init) => {
+    if (!settings.server) return Promise.reject(new window.TypeError('Failed to fetch'));
+    const headers = Object.assign({}, init && init.headers);
+    if (settings.session) headers.Cookie = 'session_id=' + settings.session;
+    return fetch(new URL(resource, window.location.href), Object.assign({}, init, {headers, redirect: 'manual'}));
+  };
+  // Run as scripts sharing the page's global scope, like content scripts, not as eval code
+  const context = dom.getInternalVMContext();
+  readContentScriptFiles().forEach(name => vm.runInContext(readScript(name), context, {filename: name}));
+
+  return {
+    window,
+    document: window.document,
+    runtime,
+    logs,
+    dispatch: message => dispatchMessage(runtime, message),
+    close: () => settlePage(window).then(() => window.close())
+  };
+}
+
+/**
+ * Copies a value created by the scripts into plain Node.js objects
+ * 
+ * Objects made in the page or the background context have that
+ * context's prototypes, which node:assert's deep equality tells apart.
+ * 
+ * @param {*} value - A JSON-compatible value
+ * @returns {*} The same value
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Loads background.js and the scripts it imports into a vm context
+ * 
+ * @param {Object} [options] - Background options
+ * @param {Object} [options.local] - Initial contents of storage.local
+ * @param {Object} [options.session] - Initial contents of storage.session
+ * @param {Object} [options.sync] - storage.sync, an area from createStorageArea that
+ *   two backgrounds can share like two devices signed in to one account
+ * @param {Function} [options.fetch] - Answers fetch(url, init); requests fail without it
+ * @param {Function} [options.sendToTab] - Answers tabs.sendMessage(tabId, message)
+ * @param {boolean} [options.incognito=false] - Whether the extension may run in private windows
+ * @returns {Object} {context, local, session, sync, tabMessages, openedTabs, badges, call, send}:
+ *   `openedTabs` lists the tabs opened, {tabId, url, incognito}, `badges` holds the badge,
+ *   color and title set on each tab, `call(name, ...args)` runs a callback-style function of
+ *   the background and resolves to what it passes on, `send(message, sender)` delivers a
+ *   message to the background's onMessage listener, from the popup unless a sender is given
+ */
+function loadBackground(options) {
+  const settings = Object.assign({sendToTab: () => Promise.resolve(undefined)}, options);
+  const local = createStorageArea(settings.local);
+  const session = createStorageArea(settings.session);
+  session.setAccessLevel = () => Promise.resolve();
+  const sync = settings.sync || createStorageArea();
+  const fetchResource = settings.fetch || (() => Promise.reject(new TypeError('Failed to fetch')));
+  const tabMessages = [];
+  const openedTabs = [];
+  const badges = {};
+  const windows = [];
+  const openTab = (url, incognito) => {
+    const tabId = 100 + openedTabs.length;
+    openedTabs.push({tabId, url, incognito});
+    return tabId;
+  };
+  const setBadge = (property) => (details) => {
+    badges[details.tabId] = Object.assign({}, badges[details.tabId], {[property]: details[property]});
+    return Promise.resolve();
+  };
+  const browser = {
+    runtime: Object.assign(createRuntime({}), {
+      getManifest: () => JSON.parse(readScript('manifest.json')),
+      getURL: path => EXTENSION_ORIGIN + '/' + path.replace(/^\//, '')
+    }),
+    action: {
+      setBadgeText: setBadge('text'),
+      setBadgeBackgroundColor: setBadge('color'),
+      setTitle: setBadge('title')
+    },
+    extension: {
+      isAllowedIncognitoAccess: () => Promise.resolve(!!settings.incognito)
+    },
+    windows: {
+      getAll: () => Promise.resolve(windows.slice()),
+      create({url, incognito}) {
+        const created = {id: windows.length + 1, incognito: !!incognito};
+        windows.push(created);
+        return Promise.resolve(Object.assign({tabs: [{id: openTab(url, created.incognito)}]}, created));
+      }
+    },
+    storage: {local, session, sync, onChanged: createEvent()},
+    tabs: {
+      onRemoved: createEvent(),
+      query: () => Promise.resolve([]),
+      create({url, windowId}) {
+        const window = windows.find(candidate => candidate.id === windowId);
+        return Promise.resolve({id: openTab(url, !!(window && window.incognito))});
+      },
+      sendMessage(tabId, message) {
+        tabMessages.push({tabId, message});
+        return Promise.resolve().then(() => settings.sendToTab(tabId, message));
+      }
+    },
+    commands: {onCommand: createEvent()},
+    permissions: {
+      onAdded: createEvent(),
+      onRemoved: createEvent(),
+      contains: () => Promise.resolve(true),
+      remove: () => Promise.resolve(true)
+    },
+    scripting: {
+      getRegisteredContentScripts: () => Promise.resolve([]),
+      registerContentScripts: () => Promise.resolve(),
+      unregisterContentScripts: () => Promise.resolve()
+    }
+  };
+  const context = vm.createContext({
+    browser,
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    fetch: (resource, init) => Promise.resolve().then(() => fetchResource(String(resource), init))
+  });
+  context.importScripts = (...names) => {
+    names.forEach(name => vm.runInContext(readScript(name), context, {filename: name}));
+  };
+  vm.runInContext(readScript('background.js'), context, {filename: 'background.js'});
+
+  return {
+    context,
+    local,
+    session,
+    sync,
+    tabMessages,
+    openedTabs,
+    badges,
+    call: (name, ...args) => new Promise(resolve => vm.runInContext(name, context)(...args, resolve)),
+    send: (message, sender) => dispatchMessage(browser.runtime, message, sender || {url: EXTENSION_ORIGIN + '/popup.html'})
+  };
+}
+
+module.exports = {
+  readContentScriptFiles,
+  createStorageArea,
+  loadPage,
+  loadBackground,
+  plain
+};
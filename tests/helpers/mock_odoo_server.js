@@ -0,0 +1,332 @@
+/**
+ * Odoo Quick Login - Mock Odoo Server
+ * 
+ * A small HTTP server answering the routes the extension talks to, so
+ * the tests do not need a running Odoo:
+ * - GET and POST /web/login: the login page of one of the fixtures and
+ *   the form login, which re-renders the page with Odoo's error on a
+ *   wrong password and redirects to the two-factor step for users with
+ *   a `totp` code
+ * - GET and POST /web/login/totp: the two-factor step
+ * - POST /web/session/authenticate, /web/session/get_session_info and
+ *   /web/database/list: the JSON-RPC routes of odoo_rpc.js
+ * - POST /web/dataset/call_kw for the model methods landing.js calls:
+ *   looking up XML ids, reading a menu's action and setting the
+ *   logged-in user's language
+ * - GET /web/session/logout, and /web or /odoo, which show the backend
+ *   to logged-in sessions and redirect to the login page otherwise
+ * 
+ * It can also be started on its own to try the extension by hand:
+ * 
+ *   node tests/helpers/mock_odoo_server.js 8018 17
+ * 
+ * serves the Odoo 17 login page on http://127.0.0.1:8018 with the users
+ * admin/admin and demo/demo.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const DEFAULT_USERS = [
+  {login: 'admin', password: 'admin', name: 'Mitchell Admin'},
+  {login: 'demo', password: 'demo', name: 'Marc Demo'}
+];
+
+/**
+ * Reads one of the HTML fixtures
+ * 
+ * @param {string} name - File name in tests/fixtures, e.g. 'odoo17_login.html'
+ * @returns {string} The page
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Renders a fixture with Odoo's error message in its form, if any
+ * 
+ * @param {string} name - File name in tests/fixtures
+ * @param {string} [error] - The error Odoo shows above the login button
+ * @returns {string} The page
+ */
+function renderFixture(name, error) {
+  const alert = error ? '<p class="alert alert-danger" role="alert">' + error + '</p>' : '';
+  return readFixture(name).replace('<!-- login-error -->', alert);
+}
+
+/**
+ * Reads the body of a request
+ * 
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<string>} The body as text
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Parses the cookies of a request
+ * 
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Object} Cookie values by name
+ */
+function readCookies(request) {
+  const cookies = {};
+  (request.headers.cookie || '').split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) cookies[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return cookies;
+}
+
+/**
+ * Starts a mock Odoo server on a local port
+ * 
+ * @param {Object} [options] - Server options
+ * @param {string} [options.loginPage='odoo17_login.html'] - Fixture served as /web/login
+ * @param {string} [options.db='odoo_test'] - Name of the database
+ * @param {boolean} [options.listDatabases=true] - False to refuse /web/database/list, like list_db = False
+ * @param {Array} [options.users] - Users as {login, password, name, totp, lang}; `totp` is the code
+ *   the two-factor step accepts
+ * @param {Object} [options.xmlids] - Records by XML id as {model, res_id}, with the `action`
+ *   reference of menus
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free one
+ * @returns {Promise<Object>} The running server: {origin, db, requests, createSession, getUserLang,
+ *   setLoginPage, close}
+ */
+function startMockOdooServer(options) {
+  const settings = Object.assign({
+    loginPage: 'odoo17_login.html',
+    db: 'odoo_test',
+    listDatabases: true,
+    users: DEFAULT_USERS,
+    xmlids: {},
+    port: 0
+  }, options);
+  // Languages set through res.users write, by login
+  const langs = new Map();
+  // Sessions by id: {uid, login, pending}; `pending` is set until the two-factor step passes
+  const sessions = new Map();
+  // Every request received, as {method, path, params}, for the tests to inspect
+  const requests = [];
+
+  const findUser = (login, password) => settings.users.find(user => user.login === login && user.password === password);
+
+  const createSession = (login, pending) => {
+    const id = crypto.randomBytes(20).toString('hex');
+    const uid = settings.users.findIndex(user => user.login === login) + 2; // uid 1 is OdooBot
+    sessions.set(id, {uid, login, pending: !!pending});
+    return id;
+  };
+
+  const getSession = (request) => {
+    const session = sessions.get(readCookies(request).session_id);
+    return session && !session.pending ? session : null;
+  };
+
+  const sessionInfo = (session) => ({
+    uid: session.uid,
+    db: settings.db,
+    username: session.login,
+    name: settings.users.find(user => user.login === session.login).name,
+    server_version_info: [17, 0, 0, 'final', 0, ''],
+    user_context: {lang: getUserLang(session.login)}
+  });
+
+  const getUserLang = login => langs.get(login) || settings.users.find(user => user.login === login).lang || 'en_US';
+
+  // Answers call_kw like the ORM would for the few methods the extension calls
+  const callModelMethod = (session, params) => {
+    if (params.model === 'ir.model.data' && params.method === 'search_read') {
+      const domain = params.args[0];
+      const field = name => (domain.find(term => term[0] === name) || [])[2];
+      const record = settings.xmlids[field('module') + '.' + field('name')];
+      return record ? [{id: 1, model: record.model, res_id: record.res_id}] : [];
+    }
+    if (params.model === 'ir.ui.menu' && params.method === 'read') {
+      return params.args[0].map(id => {
+        const menu = Object.values(settings.xmlids).find(record => record.model === 'ir.ui.menu' && record.res_id === id);
+        return {id, action: (menu && menu.action) || false};
+      });
+    }
+    if (params.model === 'res.users' && params.method === 'write' && params.args[0].length === 1 &&
+        params.args[0][0] === session.uid) {
+      if (params.args[1].lang) langs.set(session.login, params.args[1].lang);
+      return true;
+    }
+    return undefined;
+  };
+
+  const sendPage = (response, html, cookie) => {
+    const headers = {'Content-Type': 'text/html; charset=utf-8'};
+    if (cookie) headers['Set-Cookie'] = cookie;
+    response.writeHead(200, headers);
+    response.end(html);
+  };
+
+  const redirect = (response, location, cookie) => {
+    const headers = {Location: location};
+    if (cookie) headers['Set-Cookie'] = cookie;
+    response.writeHead(303, headers);
+    response.end();
+  };
+
+  const sendJsonRpc = (response, id, result, error) => {
+    response.writeHead(200, {'Content-Type': 'application/json'});
+    response.end(JSON.stringify(error ? {jsonrpc: '2.0', id, error} : {jsonrpc: '2.0', id, result}));
+  };
+
+  const sessionCookie = id => 'session_id=' + id + '; Path=/; HttpOnly; SameSite=Lax';
+
+  const accessDenied = {
+    code: 200,
+    message: 'Odoo Server Error',
+    data: {name: 'odoo.exceptions.AccessDenied', message: 'Access Denied', arguments: ['Access Denied']}
+  };
+
+  const handleJsonRpc = (request, response, route, payload) => {
+    const params = payload.params || {};
+    if (route === '/web/session/authenticate') {
+      const user = params.db === settings.db && findUser(params.login, params.password);
+      if (!user) {
+        sendJsonRpc(response, payload.id, null, accessDenied);
+        return;
+      }
+      const id = createSession(user.login, !!user.totp);
+      response.setHeader('Set-Cookie', sessionCookie(id));
+      // Like Odoo 15 and later, a login still missing its two-factor code has no uid
+      sendJsonRpc(response, payload.id, user.totp ? {uid: null, db: settings.db} : sessionInfo(sessions.get(id)));
+    } else if (route === '/web/session/get_session_info') {
+      const session = getSession(request);
+      if (!session) {
+        sendJsonRpc(response, payload.id, null, {
+          code: 100,
+          message: 'Odoo Session Expired',
+          data: {name: 'odoo.http.SessionExpiredException', message: 'Session expired'}
+        });
+        return;
+      }
+      sendJsonRpc(response, payload.id, sessionInfo(session));
+    } else if (route.startsWith('/web/dataset/call_kw')) {
+      const session = getSession(request);
+      const result = session ? callModelMethod(session, params) : undefined;
+      if (result === undefined) {
+        sendJsonRpc(response, payload.id, null, {
+          code: 200,
+          message: 'Odoo Server Error',
+          data: {name: 'odoo.exceptions.AccessError', message: 'You are not allowed to access this document.'}
+        });
+        return;
+      }
+      sendJsonRpc(response, payload.id, result);
+    } else if (route === '/web/database/list') {
+      if (!settings.listDatabases) {
+        sendJsonRpc(response, payload.id, null, {
+          code: 200,
+          message: 'Odoo Server Error',
+          data: {name: 'odoo.exceptions.AccessDenied', message: 'Access Denied'}
+        });
+        return;
+      }
+      sendJsonRpc(response, payload.id, [settings.db]);
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  };
+
+  const handleRequest = (request, response, body) => {
+    const url = new URL(request.url, 'http://localhost');
+    const route = url.pathname;
+    const json = (request.headers['content-type'] || '').startsWith('application/json');
+    const form = request.method === 'POST' && !json ? Object.fromEntries(new URLSearchParams(body)) : null;
+    const payload = request.method === 'POST' && json ? JSON.parse(body || '{}') : null;
+    requests.push({method: request.method, path: route + url.search, params: form || (payload && payload.params) || null});
+
+    if (payload) {
+      handleJsonRpc(request, response, route, payload);
+    } else if (route === '/web/login' && request.method === 'GET') {
+      sendPage(response, renderFixture(settings.loginPage));
+    } else if (route === '/web/login' && request.method === 'POST') {
+      const user = (!form.db || form.db === settings.db) && findUser(form.login, form.password);
+      if (!user) {
+        sendPage(response, renderFixture(settings.loginPage, 'Wrong login/password'));
+      } else if (user.totp) {
+        const target = '/web/login/totp?redirect=' + encodeURIComponent(form.redirect || '/web');
+        redirect(response, target, sessionCookie(createSession(user.login, true)));
+      } else {
+        redirect(response, form.redirect || '/web', sessionCookie(createSession(user.login)));
+      }
+    } else if (route === '/web/login/totp' && request.method === 'GET') {
+      sendPage(response, renderFixture('totp_login.html'));
+    } else if (route === '/web/login/totp' && request.method === 'POST') {
+      const session = sessions.get(readCookies(request).session_id);
+      const user = session && settings.users.find(candidate => candidate.login === session.login);
+      if (!user || form.totp_token !== user.totp) {
+        sendPage(response, renderFixture('totp_login.html', 'Verification failed, please double-check the 6-digit code'));
+        return;
+      }
+      session.pending = false;
+      redirect(response, form.redirect || '/web');
+    } else if (route === '/web/session/logout') {
+      sessions.delete(readCookies(request).session_id);
+      redirect(response, '/web');
+    } else if (route === '/web' || route === '/odoo' || route.startsWith('/odoo/')) {
+      if (getSession(request)) {
+        sendPage(response, readFixture('odoo17_backend.html'));
+      } else {
+        redirect(response, '/web/login?redirect=' + encodeURIComponent(route + url.search));
+      }
+    } else {
+      response.writeHead(404, {'Content-Type': 'text/plain'});
+      response.end('Not found');
+    }
+  };
+
+  const server = http.createServer((request, response) => {
+    readBody(request).then(body => handleRequest(request, response, body)).catch(error => {
+      response.writeHead(500, {'Content-Type': 'text/plain'});
+      response.end(String(error && error.stack));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(settings.port, '127.0.0.1', () => {
+      resolve({
+        origin: 'http://127.0.0.1:' + server.address().port,
+        db: settings.db,
+        requests,
+        createSession: login => createSession(login),
+        getUserLang,
+        setLoginPage: (name) => {
+          settings.loginPage = name;
+        },
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = {startMockOdooServer, readFixture, renderFixture, DEFAULT_USERS};
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || 8018);
+  const version = process.argv[3] || '17';
+  startMockOdooServer({port, loginPage: 'odoo' + version + '_login.html'}).then(server => {
+    console.log('Mock Odoo ' + version + ' listening on ' + server.origin + ' (database ' + server.db + ')');
+    DEFAULT_USERS.forEach(user => console.log('  ' + user.login + ' / ' + user.password));
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * Detection of Odoo pages and instances (content.js, detect_odoo.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, loadBackground, plain} = require('../helpers/extension');
+const {startMockOdooServer} = require('../helpers/mock_odoo_server');
+
+const LOGIN_PAGES = ['odoo14_login.html', 'odoo15_login.html', 'odoo16_login.html', 'odoo17_login.html', 'odoo18_login.html'];
+
+test('isOdooLoginPage', async (t) => {
+  for (const fixture of LOGIN_PAGES) {
+    await t.test('recognizes the login page of ' + fixture, async () => {
+      const page = loadPage(fixture);
+      try {
+        assert.equal(page.window.isOdooLoginPage(), true);
+        assert.equal(page.window.isOdooBackendPage(), false);
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  await t.test('recognizes a login page re-rendered with an error', async () => {
+    const page = loadPage('odoo17_login.html', {error: 'Wrong login/password'});
+    try {
+      assert.equal(page.window.isOdooLoginPage(), true);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('recognizes a themed form posting elsewhere on /web/login', async () => {
+    const page = loadPage('custom_theme_login.html');
+    try {
+      assert.equal(page.window.isOdooLoginPage(), true);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('recognizes a themed login page on another route by its generator tag', async () => {
+    const page = loadPage('custom_theme_login.html', {path: '/login'});
+    try {
+      assert.equal(page.window.isOdooLoginPage(), true);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('ignores the login form of another application', async () => {
+    const page = loadPage('generic_login.html', {path: '/wp-login.php'});
+    try {
+      assert.equal(page.window.isOdooLoginPage(), false);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('ignores the two-factor step, which has no login field', async () => {
+    const page = loadPage('totp_login.html', {path: '/web/login/totp?redirect=%2Fweb'});
+    try {
+      assert.equal(page.window.isOdooLoginPage(), false);
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('isOdooBackendPage', async (t) => {
+  for (const path of ['/web', '/web#action=base.action_res_users', '/odoo', '/odoo/action-base.action_res_users']) {
+    await t.test('recognizes the web client on ' + path, async () => {
+      const page = loadPage('odoo17_backend.html', {path});
+      try {
+        assert.equal(page.window.isOdooBackendPage(), true);
+        assert.equal(page.window.isOdooLoginPage(), false);
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  await t.test('needs the navbar to be rendered', async () => {
+    const page = loadPage('odoo17_backend.html', {path: '/web'});
+    try {
+      page.document.querySelector('.o_main_navbar').remove();
+      assert.equal(page.window.isOdooBackendPage(), false);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('does not treat the login route as the web client', async () => {
+    const page = loadPage('odoo17_backend.html', {path: '/web/login'});
+    try {
+      assert.equal(page.window.isOdooBackendPage(), false);
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('buildInstanceKey', async () => {
+  const page = loadPage('odoo17_login.html');
+  try {
+    assert.equal(page.window.buildInstanceKey('https://erp.example.com', 'prod'), 'https://erp.example.com|prod');
+    assert.equal(page.window.buildInstanceKey('https://erp.example.com', null), 'https://erp.example.com|');
+  } finally {
+    await page.close();
+  }
+});
+
+test('detectOdooInstance', async (t) => {
+  const server = await startMockOdooServer({db: 'odoo_test'});
+  t.after(() => server.close());
+
+  await t.test('takes the database from the database field of the login form', async () => {
+    for (const fixture of ['odoo14_login.html', 'odoo16_login.html']) {
+      const page = loadPage(fixture, {server});
+      try {
+        const detected = await page.window.detectOdooInstance();
+        assert.equal(detected.instanceKey, server.origin + '|odoo_test');
+        // db: keys may belong to another server with the same database name; the popup offers them
+        assert.deepEqual(plain(detected.legacyKeys), ['origin:' + server.origin]);
+      } finally {
+        await page.close();
+      }
+    }
+  });
+
+  await t.test('takes the database from the db URL parameter', async () => {
+    const page = loadPage('odoo17_login.html', {server, path: '/web/login?db=other_db'});
+    try {
+      assert.equal((await page.window.detectOdooInstance()).instanceKey, server.origin + '|other_db');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('takes the database from the session of a logged-in user', async () => {
+    const page = loadPage('odoo17_backend.html', {server, path: '/web', session: server.createSession('admin')});
+    try {
+      assert.equal((await page.window.detectOdooInstance()).instanceKey, server.origin + '|odoo_test');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('falls back to the database list when it holds one database', async () => {
+    const page = loadPage('odoo18_login.html', {server});
+    try {
+      assert.equal((await page.window.detectOdooInstance()).instanceKey, server.origin + '|odoo_test');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('leaves the database out when the server hides it', async () => {
+    const hidden = await startMockOdooServer({listDatabases: false});
+    const page = loadPage('odoo17_login.html', {server: hidden});
+    try {
+      const detected = await page.window.detectOdooInstance();
+      assert.equal(detected.instanceKey, hidden.origin + '|');
+      assert.deepEqual(plain(detected.legacyKeys), ['origin:' + hidden.origin]);
+    } finally {
+      await page.close();
+      await hidden.close();
+    }
+  });
+
+  await t.test('leaves the database out when the server cannot be reached', async () => {
+    const page = loadPage('odoo17_login.html');
+    try {
+      assert.equal((await page.window.detectOdooInstance()).instanceKey, 'http://odoo.test:8069|');
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('server hiding its database', async (t) => {
+  const server = await startMockOdooServer({listDatabases: false});
+  t.after(() => server.close());
+  const background = loadBackground({local: {usersByInstance: {[server.origin + '|']: [{username: 'admin', secret: 'x'}]}}});
+  const fromPage = message => background.send(message, {tab: {id: 1, incognito: false}, url: server.origin + '/web'});
+  const savedUsers = async (fixture, options) => {
+    const page = loadPage(fixture, Object.assign({server, messages: {instanceDetected: fromPage}}, options));
+    try {
+      const {instanceKey} = plain(await page.dispatch({type: 'detectInstance'}));
+      return {instanceKey, users: plain(await fromPage({type: 'getUsers', instanceKey})).users.map(user => user.username)};
+    } finally {
+      await page.close();
+    }
+  };
+
+  await t.test('lists the same users on the login page before and after the backend revealed it', async () => {
+    assert.deepEqual(await savedUsers('odoo17_login.html'), {instanceKey: server.origin + '|', users: ['admin']});
+    assert.deepEqual(await savedUsers('odoo17_backend.html', {path: '/web', session: server.createSession('admin')}),
+      {instanceKey: server.origin + '|odoo_test', users: ['admin']});
+    assert.deepEqual(await savedUsers('odoo17_login.html'), {instanceKey: server.origin + '|odoo_test', users: ['admin']});
+    assert.deepEqual(Object.keys(background.local.data.usersByInstance), [server.origin + '|odoo_test']);
+  });
+});
+
+test('detectInstance message', async (t) => {
+  const server = await startMockOdooServer();
+  t.after(() => server.close());
+
+  await t.test('reports the instance of a login page to the background', async () => {
+    const page = loadPage('odoo16_login.html', {server});
+    try {
+      assert.deepEqual(plain(await page.dispatch({type: 'detectInstance'})), {instanceKey: server.origin + '|odoo_test'});
+      const reported = page.runtime.sent.find(message => message.type === 'instanceDetected');
+      assert.equal(reported.instanceKey, server.origin + '|odoo_test');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('answers null outside Odoo pages', async () => {
+    const page = loadPage('generic_login.html', {server, path: '/wp-login.php'});
+    try {
+      assert.deepEqual(plain(await page.dispatch({type: 'detectInstance'})), {instanceKey: null});
+    } finally {
+      await page.close();
+    }
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Post-login targets and languages (landing.js, background.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, loadBackground, plain} = require('../helpers/extension');
+const {startMockOdooServer} = require('../helpers/mock_odoo_server');
+
+const KEY = 'https://erp.example.com|prod';
+
+test('parseLandingTarget', async (t) => {
+  const {parseLandingTarget, isLandingLang} = loadBackground().context;
+  const parse = text => plain(parseLandingTarget(text));
+
+  await t.test('tells paths, records and XML ids apart', () => {
+    assert.deepEqual(parse(' /odoo/inventory '), {kind: 'path', path: '/odoo/inventory'});
+    assert.deepEqual(parse('sale.order,42'), {kind: 'record', model: 'sale.order', id: 42});
+    assert.deepEqual(parse('sale.order, 42'), {kind: 'record', model: 'sale.order', id: 42});
+    assert.deepEqual(parse('stock.action_picking_tree_all'), {kind: 'xmlid', module: 'stock', name: 'action_picking_tree_all'});
+  });
+
+  await t.test('refuses targets outside the instance and anything else', () => {
+    ['//evil.example.com/web', '/\\evil.example.com/web', 'https://erp.example.com/web', 'javascript:alert(1)', 'Inventory', 'sale.order,x', '']
+      .forEach(text => assert.equal(parse(text), null, text));
+  });
+
+  await t.test('accepts the shape of Odoo language codes', () => {
+    ['fr_FR', 'es_419', 'sr@latin', 'fil_PH'].forEach(lang => assert.ok(isLandingLang(lang), lang));
+    ['fr-FR', 'French', 'FR_fr', ''].forEach(lang => assert.ok(!isLandingLang(lang), lang));
+  });
+});
+
+test('saved landing', async (t) => {
+  const background = loadBackground({
+    local: {usersByInstance: {[KEY]: [{username: 'stock', secret: 'x'}]}},
+    sendToTab: () => ({ok: true})
+  });
+  const update = changes => background.send({type: 'updateUser', instanceKey: KEY, index: 0, changes}).then(plain);
+
+  await t.test('is stored on the user and checked before', async () => {
+    assert.deepEqual(await update({landing: 'stock.action_picking_tree_all', lang: 'fr_FR'}), {ok: true});
+    assert.equal(background.local.data.usersByInstance[KEY][0].landing, 'stock.action_picking_tree_all');
+    assert.equal((await update({landing: 'https://elsewhere.example.com'})).error, 'invalid');
+    assert.equal((await update({lang: 'French'})).error, 'invalid');
+    const users = plain(await background.send({type: 'getUsers', instanceKey: KEY})).users;
+    assert.equal(users[0].landing, 'stock.action_picking_tree_all');
+    assert.equal(users[0].lang, 'fr_FR');
+  });
+
+  await t.test('is handed to the page a login from the login page lands on', async () => {
+    await background.call('setPendingLogin', 7, {instanceKey: KEY, username: 'stock', submit: true, landing: true,
+      expiresAt: Date.now() + 60000});
+    const landed = plain(await background.send({type: 'loginLanded', outcome: 'success'}, {tab: {id: 7}}));
+    assert.deepEqual(landed.landing, {target: 'stock.action_picking_tree_all', lang: 'fr_FR'});
+  });
+
+  await t.test('is left out when switching users, which returns to the same page', async () => {
+    await background.call('setPendingLogin', 7, {instanceKey: KEY, username: 'stock', submit: true, landing: false,
+      expiresAt: Date.now() + 60000});
+    const landed = plain(await background.send({type: 'loginLanded', outcome: 'success'}, {tab: {id: 7}}));
+    assert.equal(landed.outcome, 'success');
+    assert.equal(landed.landing, undefined);
+  });
+
+  await t.test('is exported with the user', async () => {
+    const {normalizeEntry, serializeEntries, parseEntries} = background.context;
+    const entry = normalizeEntry({instance: KEY, login: 'stock', password: 'x', landing: 'sale.order,42', lang: 'de_DE'});
+    const [csv] = plain(parseEntries(serializeEntries([entry], 'csv')));
+    assert.equal(csv.landing, 'sale.order,42');
+    assert.equal(csv.lang, 'de_DE');
+  });
+});
+
+test('applyLoginLanding', async (t) => {
+  const server = await startMockOdooServer({
+    xmlids: {
+      'stock.menu_stock_root': {model: 'ir.ui.menu', res_id: 5, action: 'ir.actions.act_window,12'},
+      'stock.action_picking_tree_all': {model: 'ir.actions.act_window', res_id: 12},
+      'base.main_company': {model: 'res.company', res_id: 1}
+    }
+  });
+  t.after(() => server.close());
+
+  const land = async (landing, login) => {
+    const page = loadPage('odoo17_backend.html', {server, path: '/web', session: server.createSession(login || 'admin')});
+    try {
+      return plain(await page.window.applyLoginLanding(landing));
+    } finally {
+      await page.close();
+    }
+  };
+
+  await t.test('opens paths and records as they are', async () => {
+    assert.deepEqual(await land({target: '/odoo/inventory'}), {url: '/odoo/inventory', langChanged: false});
+    assert.equal((await land({target: 'sale.order,42'})).url, '/web#model=sale.order&id=42&view_type=form');
+  });
+
+  await t.test('looks up menus, actions and records by XML id', async () => {
+    assert.equal((await land({target: 'stock.menu_stock_root'})).url, '/web#menu_id=5&action=12');
+    assert.equal((await land({target: 'stock.action_picking_tree_all'})).url, '/web#action=12');
+    assert.equal((await land({target: 'base.main_company'})).url, '/web#model=res.company&id=1&view_type=form');
+    await assert.rejects(land({target: 'stock.missing'}), /Nothing has the XML id stock\.missing/);
+  });
+
+  await t.test('sets the language of the user once', async () => {
+    assert.deepEqual(await land({lang: 'fr_FR'}, 'demo'), {url: null, langChanged: true});
+    assert.equal(server.getUserLang('demo'), 'fr_FR');
+    assert.equal(server.getUserLang('admin'), 'en_US');
+    assert.deepEqual(await land({target: '/odoo/sales', lang: 'fr_FR'}, 'demo'), {url: '/odoo/sales', langChanged: false});
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Filling and submitting Odoo's login forms (content.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, plain} = require('../helpers/extension');
+const {startMockOdooServer} = require('../helpers/mock_odoo_server');
+
+const LOGIN_PAGES = [
+  'odoo14_login.html', 'odoo15_login.html', 'odoo16_login.html', 'odoo17_login.html', 'odoo18_login.html',
+  'custom_theme_login.html'
+];
+
+/**
+ * Records the submissions of the page's forms instead of navigating
+ * 
+ * @param {Object} page - A page opened by loadPage
+ * @returns {Array<Object>} Filled in as forms are submitted: {action, fields}
+ */
+function recordSubmissions(page) {
+  const submissions = [];
+  page.document.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submissions.push({action: e.target.getAttribute('action'), fields: Object.fromEntries(new page.window.FormData(e.target))});
+  });
+  // Links must not be followed either, e.g. a theme's call-to-action button
+  page.document.addEventListener('click', (e) => {
+    if (e.target.closest('a')) {
+      e.preventDefault();
+      submissions.push({link: e.target.closest('a').getAttribute('href')});
+    }
+  });
+  return submissions;
+}
+
+test('fillAndSubmit', async (t) => {
+  for (const fixture of LOGIN_PAGES) {
+    await t.test('fills and submits the form of ' + fixture, async () => {
+      const page = loadPage(fixture);
+      try {
+        const submissions = recordSubmissions(page);
+        assert.equal(page.window.fillAndSubmit('admin', 's3cret'), true);
+        assert.ok(submissions.length >= 1, 'the form was submitted');
+        submissions.forEach(submission => {
+          assert.equal(submission.link, undefined, 'no link was followed');
+          assert.equal(submission.fields.login, 'admin');
+          assert.equal(submission.fields.password, 's3cret');
+        });
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  await t.test('keeps the database of the form', async () => {
+    const page = loadPage('odoo16_login.html');
+    try {
+      const submissions = recordSubmissions(page);
+      page.window.fillAndSubmit('admin', 'admin');
+      assert.equal(submissions[0].fields.db, 'odoo_test');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('only fills the form when asked not to submit', async () => {
+    const page = loadPage('odoo17_login.html');
+    try {
+      const submissions = recordSubmissions(page);
+      const inputs = [];
+      page.document.addEventListener('input', e => inputs.push(e.target.name));
+      assert.equal(page.window.fillAndSubmit('demo', 'demo', false), true);
+      assert.deepEqual(submissions, []);
+      assert.deepEqual(inputs, ['login', 'password']);
+      assert.equal(page.document.activeElement.name, 'password');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('reports pages without a login form', async () => {
+    const page = loadPage('totp_login.html', {path: '/web/login/totp'});
+    try {
+      assert.equal(page.window.fillAndSubmit('admin', 'admin'), false);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('answers the fillLogin message', async () => {
+    const page = loadPage('odoo18_login.html');
+    try {
+      const submissions = recordSubmissions(page);
+      const result = await page.dispatch({type: 'fillLogin', username: 'admin', password: 'admin', submit: true});
+      assert.deepEqual(plain(result), {ok: true});
+      assert.equal(submissions[0].fields.login, 'admin');
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('detectLoginOutcome', async (t) => {
+  await t.test('reads the error Odoo shows on a rejected login', async () => {
+    const page = loadPage('odoo17_login.html', {error: 'Wrong login/password'});
+    try {
+      assert.deepEqual(plain(page.window.detectLoginOutcome()), {outcome: 'rejected', message: 'Wrong login/password'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('does not take a plain login page for a rejection', async () => {
+    const page = loadPage('odoo14_login.html');
+    try {
+      assert.deepEqual(plain(page.window.detectLoginOutcome()), {outcome: 'unknown'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('recognizes the two-factor step', async () => {
+    const page = loadPage('totp_login.html', {path: '/web/login/totp?redirect=%2Fweb'});
+    try {
+      assert.deepEqual(plain(page.window.detectLoginOutcome()), {outcome: 'totp'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('recognizes the database selector', async () => {
+    const page = loadPage('odoo16_login.html', {path: '/web/database/selector'});
+    try {
+      assert.deepEqual(plain(page.window.detectLoginOutcome()), {outcome: 'database'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('takes any other page for a successful login', async () => {
+    const page = loadPage('odoo17_backend.html', {path: '/odoo'});
+    try {
+      assert.deepEqual(plain(page.window.detectLoginOutcome()), {outcome: 'success'});
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('fillTotpCode', async (t) => {
+  await t.test('fills in and submits the code', async () => {
+    const page = loadPage('totp_login.html', {path: '/web/login/totp'});
+    try {
+      const submissions = recordSubmissions(page);
+      page.window.fillTotpCode('123456');
+      assert.equal(submissions.length, 1);
+      assert.equal(submissions[0].action, '/web/login/totp');
+      assert.equal(submissions[0].fields.totp_token, '123456');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('leaves submitting to the user when asked to', async () => {
+    const page = loadPage('totp_login.html', {path: '/web/login/totp'});
+    try {
+      const submissions = recordSubmissions(page);
+      page.window.fillTotpCode('654321', false);
+      assert.deepEqual(submissions, []);
+      assert.equal(page.document.activeElement.name, 'totp_token');
+      assert.equal(page.document.activeElement.value, '654321');
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('loginViaRpc', async (t) => {
+  const server = await startMockOdooServer({
+    users: [
+      {login: 'admin', password: 'admin', name: 'Mitchell Admin'},
+      {login: 'secure', password: 'secure', name: 'Secure User', totp: '123456'}
+    ]
+  });
+  t.after(() => server.close());
+
+  const loginViaRpc = (page, username, password, totp) =>
+    new Promise(resolve => page.window.loginViaRpc(username, password, totp, resolve)).then(plain);
+
+  await t.test('authenticates against the database of the login form', async () => {
+    const page = loadPage('odoo16_login.html', {server});
+    try {
+      assert.deepEqual(await loginViaRpc(page, 'admin', 'admin', false), {ok: true});
+      const call = server.requests.find(request => request.path === '/web/session/authenticate');
+      assert.deepEqual(call.params, {db: 'odoo_test', login: 'admin', password: 'admin'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('reports a rejected password', async () => {
+    const page = loadPage('odoo17_login.html', {server});
+    try {
+      assert.deepEqual(await loginViaRpc(page, 'admin', 'wrong', false),
+        {ok: false, error: 'rejected', message: 'Access Denied'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('treats a missing uid as the two-factor step for users with a secret', async () => {
+    const page = loadPage('odoo17_login.html', {server});
+    try {
+      assert.deepEqual(await loginViaRpc(page, 'secure', 'secure', true), {ok: true});
+      assert.deepEqual(await loginViaRpc(page, 'secure', 'secure', false),
+        {ok: false, error: 'rejected', message: 'Access Denied'});
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('reports a server that cannot be reached', async () => {
+    const page = loadPage('odoo17_login.html', {path: '/web/login?db=odoo_test'});
+    try {
+      const result = await loginViaRpc(page, 'admin', 'admin', false);
+      assert.equal(result.ok, false);
+      assert.equal(result.error, 'rpc-failed');
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('getPostLoginRedirect', async (t) => {
+  const redirectFrom = async (query) => {
+    const page = loadPage('odoo17_login.html', {path: '/web/login' + query});
+    try {
+      return page.window.getPostLoginRedirect();
+    } finally {
+      await page.close();
+    }
+  };
+
+  await t.test('keeps a path on the instance', async () => {
+    assert.equal(await redirectFrom('?redirect=' + encodeURIComponent('/odoo/sales?view=list#id=4')),
+      '/odoo/sales?view=list#id=4');
+  });
+
+  await t.test('refuses redirects that leave the instance', async () => {
+    for (const redirect of ['//evil.example.com/web', '/\\evil.example.com/web', 'https://evil.example.com/', 'javascript:alert(1)']) {
+      assert.equal(await redirectFrom('?redirect=' + encodeURIComponent(redirect)), '/web', redirect);
+    }
+  });
+
+  await t.test('falls back to the web client', async () => {
+    assert.equal(await redirectFrom(''), '/web');
+  });
+});
+
+test('switch user menu', async (t) => {
+  const server = await startMockOdooServer();
+  t.after(() => server.close());
+
+  await t.test('marks the user of the session in the sorted list', async () => {
+    const users = [{username: 'admin'}, {username: 'demo'}, {username: 'portal'}];
+    const page = loadPage('odoo17_backend.html', {server, path: '/web', session: server.createSession('demo'),
+      messages: {getUsers: () => ({users, order: [1, 2, 0], sort: 'alpha'})}});
+    try {
+      const items = () => Array.from(page.document.querySelectorAll('#odoo-quick-login-switch button[type="button"]'))
+        .filter(item => item.title !== 'Switch user (Odoo Quick Login)');
+      for (let tries = 0; tries < 100 && !items().some(item => item.disabled); tries++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      assert.deepEqual(items().map(item => [item.textContent, item.disabled]),
+        [['demo (current)', true], ['portal', false], ['admin', false]]);
+    } finally {
+      await page.close();
+    }
+  });
+});
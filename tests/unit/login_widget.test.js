@@ -0,0 +1,236 @@
+/**
+ * The saved users dropdown on login pages (login_widget.js, content.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, plain} = require('../helpers/extension');
+
+const USERS = [
+  {username: 'admin', label: 'Administrator', tags: ['Admin']},
+  {username: 'demo', favorite: true, color: '#2e7d32'},
+  {username: 'portal', label: 'Portal User', tags: ['Portal']}
+];
+
+/**
+ * Opens a login page whose background answers with saved users
+ * 
+ * @param {string} fixture - File name in tests/fixtures
+ * @param {Object} [answer] - Fields added to the getUsers response, e.g. placement
+ * @param {Object} [login] - Response to the login message
+ * @returns {Promise<Object>} The page, once the dropdown is rendered; `widget` is its shadow root
+ */
+async function openLoginPage(fixture, answer, login) {
+  const page = loadPage(fixture, {messages: {
+    getUsers: () => Object.assign({users: USERS, environment: null, order: [1, 0, 2], sort: 'manual', placement: 'top'}, answer),
+    login: () => login || {ok: true}
+  }});
+  // The dropdown is built once the page has loaded, and shown once the saved users are in
+  const rendered = () => page.document.getElementById('odoo-quick-login-container');
+  for (let tries = 0; !(rendered() && rendered().dataset.theme) && tries < 50; tries++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const host = rendered();
+  page.host = host;
+  page.widget = host.shadowRoot;
+  return page;
+}
+
+const press = (page, element, key) =>
+  element.dispatchEvent(new page.window.KeyboardEvent('keydown', {key, bubbles: true, composed: true}));
+
+const optionTexts = page => Array.from(page.widget.querySelectorAll('[role="option"]:not([hidden])'))
+  .map(option => option.textContent);
+
+test('login page dropdown', async (t) => {
+  await t.test('lists the saved users in display order inside a shadow root', async () => {
+    const page = await openLoginPage('odoo17_login.html');
+    try {
+      assert.equal(page.host.hidden, false);
+      assert.equal(page.document.getElementById('odoo-quick-login-select'), null);
+      assert.deepEqual(optionTexts(page), ['\u2605 demo', 'Administrator (admin) [Admin]', 'Portal User (portal) [Portal]']);
+      assert.equal(page.widget.getElementById('list').getAttribute('role'), 'listbox');
+      assert.equal(page.widget.getElementById('toggle').getAttribute('aria-haspopup'), 'listbox');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('stays hidden while the instance has no saved users', async () => {
+    const page = await openLoginPage('odoo17_login.html', {users: [], order: []});
+    try {
+      assert.equal(page.host.hidden, true);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('logs in as the user chosen with the keyboard', async () => {
+    const page = await openLoginPage('odoo16_login.html');
+    try {
+      const toggle = page.widget.getElementById('toggle');
+      const list = page.widget.getElementById('list');
+      press(page, toggle, 'ArrowDown');
+      assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+      assert.equal(list.getAttribute('aria-activedescendant'), 'user-1');
+      press(page, list, 'ArrowDown');
+      press(page, list, 'End');
+      press(page, list, 'ArrowUp');
+      assert.equal(list.getAttribute('aria-activedescendant'), 'user-0');
+      press(page, list, 'Enter');
+      assert.equal(list.hidden, true);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const login = page.runtime.sent.find(message => message.type === 'login');
+      assert.equal(login.index, 0);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('jumps to a user by typing the start of their name', async () => {
+    const page = await openLoginPage('odoo17_login.html');
+    try {
+      const list = page.widget.getElementById('list');
+      page.widget.getElementById('toggle').click();
+      press(page, list, 'p');
+      assert.equal(list.getAttribute('aria-activedescendant'), 'user-2');
+      press(page, list, 'Escape');
+      assert.equal(list.hidden, true);
+      assert.equal(page.runtime.sent.some(message => message.type === 'login'), false);
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('filters the users by role', async () => {
+    const page = await openLoginPage('odoo17_login.html');
+    try {
+      const chips = Array.from(page.widget.querySelectorAll('.tag'));
+      assert.deepEqual(chips.map(chip => chip.textContent), ['All', 'Admin', 'Portal']);
+      chips[2].click();
+      assert.deepEqual(optionTexts(page), ['Portal User (portal) [Portal]']);
+      assert.equal(chips[2].getAttribute('aria-pressed'), 'true');
+      assert.equal(chips[0].getAttribute('aria-pressed'), 'false');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('keeps the role picked when the saved users change', async () => {
+    const page = await openLoginPage('odoo17_login.html');
+    try {
+      page.widget.querySelectorAll('.tag')[2].click();
+      const changed = USERS.map(user => Object.assign({}, user, {useCount: 1}));
+      page.window.renderLoginWidget(changed, null, [1, 0, 2], 'manual', 'top');
+      assert.deepEqual(optionTexts(page), ['Portal User (portal) [Portal]']);
+      assert.equal(page.widget.querySelectorAll('.tag')[2].getAttribute('aria-pressed'), 'true');
+      page.window.renderLoginWidget(changed.slice(0, 2), null, [1, 0], 'manual', 'top');
+      assert.deepEqual(optionTexts(page), ['\u2605 demo', 'Administrator (admin) [Admin]']);
+      assert.equal(page.widget.querySelector('.tag').getAttribute('aria-pressed'), 'true');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('shows why a login failed', async () => {
+    const page = await openLoginPage('odoo17_login.html', {}, {ok: false, error: 'locked'});
+    try {
+      page.widget.getElementById('toggle').click();
+      page.widget.getElementById('user-1').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const helper = page.widget.getElementById('helper');
+      assert.ok(helper.classList.contains('error'));
+      assert.equal(helper.getAttribute('aria-live'), 'polite');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('saves the sort order chosen under the list', async () => {
+    const page = await openLoginPage('odoo17_login.html');
+    try {
+      const sort = page.widget.getElementById('sort');
+      sort.value = 'alpha';
+      sort.dispatchEvent(new page.window.Event('change'));
+      assert.deepEqual(plain(page.runtime.sent.find(message => message.type === 'setUserSort')),
+        {type: 'setUserSort', sort: 'alpha'});
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('dropdown placement', async (t) => {
+  await t.test('goes right above the login form by default', async () => {
+    const page = await openLoginPage('odoo17_login.html');
+    try {
+      assert.equal(page.host.nextElementSibling, page.document.querySelector('input[name="login"]').closest('form'));
+      assert.equal(page.host.dataset.placement, 'top');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('goes right after the login form', async () => {
+    const page = await openLoginPage('odoo18_login.html', {placement: 'below'});
+    try {
+      assert.equal(page.host.previousElementSibling, page.document.querySelector('input[name="login"]').closest('form'));
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('opens from a floating button', async () => {
+    const page = await openLoginPage('odoo17_login.html', {placement: 'floating'});
+    try {
+      assert.equal(page.host.parentNode, page.document.body);
+      assert.equal(page.host.dataset.placement, 'floating');
+      const fab = page.widget.getElementById('fab');
+      const panel = page.widget.getElementById('panel');
+      fab.click();
+      assert.equal(fab.getAttribute('aria-expanded'), 'true');
+      assert.ok(panel.classList.contains('open'));
+      press(page, panel, 'Escape');
+      assert.equal(panel.classList.contains('open'), false);
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+test('detectPageColorScheme', async (t) => {
+  await t.test('follows the color scheme chosen in Odoo', async () => {
+    const page = loadPage('odoo17_login.html');
+    try {
+      assert.equal(page.window.detectPageColorScheme(), 'light');
+      page.document.cookie = 'color_scheme=dark';
+      assert.equal(page.window.detectPageColorScheme(), 'dark');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('falls back to the Bootstrap theme and the page background', async () => {
+    const page = loadPage('odoo16_login.html');
+    try {
+      page.document.documentElement.setAttribute('data-bs-theme', 'dark');
+      assert.equal(page.window.detectPageColorScheme(), 'dark');
+      page.document.documentElement.removeAttribute('data-bs-theme');
+      page.document.body.style.backgroundColor = 'rgb(30, 30, 40)';
+      assert.equal(page.window.detectPageColorScheme(), 'dark');
+    } finally {
+      await page.close();
+    }
+  });
+
+  await t.test('themes the dropdown', async () => {
+    const page = loadPage('odoo17_login.html', {messages: {getUsers: () => ({users: USERS})}});
+    try {
+      page.document.cookie = 'color_scheme=dark';
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.equal(page.document.getElementById('odoo-quick-login-container').dataset.theme, 'dark');
+    } finally {
+      await page.close();
+    }
+  });
+});
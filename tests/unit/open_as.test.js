@@ -0,0 +1,178 @@
+/**
+ * Parallel sessions and host aliases (sessions.js, background.js, content.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, loadBackground, plain} = require('../helpers/extension');
+
+const SERVER = 'http://localhost:8069';
+const ALIAS = 'http://127.0.0.1:8069';
+const KEY = SERVER + '|prod';
+
+/**
+ * Waits for the background to send a message to a tab
+ * 
+ * @param {Object} background - A background from loadBackground
+ * @param {Function} predicate - Tells whether a {tabId, message} is the one awaited
+ * @returns {Promise<Object>} The message
+ */
+async function waitForTabMessage(background, predicate) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const found = background.tabMessages.find(predicate);
+    if (found) return found;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('No such message was sent to a tab');
+}
+
+test('session helpers', async (t) => {
+  const {parseAliasOrigin, resolveHostAlias, sessionJarKey, sessionBadgeText, pickSessionJar} = loadBackground().context;
+  const aliases = {[ALIAS]: SERVER};
+
+  await t.test('read addresses and map aliases to their server', () => {
+    assert.equal(parseAliasOrigin(' http://127.0.0.1:8069/web/login '), ALIAS);
+    ['127.0.0.1:8069', 'ftp://erp.example.com', ''].forEach(input => assert.equal(parseAliasOrigin(input), null, input));
+    assert.equal(resolveHostAlias(ALIAS + '|prod', aliases), KEY);
+    assert.equal(resolveHostAlias('https://erp.example.com|prod', aliases), 'https://erp.example.com|prod');
+    assert.equal(resolveHostAlias('db:prod', aliases), 'db:prod');
+  });
+
+  await t.test('tell cookie jars apart by host name and window', () => {
+    assert.equal(sessionJarKey(SERVER, false), 'localhost');
+    assert.equal(sessionJarKey('http://localhost:8070', false), 'localhost');
+    assert.equal(sessionJarKey(ALIAS, true), 'incognito:127.0.0.1');
+    assert.equal(sessionJarKey(undefined, false), null);
+  });
+
+  await t.test('shorten names to initials', () => {
+    assert.equal(sessionBadgeText('Sales Manager'), 'SM');
+    assert.equal(sessionBadgeText('admin'), 'AD');
+    assert.equal(sessionBadgeText('jdoe@example.com'), 'JE');
+    assert.equal(sessionBadgeText(''), '');
+  });
+
+  await t.test('pick the user\'s own jar, then a free one', () => {
+    const state = {
+      sessionByJar: {localhost: {instanceKey: KEY, username: 'admin'}},
+      jarByTab: {1: 'localhost'}
+    };
+    const pick = (username, incognito) => plain(pickSessionJar(SERVER, {instanceKey: KEY, username}, aliases, state, incognito));
+    assert.deepEqual(pick('admin', false), {origin: SERVER, incognito: false, jar: 'localhost', loggedIn: true});
+    assert.deepEqual(pick('demo', false), {origin: ALIAS, incognito: false, jar: '127.0.0.1', loggedIn: false});
+    state.jarByTab[2] = '127.0.0.1';
+    assert.equal(pick('demo', false), null);
+    assert.deepEqual(pick('demo', true), {origin: SERVER, incognito: true, jar: 'incognito:localhost', loggedIn: false});
+  });
+});
+
+test('host aliases', async (t) => {
+  const background = loadBackground({local: {usersByInstance: {[ALIAS + '|prod']: [{username: 'demo', secret: 'd'}]}}});
+  const add = (alias, origin) => background.send({type: 'addHostAlias', alias, origin}).then(plain);
+
+  await t.test('are added as sites of their own', async () => {
+    assert.deepEqual(await add(ALIAS + '/web', SERVER), {ok: true, alias: ALIAS, origin: SERVER});
+    assert.deepEqual(background.local.data.sites, [ALIAS]);
+    assert.deepEqual(plain(await background.send({type: 'listHostAliases'})).aliases, [{alias: ALIAS, origin: SERVER}]);
+  });
+
+  await t.test('need a host name of their own and stand for a server', async () => {
+    assert.match((await add('http://localhost:8070', SERVER)).message, /host name of its own/);
+    assert.match((await add(SERVER, 'http://odoo.local:8069')).message, /already is the server/);
+    assert.equal((await add('http://odoo.local:8069', ALIAS)).origin, SERVER);
+  });
+
+  await t.test('store the users of their pages under the server', async () => {
+    const sender = {tab: {id: 3, incognito: false}, url: ALIAS + '/web/login'};
+    const response = plain(await background.send({type: 'instanceDetected', instanceKey: ALIAS + '|prod', legacyKeys: [],
+      origin: ALIAS}, sender));
+    assert.equal(response.instanceKey, KEY);
+    assert.deepEqual(background.local.data.usersByInstance, {[KEY]: [{username: 'demo', secret: 'd'}]});
+    assert.equal(background.session.data.instanceByTab[3], KEY);
+  });
+});
+
+test('open as', async (t) => {
+  const background = loadBackground({local: {hostAliases: {[ALIAS]: SERVER}}, sendToTab: () => ({ok: true})});
+  const send = (message, tab) => background.send(message, tab && {tab: Object.assign({incognito: false}, tab),
+    url: tab.url || SERVER + '/web/login'}).then(plain);
+  const loginPage = (tabId, origin) => send({type: 'instanceDetected', instanceKey: origin + '|prod', legacyKeys: [], origin,
+    loggedOut: true}, {id: tabId, url: origin + '/web/login'});
+  await send({type: 'createVault', passphrase: 'correct horse'});
+  await send({type: 'addUser', instanceKey: KEY, username: 'admin', password: 'admin-pw', label: 'Administrator'});
+  await send({type: 'addUser', instanceKey: KEY, username: 'demo', password: 'demo-pw', label: 'Sales Manager'});
+  await send({type: 'addUser', instanceKey: KEY, username: 'portal', password: 'portal-pw'});
+
+  await t.test('shows who a tab logged in as on its badge', async () => {
+    await loginPage(1, SERVER);
+    await send({type: 'login', instanceKey: KEY, index: 0}, {id: 1});
+    assert.equal((await send({type: 'loginLanded', outcome: 'success', origin: SERVER}, {id: 1})).outcome, 'success');
+    assert.deepEqual(background.badges[1], {text: 'AD', color: '#875A7B', title: 'Odoo Quick Login - logged in as Administrator'});
+    assert.deepEqual(background.session.data.sessionByJar.localhost,
+      {instanceKey: KEY, username: 'admin', label: 'Administrator', color: ''});
+  });
+
+  await t.test('opens another user on a free host alias and logs it in there', async () => {
+    assert.deepEqual(await send({type: 'openAs', instanceKey: KEY, index: 1}), {ok: true, tabId: 100, incognito: false});
+    assert.equal(background.openedTabs[0].url,
+      ALIAS + '/web/session/logout?redirect=' + encodeURIComponent('/web/login?db=prod'));
+    const detected = await loginPage(100, ALIAS);
+    assert.deepEqual(detected, {ok: true, instanceKey: KEY, session: null});
+    const sent = await waitForTabMessage(background, entry => entry.tabId === 100 && entry.message.type === 'fillLogin');
+    assert.equal(sent.message.username, 'demo');
+    assert.equal(sent.message.password, 'demo-pw');
+    await send({type: 'loginLanded', outcome: 'success', origin: ALIAS}, {id: 100, url: ALIAS + '/odoo'});
+    assert.equal(background.badges[100].text, 'SM');
+    assert.equal(background.badges[1].text, 'AD');
+  });
+
+  await t.test('reuses the session of a user who is logged in already', async () => {
+    assert.equal((await send({type: 'openAs', instanceKey: KEY, index: 0})).ok, true);
+    assert.equal(background.openedTabs[1].url, SERVER + '/web');
+  });
+
+  await t.test('needs an alias or a private window for one more user', async () => {
+    const result = await send({type: 'openAs', instanceKey: KEY, index: 2});
+    assert.equal(result.error, 'no-isolation');
+    assert.match(result.message, /allow the extension in private windows/);
+    const incognito = loadBackground({local: background.local.data, session: background.session.data, incognito: true});
+    assert.equal(plain(await incognito.send({type: 'openAs', instanceKey: KEY, index: 2})).incognito, true);
+    assert.equal(incognito.openedTabs[0].url.startsWith(SERVER + '/web/session/logout'), true);
+  });
+
+  await t.test('clears the badge and the title of the tabs of a jar that logged out', async () => {
+    await loginPage(100, ALIAS);
+    assert.equal(background.badges[100].text, '');
+    assert.equal(background.session.data.sessionByJar['127.0.0.1'], undefined);
+    assert.ok(background.tabMessages.some(entry => entry.tabId === 100 && entry.message.type === 'showSession' &&
+      entry.message.session === null));
+    // Only the first login page of a tab opened as a user logs in
+    assert.equal(background.tabMessages.filter(entry => entry.tabId === 100 && entry.message.type === 'fillLogin').length, 1);
+  });
+
+  await t.test('forgets the cookie jars of closed tabs', async () => {
+    background.context.browser.tabs.onRemoved.listeners.forEach(listener => listener(100));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(background.session.data.jarByTab[100], undefined);
+    assert.equal(background.session.data.jarByTab[1], 'localhost');
+  });
+});
+
+test('page title', async () => {
+  const page = loadPage('odoo17_login.html', {path: '/web/login?db=prod', messages: {
+    instanceDetected: () => ({ok: true, instanceKey: KEY, session: {username: 'demo', label: 'Sales Manager'}})
+  }});
+  try {
+    assert.deepEqual(plain(await page.dispatch({type: 'detectInstance'})), {instanceKey: KEY});
+    const reported = page.runtime.sent.find(message => message.type === 'instanceDetected');
+    assert.equal(reported.origin, 'http://odoo.test:8069');
+    assert.equal(reported.loggedOut, true);
+    assert.equal(page.document.title, '[Sales Manager] Odoo');
+    page.window.showTabSessionTitle();
+    assert.equal(page.document.title, '[Sales Manager] Odoo');
+    await page.dispatch({type: 'showSession', session: null});
+    assert.equal(page.document.title, 'Odoo');
+  } finally {
+    await page.close();
+  }
+});
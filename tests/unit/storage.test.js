@@ -0,0 +1,249 @@
+/**
+ * Storage helpers of the background service worker (background.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadBackground, plain} = require('../helpers/extension');
+
+const KEY = 'https://erp.example.com|prod';
+const OTHER_KEY = 'https://erp.example.com|staging';
+
+test('saved users', async (t) => {
+  await t.test('are stored per instance', async () => {
+    const background = loadBackground({local: {usersByInstance: {[OTHER_KEY]: [{username: 'demo'}]}}});
+    assert.deepEqual(plain(await background.call('getUsersForInstance', KEY)), []);
+    await background.call('saveUsersForInstance', KEY, [{username: 'admin', secret: 'x'}]);
+    assert.deepEqual(plain(await background.call('getUsersForInstance', KEY)), [{username: 'admin', secret: 'x'}]);
+    assert.deepEqual(background.local.data.usersByInstance[OTHER_KEY], [{username: 'demo'}]);
+  });
+
+  await t.test('are merged from legacy keys the first time an instance is seen', async () => {
+    const background = loadBackground({local: {usersByInstance: {
+      [KEY]: [{username: 'admin', secret: 'new'}],
+      'db:prod': [{username: 'admin', secret: 'old'}, {username: 'demo', secret: 'd'}],
+      'origin:https://erp.example.com': [{username: 'portal', secret: 'p'}],
+      'meta:Odoo 17': [{username: 'shared', secret: 's'}]
+    }}});
+    await background.call('migrateLegacyInstances', KEY, ['origin:https://erp.example.com', 'db:prod', 'https://erp.example.com|']);
+    assert.deepEqual(background.local.data.usersByInstance, {
+      [KEY]: [{username: 'admin', secret: 'new'}, {username: 'portal', secret: 'p'}, {username: 'demo', secret: 'd'}],
+      'meta:Odoo 17': [{username: 'shared', secret: 's'}]
+    });
+  });
+
+  await t.test('move between instances without overwriting existing logins', async () => {
+    const background = loadBackground({local: {usersByInstance: {
+      [KEY]: [{username: 'admin', secret: 'a'}, {username: 'demo', secret: 'd'}, {username: 'portal', secret: 'p'}],
+      [OTHER_KEY]: [{username: 'admin', secret: 'kept'}]
+    }}});
+    await background.call('moveUsers', KEY, OTHER_KEY, [0, 2]);
+    assert.deepEqual(background.local.data.usersByInstance, {
+      [KEY]: [{username: 'demo', secret: 'd'}],
+      [OTHER_KEY]: [{username: 'admin', secret: 'kept'}, {username: 'portal', secret: 'p'}]
+    });
+    await background.call('moveUsers', KEY, OTHER_KEY, null);
+    assert.equal(background.local.data.usersByInstance[KEY], undefined);
+  });
+});
+
+test('user templates', async (t) => {
+  const templates = [
+    {templateId: 't1', username: 'admin', secret: 'template', scope: 'all', pattern: ''},
+    {templateId: 't2', username: 'demo', secret: 'd', scope: 'db', pattern: '^stag'},
+    {templateId: 't3', username: 'portal', secret: 'p', scope: 'origin', pattern: 'https://erp.example.com'}
+  ];
+
+  await t.test('are listed after the instance users they apply to', async () => {
+    const background = loadBackground({local: {
+      usersByInstance: {[OTHER_KEY]: [{username: 'admin', secret: 'own'}]},
+      userTemplates: templates
+    }});
+    const users = plain(await background.call('getEffectiveUsers', OTHER_KEY));
+    assert.deepEqual(users.map(user => user.templateId || user.secret), ['own', 't2', 't3']);
+    const elsewhere = plain(await background.call('getEffectiveUsers', 'http://localhost:8069|prod'));
+    assert.deepEqual(elsewhere.map(user => user.templateId), ['t1']);
+  });
+
+  await t.test('are saved back to the templates when edited on an instance', async () => {
+    const background = loadBackground({local: {usersByInstance: {}, userTemplates: templates}});
+    const users = await background.call('getEffectiveUsers', KEY);
+    users.find(user => user.templateId === 't1').label = 'Administrator';
+    users.push({username: 'new', secret: 'n'});
+    await background.call('saveEffectiveUsers', KEY, users);
+    assert.deepEqual(background.local.data.usersByInstance[KEY], [{username: 'new', secret: 'n'}]);
+    assert.equal(background.local.data.userTemplates[0].label, 'Administrator');
+    assert.equal(background.local.data.userTemplates.length, 3);
+  });
+});
+
+test('settings', async (t) => {
+  await t.test('fall back to their defaults', async () => {
+    const background = loadBackground();
+    const settings = plain(await background.call('getSettings'));
+    assert.equal(settings.loginMode, 'form');
+    assert.equal(settings.userSort, 'manual');
+    assert.equal(settings.dropdownPlacement, 'top');
+    assert.equal(settings.impersonation, false);
+    assert.deepEqual(settings.environmentRules, []);
+  });
+
+  await t.test('keep the values that were not changed', async () => {
+    const background = loadBackground({local: {settings: {userSort: 'alpha'}}});
+    const saved = plain(await background.call('saveSettings', {loginMode: 'rpc'}));
+    assert.equal(saved.loginMode, 'rpc');
+    assert.equal(saved.userSort, 'alpha');
+    assert.deepEqual(background.local.data.settings, {userSort: 'alpha', loginMode: 'rpc'});
+  });
+
+  await t.test('ignore unknown sort modes and dropdown placements', async () => {
+    const background = loadBackground();
+    const saved = plain(await background.send({type: 'saveSettings', settings: {userSort: 'random', dropdownPlacement: 'sideways'}}));
+    assert.equal(saved.userSort, 'manual');
+    assert.equal(saved.dropdownPlacement, 'top');
+    await background.send({type: 'saveSettings', settings: {dropdownPlacement: 'floating'}});
+    assert.equal(background.local.data.settings.dropdownPlacement, 'floating');
+  });
+
+  await t.test('turn impersonation on from the extension pages only', async () => {
+    const background = loadBackground();
+    await background.send({type: 'createVault', passphrase: 'correct horse'});
+    const message = {type: 'saveImpersonation', enabled: true, password: 'imp-pw'};
+    const tab = {tab: {id: 7}, url: 'https://erp.example.com/web'};
+    assert.deepEqual(plain(await background.send(message, tab)), {ok: false, error: 'forbidden'});
+    assert.equal(background.local.data.impersonationSecret, undefined);
+    assert.deepEqual(plain(await background.send(message)), {ok: true, enabled: true, hasPassword: true});
+  });
+});
+
+test('login outcomes', async (t) => {
+  await t.test('count consecutive rejections and clear them on success', async () => {
+    const background = loadBackground({local: {usersByInstance: {[KEY]: [{username: 'admin', secret: 'x'}]}}});
+    assert.equal(await background.call('recordLoginOutcome', KEY, 'admin', 'rejected'), 1);
+    assert.equal(await background.call('recordLoginOutcome', KEY, 'admin', 'rejected'), 2);
+    assert.equal(await background.call('recordLoginOutcome', KEY, 'admin', 'success'), 0);
+    const user = background.local.data.usersByInstance[KEY][0];
+    assert.equal(user.loginFailures, undefined);
+    assert.equal(user.useCount, 1);
+    assert.deepEqual(background.local.data.loginHistory[KEY].map(entry => entry.username), ['admin']);
+  });
+
+  await t.test('are recorded on the template of a template user', async () => {
+    const background = loadBackground({local: {userTemplates: [
+      {templateId: 't1', username: 'admin', secret: 'x', scope: 'all', pattern: ''}
+    ]}});
+    await background.call('recordLoginOutcome', KEY, 'admin', 'rejected');
+    assert.equal(background.local.data.userTemplates[0].loginFailures, 1);
+    assert.deepEqual(background.local.data.usersByInstance[KEY], []);
+  });
+});
+
+test('vault', async (t) => {
+  const background = loadBackground({sendToTab: () => ({ok: true})});
+  const send = message => background.send(message).then(plain);
+  const fromTab = (tabId, message, url) => background.send(message, {tab: {id: tabId}, url: url || 'https://erp.example.com/web/login'})
+    .then(plain);
+
+  await t.test('refuses to save passwords while locked', async () => {
+    assert.deepEqual(await send({type: 'addUser', instanceKey: KEY, username: 'admin', password: 'admin'}),
+      {ok: false, error: 'locked'});
+  });
+
+  await t.test('stores passwords encrypted and hands them out decrypted', async () => {
+    assert.deepEqual(await send({type: 'createVault', passphrase: 'correct horse'}), {ok: true});
+    assert.deepEqual(await send({type: 'addUser', instanceKey: KEY, username: 'admin', password: 'admin-pw', label: 'Admin'}),
+      {ok: true});
+    const stored = background.local.data.usersByInstance[KEY][0];
+    assert.equal(stored.password, undefined);
+    assert.ok(!JSON.stringify(stored).includes('admin-pw'));
+    assert.deepEqual(plain(await background.call('decryptUser', KEY, 0)),
+      {ok: true, username: 'admin', password: 'admin-pw', hasTotp: false});
+  });
+
+  await t.test('sends the decrypted password only to the tab that logs in', async () => {
+    await fromTab(7, {type: 'instanceDetected', instanceKey: KEY, legacyKeys: [], origin: 'https://erp.example.com'});
+    assert.deepEqual(await fromTab(7, {type: 'login', instanceKey: KEY, index: 0}), {ok: true});
+    const sent = background.tabMessages.at(-1);
+    assert.equal(sent.tabId, 7);
+    assert.equal(sent.message.type, 'fillLogin');
+    assert.equal(sent.message.password, 'admin-pw');
+  });
+
+  await t.test('sends no password to a tab showing another instance', async () => {
+    const before = background.tabMessages.length;
+    await fromTab(9, {type: 'instanceDetected', instanceKey: 'https://other.example.com|prod', legacyKeys: [],
+      origin: 'https://other.example.com'}, 'https://other.example.com/web/login');
+    assert.deepEqual(await fromTab(9, {type: 'login', instanceKey: KEY, index: 0}), {ok: false, error: 'other-instance'});
+    assert.deepEqual(await send({type: 'login', tabId: 8, instanceKey: KEY, index: 0}), {ok: false, error: 'other-instance'});
+    assert.equal(background.tabMessages.length, before);
+  });
+
+  await t.test('only takes the instance a page reports on its own origin', async () => {
+    const other = 'https://other.example.com|prod';
+    background.local.data.usersByInstance['origin:https://other.example.com'] = [{username: 'theirs', secret: 's'}];
+    assert.deepEqual(await fromTab(10, {type: 'instanceDetected', instanceKey: other, legacyKeys: [],
+      origin: 'https://other.example.com'}), {ok: false, error: 'forbidden'});
+    assert.equal(background.session.data.instanceByTab[10], undefined);
+    await fromTab(10, {type: 'instanceDetected', instanceKey: KEY, legacyKeys: ['origin:https://other.example.com'],
+      origin: 'https://erp.example.com'});
+    assert.equal(background.session.data.instanceByTab[10], KEY);
+    assert.deepEqual(background.local.data.usersByInstance['origin:https://other.example.com'], [{username: 'theirs', secret: 's'}]);
+    delete background.local.data.usersByInstance['origin:https://other.example.com'];
+  });
+
+  await t.test('only answers content scripts what their pages need', async () => {
+    for (const message of [{type: 'lockVault'}, {type: 'exportUsers'}, {type: 'saveSettings', settings: {loginMode: 'rpc'}},
+      {type: 'impersonateUser', tabId: 7, instanceKey: KEY, login: 'admin'}]) {
+      assert.deepEqual(await fromTab(7, message), {ok: false, error: 'forbidden'}, message.type);
+    }
+    assert.deepEqual(await background.send({type: 'lockVault'}, {url: 'https://erp.example.com/web'}).then(plain),
+      {ok: false, error: 'forbidden'});
+    assert.equal((await fromTab(7, {type: 'getUsers', instanceKey: KEY})).users.length, 1);
+  });
+
+  await t.test('needs the passphrase again once locked', async () => {
+    await send({type: 'lockVault'});
+    assert.deepEqual(plain(await background.call('decryptUser', KEY, 0)), {ok: false, error: 'locked'});
+    assert.deepEqual(await send({type: 'unlockVault', passphrase: 'wrong'}), {ok: false});
+    assert.deepEqual(await send({type: 'unlockVault', passphrase: 'correct horse'}), {ok: true});
+    assert.equal(plain(await background.call('decryptUser', KEY, 0)).password, 'admin-pw');
+  });
+});
+
+test('import', async (t) => {
+  const background = loadBackground();
+  const send = message => background.send(message).then(plain);
+  await send({type: 'createVault', passphrase: 'correct horse'});
+  await send({type: 'addUser', instanceKey: KEY, username: 'admin', password: 'admin-pw', label: 'Admin', note: 'old'});
+  await send({type: 'updateUser', instanceKey: KEY, index: 0, changes: {favorite: true}});
+  await background.call('recordLoginOutcome', KEY, 'admin', 'success');
+
+  await t.test('updates a saved user without losing its favorite flag and usage', async () => {
+    const {serializeEntries} = background.context;
+    const text = serializeEntries([{instance: KEY, login: 'admin', password: 'new-pw', label: 'Administrator'}], 'json');
+    assert.deepEqual((await send({type: 'previewImport', text, mode: 'merge'})).plan[KEY].updated, ['admin']);
+    assert.deepEqual(await send({type: 'applyImport', text, mode: 'merge'}), {ok: true});
+    const user = background.local.data.usersByInstance[KEY][0];
+    assert.equal(user.favorite, true);
+    assert.equal(user.useCount, 1);
+    assert.ok(user.lastUsedAt);
+    assert.equal(user.label, 'Administrator');
+    assert.equal(user.note, undefined, 'fields the file leaves empty are cleared');
+    assert.equal(plain(await background.call('decryptUser', KEY, 0)).password, 'new-pw');
+  });
+});
+
+test('two-factor secrets', async (t) => {
+  const {parseTotpInput} = loadBackground().context;
+  const uri = query => 'otpauth://totp/admin?secret=JBSWY3DPEHPK3PXP' + query;
+
+  await t.test('read the digits and period of an otpauth URI', () => {
+    assert.deepEqual(plain(parseTotpInput(uri('&digits=8&period=60'))),
+      {secret: 'JBSWY3DPEHPK3PXP', digits: 8, period: 60, algorithm: 'SHA1'});
+  });
+
+  await t.test('refuse digits and periods that are not whole numbers in range', () => {
+    ['&digits=6.5', '&digits=9', '&digits=x', '&period=30.5', '&period=0', '&period=-30']
+      .forEach(query => assert.equal(parseTotpInput(uri(query)), null, query));
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Vault sync and team files (sync.js, background.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const {loadBackground, createStorageArea, plain} = require('../helpers/extension');
+
+const KEY = 'https://erp.example.com|prod';
+const PASSPHRASE = 'correct horse';
+
+/**
+ * Starts a background with sync turned on and an unlocked vault
+ * 
+ * @param {Object} [options] - Options passed on to loadBackground
+ * @returns {Promise<Object>} The background
+ */
+async function syncingDevice(options) {
+  const background = loadBackground(Object.assign({local: {settings: {syncVault: true}}}, options));
+  assert.deepEqual(plain(await background.send({type: 'createVault', passphrase: PASSPHRASE})), {ok: true});
+  return background;
+}
+
+const addUser = (background, username) => background.send({type: 'addUser', instanceKey: KEY, username, password: username + '-pw'});
+
+const logins = background => (background.local.data.usersByInstance[KEY] || []).map(user => user.username);
+
+test('sync chunks', async (t) => {
+  const background = loadBackground();
+  const {buildSyncItems, joinSyncChunks, measureSyncItems} = background.context;
+  const SYNC_CHUNK_SIZE = vm.runInContext('SYNC_CHUNK_SIZE', background.context);
+
+  await t.test('split the vault into items storage.sync accepts', () => {
+    const text = 'x'.repeat(SYNC_CHUNK_SIZE * 2 + 10);
+    const items = buildSyncItems({version: 1, updatedAt: 1}, text);
+    assert.deepEqual(Object.keys(items), ['syncedVault', 'syncedVault.0', 'syncedVault.1', 'syncedVault.2']);
+    assert.equal(items.syncedVault.chunks, 3);
+    assert.ok(Object.keys(items).every(key => measureSyncItems({[key]: items[key]}) < 8192));
+    assert.equal(joinSyncChunks(items.syncedVault, items), text);
+  });
+
+  await t.test('are not joined while one is missing', () => {
+    const items = buildSyncItems({version: 1}, 'y'.repeat(SYNC_CHUNK_SIZE + 1));
+    delete items['syncedVault.1'];
+    assert.equal(joinSyncChunks(items.syncedVault, items), null);
+  });
+
+  await t.test('are not joined with chunks of another revision', () => {
+    const items = buildSyncItems({version: 1, revision: 'new'}, 'z'.repeat(SYNC_CHUNK_SIZE + 1));
+    const older = buildSyncItems({version: 1, revision: 'old'}, 'o'.repeat(SYNC_CHUNK_SIZE + 1));
+    items['syncedVault.1'] = older['syncedVault.1'];
+    assert.equal(joinSyncChunks(items.syncedVault, items), null);
+  });
+});
+
+test('merging', async (t) => {
+  const {mergeSyncedData, mergeTeamUsers} = loadBackground().context;
+
+  await t.test('keeps the users of both devices, this one winning on the same login', () => {
+    const merged = plain(mergeSyncedData(
+      {usersByInstance: {[KEY]: [{username: 'admin', secret: 'mine'}]}, userTemplates: [{templateId: 't1', secret: 'mine'}]},
+      {usersByInstance: {[KEY]: [{username: 'admin', secret: 'theirs'}, {username: 'demo'}], other: [{username: 'x'}]},
+        userTemplates: [{templateId: 't1', secret: 'theirs'}, {templateId: 't2'}]}
+    ));
+    assert.deepEqual(merged.usersByInstance[KEY], [{username: 'admin', secret: 'mine'}, {username: 'demo'}]);
+    assert.deepEqual(merged.usersByInstance.other, [{username: 'x'}]);
+    assert.deepEqual(merged.userTemplates.map(template => template.secret || template.templateId), ['mine', 't2']);
+  });
+
+  await t.test('lists team users according to the conflict setting', () => {
+    const own = [{username: 'admin', secret: 'own'}, {username: 'demo', secret: 'own'}];
+    const team = [{username: 'demo', teamId: 'd'}, {username: 'portal', teamId: 'p'}];
+    const list = mode => plain(mergeTeamUsers(own, team, mode)).map(user => user.teamId || user.username);
+    assert.deepEqual(list('personal'), ['admin', 'demo', 'p']);
+    assert.deepEqual(list('team'), ['admin', 'd', 'p']);
+    assert.deepEqual(list('both'), ['admin', 'demo', 'd', 'p']);
+  });
+});
+
+test('vault sync', async (t) => {
+  const sync = createStorageArea();
+  const first = await syncingDevice({sync});
+  const second = loadBackground({local: {settings: {syncVault: true}}, sync});
+
+  await t.test('uploads only ciphertext', async () => {
+    await addUser(first, 'admin');
+    const state = plain(await first.call('runVaultSync'));
+    assert.equal(state.status, 'ok');
+    assert.equal(sync.data.syncedVault.vault.salt, first.local.data.vault.salt);
+    assert.ok(!JSON.stringify(sync.data).includes('admin'));
+  });
+
+  await t.test('gives a new device the synced vault to unlock', async () => {
+    assert.equal(plain(await second.call('runVaultSync')).status, 'locked');
+    assert.deepEqual(plain(await second.send({type: 'unlockVault', passphrase: PASSPHRASE})), {ok: true});
+    assert.equal(plain(await second.call('runVaultSync')).status, 'ok');
+    assert.deepEqual(logins(second), ['admin']);
+    assert.equal(plain(await second.call('decryptUser', KEY, 0)).password, 'admin-pw');
+  });
+
+  await t.test('merges users added on both devices in the meantime', async () => {
+    await addUser(first, 'demo');
+    await addUser(second, 'portal');
+    await second.call('runVaultSync');
+    await first.call('runVaultSync');
+    assert.deepEqual(logins(first), ['admin', 'demo', 'portal']);
+    await second.call('runVaultSync');
+    assert.deepEqual(logins(second), ['admin', 'demo', 'portal']);
+  });
+
+  await t.test('passes on removals made on one device', async () => {
+    await second.send({type: 'removeUser', instanceKey: KEY, index: 0});
+    await second.call('runVaultSync');
+    await first.call('runVaultSync');
+    assert.deepEqual(logins(first), ['demo', 'portal']);
+  });
+
+  await t.test('stops when another vault was synced, until one is picked', async () => {
+    const third = await syncingDevice({sync});
+    await addUser(third, 'local-only');
+    assert.equal(plain(await third.call('runVaultSync')).status, 'other-vault');
+    assert.deepEqual(plain(await third.send({type: 'joinSyncedVault', passphrase: 'wrong'})), {ok: false, error: 'wrong-passphrase'});
+    assert.deepEqual(plain(await third.send({type: 'joinSyncedVault', passphrase: PASSPHRASE})), {ok: true});
+    assert.equal(third.local.data.vault.salt, first.local.data.vault.salt);
+    assert.deepEqual(logins(third), ['local-only', 'demo', 'portal']);
+    assert.equal(plain(await third.call('decryptUser', KEY, 0)).password, 'local-only-pw');
+  });
+
+  await t.test('can be overwritten by a device with another vault', async () => {
+    const fourth = await syncingDevice({sync: createStorageArea(sync.data)});
+    await addUser(fourth, 'fresh');
+    assert.equal(plain(await fourth.send({type: 'replaceSyncedVault'})).status, 'ok');
+    assert.equal(plain(await loadBackground({local: first.local.data, session: first.session.data, sync: fourth.sync})
+      .call('runVaultSync')).status, 'other-vault');
+  });
+
+  await t.test('settles on a synced vault it cannot read', async () => {
+    const corrupt = createStorageArea(sync.data);
+    Object.assign(corrupt.data, first.context.buildSyncItems(Object.assign({}, sync.data.syncedVault, {revision: 'corrupt'}), 'not json'));
+    const device = loadBackground({local: first.local.data, session: first.session.data, sync: corrupt});
+    const state = plain(await device.call('runVaultSync'));
+    assert.equal(state.status, 'sync-failed');
+    assert.equal(plain(await device.send({type: 'syncNow'})).status, 'sync-failed');
+    assert.equal(plain(await device.send({type: 'syncNow'})).status, 'sync-failed', 'later runs are not stuck');
+  });
+
+  await t.test('removes only the chunks a smaller vault no longer needs', async () => {
+    const area = createStorageArea();
+    const removed = [];
+    const remove = area.remove;
+    area.remove = keys => {
+      removed.push(...[].concat(keys));
+      return remove(keys);
+    };
+    const device = await syncingDevice({sync: area});
+    await device.send({type: 'addUser', instanceKey: KEY, username: 'big', password: 'pw', note: 'n'.repeat(20000)});
+    await device.call('runVaultSync');
+    const before = area.data.syncedVault.chunks;
+    assert.ok(before > 2, 'the vault takes several chunks');
+    await device.send({type: 'updateUser', instanceKey: KEY, index: 0, changes: {note: 'short'}});
+    await device.call('runVaultSync');
+    const after = area.data.syncedVault.chunks;
+    assert.ok(after < before);
+    assert.deepEqual(removed, Array.from({length: before - after}, (value, idx) => 'syncedVault.' + (after + idx)));
+  });
+
+  await t.test('refuses a vault too large for browser sync', async () => {
+    await first.send({type: 'updateUser', instanceKey: KEY, index: 0, changes: {note: 'n'.repeat(100 * 1024)}});
+    const state = plain(await first.call('runVaultSync'));
+    assert.equal(state.status, 'too-large');
+    assert.match(state.message, /more than the 100 KB/);
+  });
+});
+
+test('team file', async (t) => {
+  const background = await syncingDevice();
+  const {serializeEntries} = background.context;
+  const file = serializeEntries([
+    {instance: KEY, login: 'admin', password: 'team-admin', label: 'Team admin'},
+    {instance: KEY, login: 'support', password: 'team-support', tags: ['Support']}
+  ], 'json');
+  await addUser(background, 'admin');
+  const listed = async () => plain(await background.call('getEffectiveUsers', KEY))
+    .map(user => (user.teamId ? 'team:' : '') + user.username);
+
+  await t.test('lists its users after the instance\'s own users', async () => {
+    assert.deepEqual(plain(await background.send({type: 'loadTeamFile', text: file, fileName: 'team.json'})), {ok: true, count: 2});
+    assert.deepEqual(await listed(), ['admin', 'team:support']);
+    assert.equal(plain(await background.call('decryptUser', KEY, 1)).password, 'team-support');
+    assert.equal(plain(await background.send({type: 'getUsers', instanceKey: KEY})).users[1].team, true);
+  });
+
+  await t.test('lists conflicting logins as set in the options', async () => {
+    await background.send({type: 'saveSettings', settings: {teamConflict: 'team'}});
+    assert.deepEqual(await listed(), ['team:admin', 'team:support']);
+    await background.send({type: 'saveSettings', settings: {teamConflict: 'both'}});
+    assert.deepEqual(await listed(), ['admin', 'team:admin', 'team:support']);
+    await background.send({type: 'saveSettings', settings: {teamConflict: 'nobody'}});
+    assert.equal(background.local.data.settings.teamConflict, 'both');
+  });
+
+  await t.test('cannot be edited, but its users can be pinned', async () => {
+    assert.equal(plain(await background.send({type: 'updateUser', instanceKey: KEY, index: 2, changes: {label: 'Mine'}})).error,
+      'read-only');
+    assert.equal(plain(await background.send({type: 'updateUser', instanceKey: KEY, index: 2, changes: {favorite: true}})).ok, true);
+    assert.equal(background.local.data.teamUsers[1].favorite, true);
+    assert.deepEqual(logins(background), ['admin']);
+  });
+
+  await t.test('leaves the own users to edit from the options page when team users take their place', async () => {
+    await background.send({type: 'saveSettings', settings: {teamConflict: 'team'}});
+    const edit = message => background.send(Object.assign({type: 'updateUser', instanceKey: KEY, index: 0}, message)).then(plain);
+    assert.equal((await edit({changes: {label: 'Mine'}})).error, 'read-only');
+    assert.deepEqual(await edit({own: true, changes: {label: 'Mine'}}), {ok: true});
+    assert.equal(background.local.data.usersByInstance[KEY][0].label, 'Mine');
+    assert.equal(background.local.data.teamUsers[0].label, 'Team admin');
+    await background.send({type: 'saveSettings', settings: {teamConflict: 'both'}});
+  });
+
+  await t.test('keeps favorites and its last users when downloaded again', async () => {
+    const responses = [{ok: true, status: 200, text: () => Promise.resolve(file)}, {ok: false, status: 404}];
+    const downloads = loadBackground({local: background.local.data, session: background.session.data,
+      fetch: () => responses.shift()});
+    assert.deepEqual(plain(await downloads.send({type: 'loadTeamFile', url: 'https://intranet.example.com/team.json'})),
+      {ok: true, count: 2});
+    assert.equal(downloads.local.data.teamUsers[1].favorite, true);
+    const failed = plain(await downloads.send({type: 'loadTeamFile', url: 'https://intranet.example.com/team.json'}));
+    assert.match(failed.message, /HTTP 404/);
+    assert.equal(downloads.local.data.teamUsers.length, 2);
+    const status = plain(await downloads.send({type: 'getSyncStatus'}));
+    assert.equal(status.team.url, 'https://intranet.example.com/team.json');
+    assert.equal(status.team.error, failed.message);
+  });
+
+  await t.test('needs the passphrase of an encrypted file', async () => {
+    const {encryptBackup} = background.context;
+    const encrypted = await encryptBackup(file, 'team secret');
+    assert.equal(plain(await background.send({type: 'loadTeamFile', text: encrypted, fileName: 'team.json'})).error, 'invalid');
+    assert.deepEqual(plain(await background.send({type: 'loadTeamFile', text: encrypted, fileName: 'team.json',
+      passphrase: 'team secret'})), {ok: true, count: 2});
+    assert.ok(!JSON.stringify(background.local.data.teamSource).includes('team secret'));
+    await background.send({type: 'removeTeamSource'});
+    assert.deepEqual(await listed(), ['admin']);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Odoo Quick Login - Build Script
+ * 
+ * Packages the extension for Chrome and Firefox from the same sources:
+ * 
+ *   node tools/build.js            # both browsers
+ *   node tools/build.js firefox    # one browser
+ * 
+ * Each build is written unpacked to `dist/<browser>/`, ready for "Load
+ * unpacked" or about:debugging, and zipped to
+ * `dist/odoo-quick-login-<browser>-<version>.zip` for the stores.
+ * 
+ * The repository's manifest.json is the Chrome manifest, so the checkout
+ * itself can still be loaded in Chrome. The Firefox manifest differs in
+ * two ways:
+ * - Firefox runs the background as an event page instead of a service
+ *   worker, so `background.scripts` lists the files that background.js
+ *   loads with importScripts, followed by background.js itself
+ * - `browser_specific_settings` gives the add-on a fixed ID, so its
+ *   storage survives reloading a temporary add-on, and the first Firefox
+ *   version with every API used
+ * 
+ * Only Node.js is needed; there are no dependencies to install.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const BROWSERS = ['chrome', 'firefox'];
+
+// Top-level files shipped in the package; documentation and tooling stay out
+const PACKAGED_EXTENSIONS = ['.js', '.html', '.png'];
+
+const GECKO_SETTINGS = {
+  gecko: {
+    id: 'odoo-quick-login@heyzeeshan.github.io',
+    // optional_host_permissions in Manifest V3
+    strict_min_version: '128.0'
+  }
+};
+
+/**
+ * Lists the files that make up the extension
+ * 
+ * @returns {Array<string>} File names relative to the repository root
+ */
+function listExtensionFiles() {
+  return fs.readdirSync(ROOT).filter(name => {
+    const stat = fs.statSync(path.join(ROOT, name));
+    return stat.isFile() && PACKAGED_EXTENSIONS.includes(path.extname(name));
+  }).concat(['manifest.json', 'LICENSE']).sort();
+}
+
+/**
+ * Reads the scripts background.js loads with importScripts
+ * 
+ * @returns {Array<string>} The script names, in load order
+ */
+function readBackgroundImports() {
+  const source = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8');
+  const call = /importScripts\(([^)]*)\)/.exec(source);
+  if (!call) throw new Error('background.js no longer calls importScripts');
+  return call[1].split(',').map(name => name.trim().replace(/^'|'$/g, ''));
+}
+
+/**
+ * Builds the manifest for one browser
+ * 
+ * @param {Object} manifest - The repository's (Chrome) manifest
+ * @param {string} browser - One of BROWSERS
+ * @returns {Object} The manifest to package
+ */
+function buildManifest(manifest, browser) {
+  if (browser === 'chrome') return manifest;
+  return Object.assign({}, manifest, {
+    background: {scripts: readBackgroundImports().concat([manifest.background.service_worker])},
+    browser_specific_settings: GECKO_SETTINGS
+  });
+}
+
+/**
+ * Computes the CRC-32 of a buffer, as stored in zip headers
+ * 
+ * @param {Buffer} data - The file contents
+ * @returns {number} The unsigned checksum
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates a zip archive of deflated files
+ * 
+ * Entries carry a fixed timestamp so that the same sources always give
+ * the same archive.
+ * 
+ * @param {Array<Object>} files - Entries as {name, data}
+ * @returns {Buffer} The archive
+ */
+function createZip(files) {
+  const DOS_DATE = (1 << 5) | 1; // 1980-01-01, 00:00
+  const local = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const compressed = zlib.deflateRawSync(file.data, {level: 9});
+    const crc = crc32(file.data);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(DOS_DATE, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(file.data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    local.push(header, name, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // Version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(DOS_DATE, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(file.data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+    offset += header.length + name.length + compressed.length;
+  });
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(local.concat([directory, end]));
+}
+
+/**
+ * Writes the unpacked build and the zip archive for one browser
+ * 
+ * @param {string} browser - One of BROWSERS
+ * @returns {string} Path of the zip archive
+ */
+function build(browser) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const files = listExtensionFiles().map(name => ({
+    name,
+    data: name === 'manifest.json'
+      ? Buffer.from(JSON.stringify(buildManifest(manifest, browser), null, 2) + '\n')
+      : fs.readFileSync(path.join(ROOT, name))
+  }));
+  files.filter(file => file.name.endsWith('.html')).forEach(file => {
+    // Every page must load the browser API shim before its own scripts
+    if (!file.data.toString('utf8').includes('<script src="browser_api.js">')) {
+      throw new Error(file.name + ' does not load browser_api.js');
+    }
+  });
+
+  const directory = path.join(DIST, browser);
+  fs.rmSync(directory, {recursive: true, force: true});
+  fs.mkdirSync(directory, {recursive: true});
+  files.forEach(file => fs.writeFileSync(path.join(directory, file.name), file.data));
+
+  const archive = path.join(DIST, 'odoo-quick-login-' + browser + '-' + manifest.version + '.zip');
+  fs.writeFileSync(archive, createZip(files));
+  return archive;
+}
+
+const requested = process.argv.slice(2);
+const unknown = requested.filter(browser => !BROWSERS.includes(browser));
+if (unknown.length) {
+  console.error('Unknown browser: ' + unknown.join(', ') + '. Use ' + BROWSERS.join(' or ') + '.');
+  process.exit(1);
+}
+(requested.length ? requested : BROWSERS).forEach(browser => {
+  console.log(browser + ': ' + path.relative(ROOT, build(browser)));
+});
@@ -0,0 +1,114 @@
+/**
+ * Odoo Quick Login - TOTP Codes
+ * 
+ * Loaded by the background service worker. Parses the two-factor secrets
+ * users paste in (a bare base32 secret or an `otpauth://totp/` URI, as
+ * shown by Odoo's "Enable two-factor authentication" wizard) and
+ * generates RFC 6238 codes from them with Web Crypto.
+ * 
+ * A parsed secret is a config object {secret, digits, period, algorithm};
+ * it is stored encrypted with the vault key like a password.
+ */
+
+const TOTP_ALGORITHMS = {SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512'};
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Decodes an RFC 4648 base32 string
+ * 
+ * @param {string} text - Base32 text, case-insensitive, padding optional
+ * @returns {Uint8Array|null} The bytes, or null if the text is not base32
+ */
+function base32ToBytes(text) {
+  const clean = text.replace(/=+$/, '').toUpperCase();
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Parses a two-factor secret as entered by the user
+ * 
+ * @param {string} input - A base32 secret (spaces allowed) or an `otpauth://totp/` URI
+ * @returns {Object|null} {secret, digits, period, algorithm}, or null if the input is invalid
+ */
+function parseTotpInput(input) {
+  const text = String(input || '').trim();
+  let config = {secret: text, digits: 6, period: 30, algorithm: 'SHA1'};
+  if (/^otpauth:/i.test(text)) {
+    let uri;
+    try {
+      uri = new URL(text);
+    } catch (error) {
+      return null;
+    }
+    if (uri.host.toLowerCase() !== 'totp') return null;
+    const params = uri.searchParams;
+    config = {
+      secret: params.get('secret') || '',
+      digits: Number(params.get('digits') || 6),
+      period: Number(params.get('period') || 30),
+      algorithm: (params.get('algorithm') || 'SHA1').toUpperCase()
+    };
+  }
+  config.secret = config.secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  const bytes = base32ToBytes(config.secret);
+  if (!bytes || bytes.length < 10 || !TOTP_ALGORITHMS[config.algorithm] ||
+      !Number.isInteger(config.digits) || config.digits < 6 || config.digits > 8 ||
+      !Number.isInteger(config.period) || config.period <= 0) {
+    return null;
+  }
+  return config;
+}
+
+/**
+ * Builds an `otpauth://` URI for a secret, used when exporting users
+ * 
+ * @param {Object} config - Parsed secret from parseTotpInput
+ * @param {string} account - Label of the account, usually the login
+ * @returns {string} The URI
+ */
+function buildOtpauthUri(config, account) {
+  const params = new URLSearchParams({
+    secret: config.secret,
+    digits: String(config.digits),
+    period: String(config.period),
+    algorithm: config.algorithm
+  });
+  return 'otpauth://totp/' + encodeURIComponent(account) + '?' + params.toString();
+}
+
+/**
+ * Generates the code for a secret at a point in time (RFC 6238)
+ * 
+ * @param {Object} config - Parsed secret from parseTotpInput
+ * @param {number} [timestamp] - Milliseconds since the epoch, defaults to now
+ * @returns {Promise<string>} The zero-padded code
+ */
+function generateTotp(config, timestamp) {
+  const counter = Math.floor((timestamp === undefined ? Date.now() : timestamp) / 1000 / config.period);
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 0x100000000));
+  message.setUint32(4, counter % 0x100000000);
+  const hash = {name: 'HMAC', hash: TOTP_ALGORITHMS[config.algorithm]};
+  return crypto.subtle.importKey('raw', base32ToBytes(config.secret), hash, false, ['sign'])
+    .then(key => crypto.subtle.sign('HMAC', key, message.buffer))
+    .then(signature => {
+      const bytes = new Uint8Array(signature);
+      const offset = bytes[bytes.length - 1] & 0x0f;
+      const binary = ((bytes[offset] & 0x7f) << 24) | (bytes[offset + 1] << 16) |
+        (bytes[offset + 2] << 8) | bytes[offset + 3];
+      return String(binary % Math.pow(10, config.digits)).padStart(config.digits, '0');
+    });
+}
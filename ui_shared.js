@@ -0,0 +1,69 @@
+/**
+ * Odoo Quick Login - Shared Extension Page Helpers
+ * 
+ * Loaded by popup.html and options.html before their own scripts, and
+ * as a content script ahead of content.js. The pages talk to the
+ * background service worker only through sendMessage, and all of them
+ * label instances and explain failed logins the same way.
+ */
+
+/**
+ * Sends a message to the background service worker
+ * 
+ * @param {Object} message - Message with a `type` naming the handler
+ * @param {Function} cb - Callback function that receives the response
+ */
+function sendMessage(message, cb) {
+  browser.runtime.sendMessage(message).then(cb, (error) => {
+    console.error('Background request failed:', error);
+    cb({ok: false, error: 'internal'});
+  });
+}
+
+/**
+ * Turns an instance key into a readable label
+ * 
+ * @param {string} instanceKey - A composite `<origin>|<db>` key or a legacy key
+ * @returns {string} A label such as 'prod on erp.example.com'
+ */
+function formatInstanceKey(instanceKey) {
+  if (instanceKey.startsWith('db:')) return 'Database ' + instanceKey.slice(3) + ' (old key)';
+  if (instanceKey.startsWith('meta:')) return instanceKey.slice(5) + ' (old key, shared by all sites)';
+  if (instanceKey.startsWith('origin:')) return instanceKey.slice(7) + ' (old key)';
+  const separator = instanceKey.lastIndexOf('|');
+  const origin = instanceKey.slice(0, separator);
+  const db = instanceKey.slice(separator + 1);
+  const host = origin.replace(/^https?:\/\//, '');
+  return db ? db + ' on ' + host : host;
+}
+
+/**
+ * Describes a failed login result for the user
+ * 
+ * @param {Object} result - Login result with `error` and optional `message`
+ * @returns {string} A message for the user
+ */
+function describeLoginError(result) {
+  if (result.error === 'locked') return 'Vault is locked. Unlock it from the extension popup first.';
+  if (result.error === 'rejected') {
+    return 'Odoo rejected these credentials: ' + result.message +
+      (result.failing ? ' They have failed ' + result.loginFailures + ' times in a row.' : '');
+  }
+  if (result.error === 'rpc-failed') return 'Login request failed: ' + result.message;
+  if (result.error === 'unknown-user') return 'There is no saved user at that position.';
+  if (result.error === 'other-instance') return 'The tab is no longer showing this Odoo instance.';
+  if (result.error === 'cancelled') return 'Login cancelled.';
+  if (result.error === 'no-login-page') return 'The active tab is no longer showing an Odoo page.';
+  if (result.error === 'no-isolation') return result.message;
+  return 'Quick login failed. Please try again.';
+}
+
+/**
+ * Returns the name to show for an instance
+ * 
+ * @param {Object} instance - Instance with `instanceKey` and optional friendly `name`
+ * @returns {string} The friendly name if one was set, otherwise the formatted key
+ */
+function getInstanceTitle(instance) {
+  return instance.name || formatInstanceKey(instance.instanceKey);
+}
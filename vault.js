@@ -0,0 +1,258 @@
+/**
+ * Odoo Quick Login - Credential Vault
+ * 
+ * Saved passwords are never written to storage in plaintext. This script
+ * is loaded by the background service worker and provides the helpers to:
+ * 1. Derive an AES-GCM key from the user's master passphrase (PBKDF2)
+ * 2. Encrypt and decrypt individual secrets
+ * 3. Keep the derived key in session storage while the vault is unlocked
+ * 4. Lock the vault again once the auto-lock timeout has passed
+ * 
+ * Persistent storage only ever holds the salt, a verification blob and
+ * the encrypted secrets. The derived key lives in browser.storage.session,
+ * which is kept in memory and cleared when the browser closes.
+ */
+
+const VAULT_PBKDF2_ITERATIONS = 250000;
+const VAULT_CHECK_VALUE = 'odoo-quick-login-vault';
+const VAULT_DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+/**
+ * Encodes a byte array as a base64 string for storage
+ * 
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} Base64 representation of the bytes
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string produced by bytesToBase64
+ * 
+ * @param {string} base64 - The base64 string to decode
+ * @returns {Uint8Array} The decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derives the vault key from a master passphrase
+ * 
+ * The key is extractable so it can be kept in session storage while
+ * the vault is unlocked.
+ * 
+ * @param {string} passphrase - The master passphrase
+ * @param {Uint8Array} salt - Random salt stored alongside the vault
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} The derived AES-GCM key
+ */
+function deriveVaultKey(passphrase, salt, iterations) {
+  return crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  ).then(baseKey => crypto.subtle.deriveKey(
+    {name: 'PBKDF2', salt, iterations, hash: 'SHA-256'},
+    baseKey,
+    {name: 'AES-GCM', length: 256},
+    true,
+    ['encrypt', 'decrypt']
+  ));
+}
+
+/**
+ * Encrypts a secret with the vault key
+ * 
+ * @param {CryptoKey} key - The vault key
+ * @param {string} plaintext - The secret to encrypt
+ * @returns {Promise<Object>} Encrypted blob with base64 `iv` and `data`
+ */
+function encryptSecret(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return crypto.subtle.encrypt({name: 'AES-GCM', iv}, key, new TextEncoder().encode(plaintext))
+    .then(data => ({iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data))}));
+}
+
+/**
+ * Decrypts a blob produced by encryptSecret
+ * 
+ * @param {CryptoKey} key - The vault key
+ * @param {Object} blob - Encrypted blob with base64 `iv` and `data`
+ * @returns {Promise<string>} The decrypted secret
+ */
+function decryptSecret(key, blob) {
+  return crypto.subtle.decrypt(
+    {name: 'AES-GCM', iv: base64ToBytes(blob.iv)}, key, base64ToBytes(blob.data)
+  ).then(data => new TextDecoder().decode(data));
+}
+
+/**
+ * Stores the unlocked key in session storage until the auto-lock deadline
+ * 
+ * @param {CryptoKey} key - The vault key
+ * @param {number} autoLockMinutes - Minutes until the vault locks itself
+ * @param {Function} cb - Callback function called after storing the key
+ */
+function storeSessionKey(key, autoLockMinutes, cb) {
+  crypto.subtle.exportKey('raw', key).then(raw => {
+    browser.storage.session.set({
+      vaultSession: {
+        key: bytesToBase64(new Uint8Array(raw)),
+        expiresAt: Date.now() + autoLockMinutes * 60 * 1000
+      }
+    }).then(cb);
+  });
+}
+
+/**
+ * Reports whether a vault exists and whether it is currently unlocked
+ * 
+ * @param {Function} cb - Callback receiving {initialized, unlocked, expiresAt, autoLockMinutes}
+ */
+function getVaultState(cb) {
+  browser.storage.local.get({vault: null}).then((data) => {
+    browser.storage.session.get({vaultSession: null}).then((session) => {
+      const vaultSession = session.vaultSession;
+      const unlocked = !!(vaultSession && vaultSession.expiresAt > Date.now());
+      cb({
+        initialized: !!data.vault,
+        unlocked,
+        expiresAt: unlocked ? vaultSession.expiresAt : null,
+        autoLockMinutes: data.vault ? data.vault.autoLockMinutes : VAULT_DEFAULT_AUTO_LOCK_MINUTES
+      });
+    });
+  });
+}
+
+/**
+ * Retrieves the unlocked vault key
+ * 
+ * Expired session keys are removed, so callers only ever receive a key
+ * while the vault is within its auto-lock window.
+ * 
+ * @param {Function} cb - Callback receiving the CryptoKey, or null if the vault is locked
+ */
+function getVaultKey(cb) {
+  browser.storage.session.get({vaultSession: null}).then((session) => {
+    const vaultSession = session.vaultSession;
+    if (!vaultSession) {
+      cb(null);
+      return;
+    }
+    if (vaultSession.expiresAt <= Date.now()) {
+      lockVault(() => cb(null));
+      return;
+    }
+    crypto.subtle.importKey(
+      'raw', base64ToBytes(vaultSession.key), {name: 'AES-GCM'}, true, ['encrypt', 'decrypt']
+    ).then(cb, (error) => {
+      console.error('Unable to restore vault key:', error);
+      cb(null);
+    });
+  });
+}
+
+/**
+ * Creates a new vault protected by the given master passphrase
+ * 
+ * Any users saved before the vault existed still hold a plaintext
+ * `password`; these are encrypted in place and the plaintext is dropped.
+ * 
+ * @param {string} passphrase - The new master passphrase
+ * @param {Function} cb - Callback function called once the vault is created and unlocked
+ */
+function createVault(passphrase, cb) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS).then(key => {
+    browser.storage.local.get({usersByInstance: {}}).then((data) => {
+      const usersByInstance = data.usersByInstance;
+      const pending = [];
+      Object.keys(usersByInstance).forEach(instanceKey => {
+        usersByInstance[instanceKey].forEach(user => {
+          if (typeof user.password !== 'string') return;
+          pending.push(encryptSecret(key, user.password).then(secret => {
+            user.secret = secret;
+            delete user.password;
+          }));
+        });
+      });
+      Promise.all([encryptSecret(key, VAULT_CHECK_VALUE)].concat(pending)).then(results => {
+        const vault = {
+          salt: bytesToBase64(salt),
+          iterations: VAULT_PBKDF2_ITERATIONS,
+          check: results[0],
+          autoLockMinutes: VAULT_DEFAULT_AUTO_LOCK_MINUTES
+        };
+        browser.storage.local.set({vault, usersByInstance}).then(() => {
+          storeSessionKey(key, vault.autoLockMinutes, cb);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Unlocks the vault with the master passphrase
+ * 
+ * @param {string} passphrase - The master passphrase
+ * @param {Function} cb - Callback receiving true if the passphrase was correct
+ */
+function unlockVault(passphrase, cb) {
+  browser.storage.local.get({vault: null}).then((data) => {
+    const vault = data.vault;
+    if (!vault) {
+      cb(false);
+      return;
+    }
+    deriveVaultKey(passphrase, base64ToBytes(vault.salt), vault.iterations)
+      .then(key => decryptSecret(key, vault.check).then(value => {
+        if (value !== VAULT_CHECK_VALUE) {
+          cb(false);
+          return;
+        }
+        storeSessionKey(key, vault.autoLockMinutes, () => cb(true));
+      }))
+      .catch(() => cb(false)); // AES-GCM rejects the check blob on a wrong passphrase
+  });
+}
+
+/**
+ * Locks the vault by discarding the session key
+ * 
+ * @param {Function} cb - Callback function called after locking
+ */
+function lockVault(cb) {
+  browser.storage.session.remove('vaultSession').then(cb);
+}
+
+/**
+ * Updates the auto-lock timeout and applies it to the current session
+ * 
+ * @param {number} minutes - Minutes the vault stays unlocked
+ * @param {Function} cb - Callback function called after saving
+ */
+function setAutoLockMinutes(minutes, cb) {
+  browser.storage.local.get({vault: null}).then((data) => {
+    if (!data.vault) {
+      cb();
+      return;
+    }
+    data.vault.autoLockMinutes = minutes;
+    browser.storage.local.set({vault: data.vault}).then(() => {
+      getVaultKey(key => {
+        if (key) {
+          storeSessionKey(key, minutes, cb);
+        } else {
+          cb();
+        }
+      });
+    });
+  });
+}